@@ -2,12 +2,23 @@
 import { defineConfig } from 'astro/config';
 import react from '@astrojs/react';
 import tailwindcss from '@tailwindcss/vite';
+import { preprocessData } from './scripts/preprocess-data.js';
+
+// Normalize the alert data before the site is built
+const preprocessAlertData = {
+  name: 'preprocess-alert-data',
+  hooks: {
+    'astro:build:start': async () => {
+      await preprocessData();
+    },
+  },
+};
 
 // https://astro.build/config
 export default defineConfig({
     base: process.env.ASTRO_BASE || '/',
-    integrations: [react()],
+    integrations: [react(), preprocessAlertData],
     vite: {
       plugins: [tailwindcss()],
     },
-});
\ No newline at end of file
+});
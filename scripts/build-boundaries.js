@@ -0,0 +1,152 @@
+#!/usr/bin/env node
+
+/**
+ * Build public/data/boundaries.geojson from an administrative boundary
+ * GeoJSON file (e.g. a Stats NZ regional council or territorial authority
+ * export), so CAP <geocode> values can be resolved to shapes.
+ *
+ * Usage:
+ *   node scripts/build-boundaries.js --value-name <name> --code <property> \
+ *     --name <property> <input.geojson>
+ *
+ * --value-name is the CAP geocode valueName the codes belong to. Run once
+ * per boundary set; features previously added under the same valueName are
+ * replaced, others are kept.
+ *
+ * Codes without shapes of their own can borrow them from boundaries already
+ * in the output:
+ *   node scripts/build-boundaries.js --value-name <name> \
+ *     --within <parent valueName> <lookup.json>
+ *
+ * The lookup lists {code, name, regions, unitary} entries (see
+ * scripts/data/territorial-authorities.json); each code gets the combined
+ * shape of the parent codes in `regions`. Unless `unitary` says the shapes
+ * are the same, the feature is marked `approximate`.
+ */
+
+import { readFile, writeFile } from "node:fs/promises";
+import { existsSync } from "node:fs";
+import { parseArgs } from "node:util";
+
+const OUTPUT_PATH = "public/data/boundaries.geojson";
+
+// ~1m precision is plenty for display and keeps the file small
+const COORDINATE_PRECISION = 5;
+
+const roundCoordinates = (coordinates) =>
+  typeof coordinates[0] === "number"
+    ? coordinates.map((value) => Number(value.toFixed(COORDINATE_PRECISION)))
+    : coordinates.map(roundCoordinates);
+
+const { values, positionals } = parseArgs({
+  options: {
+    "value-name": { type: "string" },
+    code: { type: "string" },
+    name: { type: "string" },
+    within: { type: "string" },
+  },
+  allowPositionals: true,
+});
+
+const valueName = values["value-name"];
+const [inputPath] = positionals;
+
+const hasSourceOptions = values.within || (values.code && values.name);
+if (!valueName || !hasSourceOptions || !inputPath) {
+  console.error(
+    "Usage: node scripts/build-boundaries.js --value-name <name> --code <property> --name <property> <input.geojson>\n" +
+      "       node scripts/build-boundaries.js --value-name <name> --within <parent valueName> <lookup.json>",
+  );
+  process.exit(1);
+}
+
+const input = JSON.parse(await readFile(inputPath, "utf8"));
+
+const existing = existsSync(OUTPUT_PATH)
+  ? JSON.parse(await readFile(OUTPUT_PATH, "utf8"))
+  : { type: "FeatureCollection", features: [] };
+
+/**
+ * Read features with their own shapes from a boundary GeoJSON export
+ * @returns {Array} Boundary features
+ */
+function readBoundaryFeatures() {
+  return input.features
+    .filter((feature) => feature.geometry && feature.properties?.[values.code])
+    .map((feature) => ({
+      type: "Feature",
+      properties: {
+        valueName,
+        value: String(feature.properties[values.code]),
+        name: feature.properties[values.name] || "",
+      },
+      geometry: {
+        type: feature.geometry.type,
+        coordinates: roundCoordinates(feature.geometry.coordinates),
+      },
+    }));
+}
+
+/**
+ * Build features for lookup entries from the shapes of their parent codes
+ * already in the output
+ * @returns {Array} Boundary features; entries with no parent shape are
+ *   skipped with a warning
+ */
+function borrowParentFeatures() {
+  const parents = new Map(
+    existing.features
+      .filter((feature) => feature.properties.valueName === values.within)
+      .map((feature) => [feature.properties.value, feature.geometry]),
+  );
+
+  return (input.authorities || []).flatMap((entry) => {
+    const polygons = entry.regions
+      .map((code) => parents.get(code))
+      .filter(Boolean)
+      .flatMap((geometry) =>
+        geometry.type === "Polygon"
+          ? [geometry.coordinates]
+          : geometry.coordinates,
+      );
+
+    if (polygons.length === 0) {
+      console.warn(
+        `No "${values.within}" boundary for ${entry.code} ${entry.name}`,
+      );
+      return [];
+    }
+
+    return [
+      {
+        type: "Feature",
+        properties: {
+          valueName,
+          value: String(entry.code),
+          name: entry.name,
+          ...(entry.unitary ? {} : { approximate: true }),
+        },
+        geometry: { type: "MultiPolygon", coordinates: polygons },
+      },
+    ];
+  });
+}
+
+const features = values.within
+  ? borrowParentFeatures()
+  : readBoundaryFeatures();
+
+const output = {
+  type: "FeatureCollection",
+  features: [
+    ...existing.features.filter(
+      (feature) => feature.properties.valueName !== valueName,
+    ),
+    ...features,
+  ],
+};
+
+await writeFile(OUTPUT_PATH, JSON.stringify(output));
+console.log(
+  `Wrote ${features.length} "${valueName}" boundaries to ${OUTPUT_PATH} (${output.features.length} total)`,
+);
@@ -0,0 +1,35 @@
+#!/usr/bin/env node
+
+/**
+ * Generate the manifest.json an "xml-directory" data source reads, listing
+ * every .xml file in a folder of raw CAP messages. Browsers can't list
+ * directories, so the manifest has to be rebuilt whenever files are added.
+ *
+ * Usage:
+ *   node scripts/build-xml-manifest.js <directory>
+ */
+
+import { readdir, writeFile } from "node:fs/promises";
+import { join } from "node:path";
+import { XML_MANIFEST_FILENAME } from "../src/services/data-processor.js";
+
+const [directory] = process.argv.slice(2);
+
+if (!directory) {
+  console.error("Usage: node scripts/build-xml-manifest.js <directory>");
+  process.exit(1);
+}
+
+const files = (await readdir(directory, { withFileTypes: true }))
+  .filter(
+    (entry) => entry.isFile() && entry.name.toLowerCase().endsWith(".xml"),
+  )
+  .map((entry) => entry.name)
+  .sort();
+
+const outputPath = join(directory, XML_MANIFEST_FILENAME);
+await writeFile(
+  outputPath,
+  JSON.stringify({ generatedAt: new Date().toISOString(), files }, null, 2),
+);
+console.log(`Listed ${files.length} CAP files in ${outputPath}`);
@@ -0,0 +1,102 @@
+#!/usr/bin/env node
+
+/**
+ * Preprocess the configured data sources (src/config/data-sources.js) into
+ * public/data/alerts.json so the browser loads normalized, pre-grouped alerts
+ * instead of parsing CSV and CAP XML. Incidents are clustered here too.
+ *
+ * Usage:
+ *   node scripts/preprocess-data.js
+ *
+ * Also runs automatically during `astro build` (see astro.config.mjs).
+ */
+
+import { readFile, writeFile } from "node:fs/promises";
+import { existsSync } from "node:fs";
+import { join } from "node:path";
+import { fileURLToPath } from "node:url";
+import { DOMParser } from "linkedom";
+import { DataProcessor } from "../src/services/data-processor.js";
+import { DATA_SOURCES } from "../src/config/data-sources.js";
+import { clusterIncidents } from "../src/utils/incident-clustering.js";
+
+export const DEFAULT_PUBLIC_DIR = "public";
+export const DEFAULT_OUTPUT_PATH = "public/data/alerts.json";
+export const DEFAULT_BOUNDARIES_PATH = "public/data/boundaries.geojson";
+
+/**
+ * Read a source path the way the browser would fetch it, from the public
+ * directory. Absolute URLs (e.g. linked CAP messages) are fetched.
+ * @param {string} publicDir - Directory served as the site root
+ * @param {string} path - Source path or URL
+ * @returns {Promise<string|null>} File contents, or null if not found
+ */
+async function readSourceText(publicDir, path) {
+  if (/^https?:\/\//.test(path)) {
+    const response = await fetch(path);
+    return response.ok ? response.text() : null;
+  }
+
+  const filePath = join(publicDir, path);
+  return existsSync(filePath) ? readFile(filePath, "utf8") : null;
+}
+
+/**
+ * Run the same DataProcessor pipeline the browser uses and write the result
+ * @param {Object} options - Options object
+ * @param {Array} options.sources - Data source configs, paths relative to publicDir
+ * @param {string} options.publicDir - Directory served as the site root
+ * @param {string} options.outputPath - Where to write the normalized JSON
+ * @param {string} options.boundariesPath - Geocode boundary GeoJSON
+ * @returns {Promise<boolean>} False if there was no input to process
+ */
+export async function preprocessData({
+  sources = DATA_SOURCES,
+  publicDir = DEFAULT_PUBLIC_DIR,
+  outputPath = DEFAULT_OUTPUT_PATH,
+  boundariesPath = DEFAULT_BOUNDARIES_PATH,
+} = {}) {
+  const availableSources = sources.filter((source) => {
+    const inputPath = join(publicDir, source.path);
+    if (!existsSync(inputPath)) {
+      console.warn(`No alert data at ${inputPath}, skipping "${source.id}"`);
+      return false;
+    }
+    return true;
+  });
+  if (availableSources.length === 0) {
+    console.warn("No alert data found, skipping preprocessing");
+    return false;
+  }
+
+  DataProcessor.DOMParserImpl = DOMParser;
+  DataProcessor.setBoundaries(
+    existsSync(boundariesPath)
+      ? JSON.parse(await readFile(boundariesPath, "utf8"))
+      : null,
+  );
+
+  const report = DataProcessor.createIngestionReport();
+  const alerts = await DataProcessor.loadSources(availableSources, {
+    fetchText: (path) => readSourceText(publicDir, path),
+    report,
+  });
+  const groupedAlerts = DataProcessor.prepareAlerts(alerts, report);
+  const incidents = clusterIncidents(groupedAlerts);
+
+  await writeFile(
+    outputPath,
+    JSON.stringify(
+      DataProcessor.toNormalizedData(groupedAlerts, report, incidents),
+    ),
+  );
+  console.log(
+    `Wrote ${groupedAlerts.length} alert groups in ${incidents.length} incidents to ${outputPath}`,
+  );
+
+  return true;
+}
+
+if (process.argv[1] === fileURLToPath(import.meta.url)) {
+  await preprocessData();
+}
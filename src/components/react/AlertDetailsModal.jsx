@@ -1,4 +1,4 @@
-import React, { useState } from "react";
+import React, { useState, useEffect, useMemo } from "react";
 import {
   X,
   Calendar,
@@ -10,16 +10,188 @@ import {
   Copy,
   Check,
   History,
+  Languages,
+  Info,
+  Link as LinkIcon,
+  Paperclip,
+  Tags,
+  SlidersHorizontal,
+  ShieldAlert,
+  ShieldCheck,
+  Clock,
+  Layers,
 } from "lucide-react";
 import clsx from "clsx";
+import {
+  DiagnosticLevel,
+  summarizeDiagnostics,
+} from "../../services/cap-validator.js";
+import { getDatasetLabel } from "../../config/data-sources.js";
+import { getSender } from "../../config/senders.js";
+import { LifecycleState, formatDuration } from "../../utils/alert-lifecycle.js";
+import SenderLogo from "./SenderLogo.jsx";
+
+/**
+ * Describe how a grouped alert's lifecycle ended
+ * @param {Object} alert - Grouped alert with a lifecycle
+ * @returns {string} Status label
+ */
+function describeLifecycleStatus(alert) {
+  if (alert.isCancelled) return "Cancelled";
+  if (alert.isExpired) return "Expired";
+  if (alert.lifecycle.endReason === LifecycleState.EXPIRED) {
+    return "In force until expiry";
+  }
+  return "No expiry or cancellation";
+}
 
-export default function AlertDetailsModal({ alert, onClose }) {
+/**
+ * Sending organisation with its logo, linked to its website when it is in
+ * the sender registry
+ * @param {Object} props
+ * @param {Object} props.alert - Alert with senderId and senderName
+ */
+function SenderLabel({ alert }) {
+  const organisation = getSender(alert.senderId);
+
+  return (
+    <div className="flex items-center gap-1.5 min-w-0">
+      <SenderLogo senderId={alert.senderId} />
+      {organisation?.website ? (
+        <a
+          href={organisation.website}
+          target="_blank"
+          rel="noopener noreferrer"
+          className="truncate hover:underline"
+        >
+          {alert.senderName}
+        </a>
+      ) : (
+        <span className="truncate">{alert.senderName}</span>
+      )}
+    </div>
+  );
+}
+
+/**
+ * Interleave a timeline with placeholders for the messages it refers to but
+ * the archive doesn't have. Each placeholder goes just before the first
+ * message that refers to it.
+ * @param {Array} timeline - Alerts in the group, sorted by sent date
+ * @returns {Array} Timeline alerts and {isMissing, key, reference, sent}
+ *   placeholders
+ */
+function buildHistoryEntries(timeline) {
+  const seen = new Set();
+
+  return timeline.flatMap((item) => {
+    const placeholders = (item.missingReferences || [])
+      .map((reference) => {
+        const sent = new Date(reference.sent);
+        return {
+          isMissing: true,
+          key: `missing|${reference.sender}|${reference.identifier}|${reference.sent}`,
+          reference,
+          sent: isNaN(sent.getTime()) ? null : sent,
+        };
+      })
+      .filter((placeholder) => {
+        if (seen.has(placeholder.key)) return false;
+        seen.add(placeholder.key);
+        return true;
+      })
+      .sort((a, b) => (a.sent?.getTime() || 0) - (b.sent?.getTime() || 0));
+
+    return [...placeholders, item];
+  });
+}
+
+/**
+ * Human-readable name for a CAP language code (e.g. "mi" -> "Maori")
+ * @param {string} language - RFC 3066 language code
+ * @returns {string} Display name, or the code itself if unknown
+ */
+function formatLanguage(language) {
+  try {
+    const displayNames = new Intl.DisplayNames(["en-NZ"], {
+      type: "language",
+    });
+    return displayNames.of(language) || language;
+  } catch {
+    return language;
+  }
+}
+
+/**
+ * Two-column table for CAP valueName/value pairs
+ * @param {Object} props
+ * @param {Array} props.rows - Array of {valueName, value} objects
+ */
+function KeyValueTable({ rows }) {
+  return (
+    <table className="w-full text-sm border-collapse">
+      <tbody>
+        {rows.map((row, index) => (
+          <tr
+            key={index}
+            className="border-b border-slate-100 dark:border-slate-800 last:border-0"
+          >
+            <th className="py-1.5 pr-3 text-left align-top font-medium text-slate-500 dark:text-slate-400 break-all w-1/3">
+              {row.valueName}
+            </th>
+            <td className="py-1.5 text-slate-800 dark:text-slate-200 break-words">
+              {row.value}
+            </td>
+          </tr>
+        ))}
+      </tbody>
+    </table>
+  );
+}
+
+export default function AlertDetailsModal({
+  alert,
+  relatedAlerts = [],
+  onAlertSelect,
+  onClose,
+}) {
   const [showXml, setShowXml] = useState(false);
   const [copied, setCopied] = useState(false);
   const [shared, setShared] = useState(false);
+  const [selectedInfoKey, setSelectedInfoKey] = useState(null);
+
+  // Flatten the language-keyed info blocks into switcher options
+  const infoOptions = useMemo(() => {
+    return Object.entries(alert?.infos || {}).flatMap(([language, blocks]) =>
+      blocks.map((info, index) => ({
+        key: `${language}-${index}`,
+        info,
+        label:
+          blocks.length > 1 && info.event
+            ? `${formatLanguage(language)} · ${info.event}`
+            : formatLanguage(language),
+      })),
+    );
+  }, [alert]);
+
+  const historyEntries = useMemo(
+    () => buildHistoryEntries(alert?.timeline || []),
+    [alert],
+  );
+
+  // Go back to the primary info block whenever another alert is shown
+  useEffect(() => {
+    setSelectedInfoKey(null);
+  }, [alert?.id]);
 
   if (!alert) return null;
 
+  // The alert itself carries the primary info block's fields
+  const info =
+    infoOptions.find((option) => option.key === selectedInfoKey)?.info || alert;
+  const activeInfoKey = selectedInfoKey || infoOptions[0]?.key;
+  const diagnosticSummary = summarizeDiagnostics(alert.diagnostics);
+
   const handleCopyXml = async () => {
     if (alert.originalXml) {
       await navigator.clipboard.writeText(alert.originalXml);
@@ -82,17 +254,26 @@ export default function AlertDetailsModal({ alert, onClose }) {
     }).format(date);
   };
 
+  const formatShortDate = (date) => {
+    return new Intl.DateTimeFormat("en-NZ", {
+      month: "short",
+      day: "numeric",
+      hour: "2-digit",
+      minute: "2-digit",
+    }).format(date);
+  };
+
   return (
     <div className="flex flex-col h-full max-h-full overflow-hidden">
       {/* Header with Image/Map placeholder or Severity Color */}
       <div
         className={clsx(
           "p-6 text-white shrink-0 relative @container",
-          alert.severity === "Extreme"
+          info.severity === "Extreme"
             ? "bg-red-600"
-            : alert.severity === "Severe"
+            : info.severity === "Severe"
               ? "bg-orange-600"
-              : alert.severity === "Moderate"
+              : info.severity === "Moderate"
                 ? "bg-yellow-600"
                 : "bg-blue-600",
         )}
@@ -107,15 +288,18 @@ export default function AlertDetailsModal({ alert, onClose }) {
 
         <div className="flex items-center gap-2 mb-2 opacity-90">
           <span className="uppercase tracking-widest text-xs font-bold px-2 py-1 bg-black/20 rounded">
-            {alert.severity} Severity
+            {info.severity} Severity
           </span>
           <span className="uppercase tracking-widest text-xs font-bold px-2 py-1 bg-black/20 rounded">
-            {alert.category}
+            {info.category}
           </span>
         </div>
 
-        <h2 className="text-2xl md:text-3xl font-bold leading-tight mb-2">
-          {alert.title}
+        <h2
+          lang={info.language}
+          className="text-2xl md:text-3xl font-bold leading-tight mb-2"
+        >
+          {info.title || alert.title}
         </h2>
 
         <div className="flex flex-col @md:flex-row @md:items-center gap-2 @md:gap-4 text-sm opacity-90">
@@ -123,10 +307,13 @@ export default function AlertDetailsModal({ alert, onClose }) {
             <Calendar size={14} />
             <span>{formatDate(alert.sent)}</span>
           </div>
-          {alert.areaDesc && (
+          <SenderLabel alert={alert} />
+          {(info.areaDesc || alert.areaDesc) && (
             <div className="flex items-center gap-1">
               <MapPin size={14} />
-              <span className="truncate max-w-[200px]">{alert.areaDesc}</span>
+              <span className="truncate max-w-[200px]">
+                {info.areaDesc || alert.areaDesc}
+              </span>
             </div>
           )}
         </div>
@@ -142,17 +329,202 @@ export default function AlertDetailsModal({ alert, onClose }) {
           </p>
         </div>
 
-        {/* Main Instruction */}
+        {/* Language Switcher */}
+        {infoOptions.length > 1 && (
+          <section>
+            <h3 className="text-sm font-bold uppercase text-slate-400 mb-2 flex items-center gap-2">
+              <Languages size={16} />
+              Language
+            </h3>
+            <div className="flex flex-wrap gap-2">
+              {infoOptions.map((option) => (
+                <button
+                  key={option.key}
+                  onClick={() => setSelectedInfoKey(option.key)}
+                  className={clsx(
+                    "px-3 py-1 rounded-full text-sm border transition-colors",
+                    option.key === activeInfoKey
+                      ? "bg-blue-600 border-blue-600 text-white"
+                      : "text-slate-700 bg-white border-slate-200 hover:bg-slate-50 dark:text-slate-200 dark:bg-slate-800 dark:border-slate-700 dark:hover:bg-slate-700",
+                  )}
+                >
+                  {option.label}
+                </button>
+              ))}
+            </div>
+          </section>
+        )}
+
+        {/* Description */}
         <section>
           <h3 className="text-sm font-bold uppercase text-slate-400 mb-2 flex items-center gap-2">
-            <AlertTriangle size={16} />
-            Instruction
+            <Info size={16} />
+            Description
           </h3>
-          <div className="prose dark:prose-invert max-w-none text-slate-800 dark:text-slate-200 leading-relaxed whitespace-pre-line">
-            {alert.description}
+          <div
+            lang={info.language}
+            className="prose dark:prose-invert max-w-none text-slate-800 dark:text-slate-200 leading-relaxed whitespace-pre-line"
+          >
+            {info.description || alert.description}
           </div>
         </section>
 
+        {/* Main Instruction */}
+        {(info.instruction || info.responseTypes?.length > 0) && (
+          <section>
+            <h3 className="text-sm font-bold uppercase text-slate-400 mb-2 flex items-center gap-2">
+              <AlertTriangle size={16} />
+              Instruction
+            </h3>
+            {info.instruction && (
+              <div
+                lang={info.language}
+                className="prose dark:prose-invert max-w-none text-slate-800 dark:text-slate-200 leading-relaxed whitespace-pre-line mb-3"
+              >
+                {info.instruction}
+              </div>
+            )}
+            {info.responseTypes?.length > 0 && (
+              <div className="flex flex-wrap gap-2">
+                {info.responseTypes.map((responseType) => (
+                  <span
+                    key={responseType}
+                    className="uppercase tracking-widest text-xs font-bold px-2 py-1 bg-slate-100 dark:bg-slate-800 text-slate-600 dark:text-slate-300 rounded"
+                  >
+                    {responseType}
+                  </span>
+                ))}
+              </div>
+            )}
+          </section>
+        )}
+
+        {/* Affected Areas */}
+        {(info.areas?.length > 1 ||
+          info.areas?.some((area) => area.regions?.length > 0)) && (
+          <section>
+            <h3 className="text-sm font-bold uppercase text-slate-400 mb-2 flex items-center gap-2">
+              <MapPin size={16} />
+              Affected Areas
+            </h3>
+            <ul
+              lang={info.language}
+              className="list-disc pl-5 space-y-1 text-sm text-slate-800 dark:text-slate-200"
+            >
+              {info.areas.map((area, index) => (
+                <li key={index}>
+                  {area.areaDesc || "Unnamed area"}
+                  {area.regions?.length > 0 &&
+                    area.regions.join(", ") !== area.areaDesc && (
+                      <span className="text-slate-500 dark:text-slate-400">
+                        {" "}
+                        ({area.regions.join(", ")})
+                      </span>
+                    )}
+                  {area.isApproximate && (
+                    <span className="text-slate-500 dark:text-slate-400">
+                      {" "}
+                      · approximate shape
+                    </span>
+                  )}
+                </li>
+              ))}
+            </ul>
+          </section>
+        )}
+
+        {/* Web, Contact & Audience */}
+        {(info.web || info.contact || info.audience) && (
+          <section className="space-y-2 text-sm">
+            <h3 className="text-sm font-bold uppercase text-slate-400 mb-2 flex items-center gap-2">
+              <LinkIcon size={16} />
+              More Information
+            </h3>
+            {info.web && (
+              <p>
+                <a
+                  href={info.web}
+                  target="_blank"
+                  rel="noopener noreferrer"
+                  className="text-blue-600 dark:text-blue-400 hover:underline break-all"
+                >
+                  {info.web}
+                </a>
+              </p>
+            )}
+            {info.contact && (
+              <p className="text-slate-800 dark:text-slate-200">
+                <span className="text-slate-400">Contact: </span>
+                {info.contact}
+              </p>
+            )}
+            {info.audience && (
+              <p className="text-slate-800 dark:text-slate-200">
+                <span className="text-slate-400">Audience: </span>
+                {info.audience}
+              </p>
+            )}
+          </section>
+        )}
+
+        {/* Event Codes */}
+        {info.eventCodes?.length > 0 && (
+          <section>
+            <h3 className="text-sm font-bold uppercase text-slate-400 mb-2 flex items-center gap-2">
+              <Tags size={16} />
+              Event Codes
+            </h3>
+            <KeyValueTable rows={info.eventCodes} />
+          </section>
+        )}
+
+        {/* Parameters */}
+        {info.parameters?.length > 0 && (
+          <section>
+            <h3 className="text-sm font-bold uppercase text-slate-400 mb-2 flex items-center gap-2">
+              <SlidersHorizontal size={16} />
+              Parameters
+            </h3>
+            <KeyValueTable rows={info.parameters} />
+          </section>
+        )}
+
+        {/* Resources */}
+        {info.resources?.length > 0 && (
+          <section>
+            <h3 className="text-sm font-bold uppercase text-slate-400 mb-2 flex items-center gap-2">
+              <Paperclip size={16} />
+              Resources
+            </h3>
+            <ul className="space-y-1 text-sm">
+              {info.resources.map((resource, index) => (
+                <li key={index}>
+                  {resource.uri ? (
+                    <a
+                      href={resource.uri}
+                      target="_blank"
+                      rel="noopener noreferrer"
+                      className="text-blue-600 dark:text-blue-400 hover:underline break-all"
+                    >
+                      {resource.resourceDesc || resource.uri}
+                    </a>
+                  ) : (
+                    <span className="text-slate-800 dark:text-slate-200">
+                      {resource.resourceDesc}
+                    </span>
+                  )}
+                  {resource.mimeType && (
+                    <span className="text-xs text-slate-400">
+                      {" "}
+                      ({resource.mimeType})
+                    </span>
+                  )}
+                </li>
+              ))}
+            </ul>
+          </section>
+        )}
+
         {/* Metadata Grid */}
         <section className="grid grid-cols-1 md:grid-cols-2 gap-4 pt-4 border-t border-slate-100 dark:border-slate-800">
           <div className="p-3 bg-slate-50 dark:bg-slate-800/50 rounded-lg">
@@ -176,7 +548,7 @@ export default function AlertDetailsModal({ alert, onClose }) {
               Urgency
             </span>
             <span className="font-medium text-slate-900 dark:text-slate-100">
-              {alert.urgency}
+              {info.urgency}
             </span>
           </div>
           <div className="p-3 bg-slate-50 dark:bg-slate-800/50 rounded-lg">
@@ -184,53 +556,208 @@ export default function AlertDetailsModal({ alert, onClose }) {
               Certainty
             </span>
             <span className="font-medium text-slate-900 dark:text-slate-100">
-              {alert.certainty}
+              {info.certainty}
             </span>
           </div>
         </section>
 
-        {/* Timeline Section */}
-        {alert.timeline && alert.timeline.length > 1 && (
+        {/* Lifecycle */}
+        {alert.lifecycle && (
           <section className="pt-4 border-t border-slate-100 dark:border-slate-800">
             <h3 className="text-sm font-bold uppercase text-slate-400 mb-2 flex items-center gap-2">
-              <History size={16} />
-              Alert History
+              <Clock size={16} />
+              Lifecycle
             </h3>
-            <div className="space-y-4 relative pl-4 border-l-2 border-slate-200 dark:border-slate-700 ml-2">
-              {alert.timeline.map((item, index) => (
-                <div key={item.id} className="relative">
-                  <div
-                    className={clsx(
-                      "absolute -left-[21px] top-1 w-3 h-3 rounded-full border-2 border-white dark:border-slate-900",
-                      item.msgType === "Alert"
-                        ? "bg-blue-500"
-                        : item.msgType === "Update"
-                          ? "bg-orange-500"
-                          : item.msgType === "Cancel"
-                            ? "bg-slate-500"
-                            : "bg-gray-500",
-                    )}
-                  />
-                  <div className="text-xs text-slate-500 mb-1">
-                    {new Intl.DateTimeFormat("en-NZ", {
-                      month: "short",
-                      day: "numeric",
-                      hour: "2-digit",
-                      minute: "2-digit",
-                    }).format(item.sent)}
-                  </div>
-                  <h4 className="font-medium text-slate-800 dark:text-slate-200">
-                    {item.msgType}
-                  </h4>
-                  {item.description &&
-                    item.description !== alert.description && (
-                      <p className="text-xs text-slate-600 dark:text-slate-400 mt-1 line-clamp-2">
-                        {item.description}
-                      </p>
-                    )}
+            <dl className="grid grid-cols-2 gap-3 text-sm">
+              {[
+                {
+                  label: "Status",
+                  value: describeLifecycleStatus(alert),
+                },
+                {
+                  label: "In force",
+                  value: `${formatShortDate(alert.lifecycle.activeWindow.start)} – ${
+                    alert.lifecycle.activeWindow.end
+                      ? formatShortDate(alert.lifecycle.activeWindow.end)
+                      : "open-ended"
+                  }`,
+                },
+                {
+                  label: "Duration",
+                  value: formatDuration(alert.lifecycle.duration),
+                },
+                {
+                  label: "Updates",
+                  value: alert.lifecycle.updateCount,
+                },
+              ].map((field) => (
+                <div key={field.label}>
+                  <dt className="text-xs text-slate-400 uppercase mb-0.5">
+                    {field.label}
+                  </dt>
+                  <dd className="text-slate-900 dark:text-slate-100">
+                    {field.value}
+                  </dd>
                 </div>
               ))}
-            </div>
+            </dl>
+          </section>
+        )}
+
+        {/* Timeline Section */}
+        {alert.timeline &&
+          (alert.timeline.length > 1 || alert.hasHistoryGaps) && (
+            <section className="pt-4 border-t border-slate-100 dark:border-slate-800">
+              <h3 className="text-sm font-bold uppercase text-slate-400 mb-2 flex items-center gap-2">
+                <History size={16} />
+                Alert History
+              </h3>
+              <div className="space-y-4 relative pl-4 border-l-2 border-slate-200 dark:border-slate-700 ml-2">
+                {historyEntries.map((item) =>
+                  item.isMissing ? (
+                    <div key={item.key} className="relative">
+                      <div className="absolute -left-[21px] top-1 w-3 h-3 rounded-full border-2 border-dashed border-slate-400 bg-white dark:bg-slate-900" />
+                      <div className="text-xs text-slate-500 mb-1">
+                        {item.sent
+                          ? formatShortDate(item.sent)
+                          : "Unknown date"}
+                      </div>
+                      <h4 className="font-medium italic text-slate-500 dark:text-slate-400">
+                        Missing predecessor
+                      </h4>
+                      <p className="text-xs text-slate-500 dark:text-slate-400 mt-1 break-all">
+                        Referenced message{" "}
+                        <code>{item.reference.identifier}</code> from{" "}
+                        {item.reference.sender} is not in the archive.
+                      </p>
+                    </div>
+                  ) : (
+                    <div key={item.id} className="relative">
+                      <div
+                        className={clsx(
+                          "absolute -left-[21px] top-1 w-3 h-3 rounded-full border-2 border-white dark:border-slate-900",
+                          item.msgType === "Alert"
+                            ? "bg-blue-500"
+                            : item.msgType === "Update"
+                              ? "bg-orange-500"
+                              : item.msgType === "Cancel"
+                                ? "bg-slate-500"
+                                : "bg-gray-500",
+                        )}
+                      />
+                      <div className="text-xs text-slate-500 mb-1">
+                        {formatShortDate(item.sent)}
+                      </div>
+                      <h4 className="font-medium text-slate-800 dark:text-slate-200">
+                        {item.msgType}
+                        {item.id === alert.versionId && (
+                          <span className="ml-2 px-1.5 py-0.5 text-[10px] font-bold uppercase rounded bg-blue-100 text-blue-700 dark:bg-blue-900/40 dark:text-blue-300">
+                            In force as of
+                          </span>
+                        )}
+                      </h4>
+                      {item.description &&
+                        item.description !== alert.description && (
+                          <p className="text-xs text-slate-600 dark:text-slate-400 mt-1 line-clamp-2">
+                            {item.description}
+                          </p>
+                        )}
+                    </div>
+                  ),
+                )}
+                {alert.lifecycle?.endReason === LifecycleState.EXPIRED && (
+                  <div className="relative">
+                    <div className="absolute -left-[21px] top-1 w-3 h-3 rounded-full border-2 border-white dark:border-slate-900 bg-slate-300 dark:bg-slate-600" />
+                    <div className="text-xs text-slate-500 mb-1">
+                      {formatShortDate(alert.lifecycle.activeWindow.end)}
+                    </div>
+                    <h4 className="font-medium text-slate-500 dark:text-slate-400">
+                      {alert.isExpired ? "Expired" : "Expires"}
+                    </h4>
+                  </div>
+                )}
+              </div>
+            </section>
+          )}
+
+        {/* Related Alerts */}
+        {relatedAlerts.length > 0 && (
+          <section className="pt-4 border-t border-slate-100 dark:border-slate-800">
+            <h3 className="text-sm font-bold uppercase text-slate-400 mb-1 flex items-center gap-2">
+              <Layers size={16} />
+              Related Alerts
+            </h3>
+            <p className="text-xs text-slate-500 dark:text-slate-400 mb-2">
+              Alerts about a similar event in an overlapping area and time,
+              which may be the same incident.
+            </p>
+            <ul className="space-y-1.5">
+              {relatedAlerts.map((related) => (
+                <li key={related.id}>
+                  <button
+                    onClick={() => onAlertSelect?.(related)}
+                    className="w-full text-left p-2 rounded bg-slate-50 dark:bg-slate-800/50 hover:bg-slate-100 dark:hover:bg-slate-800 transition-colors"
+                  >
+                    <div className="text-sm font-medium text-slate-800 dark:text-slate-200 line-clamp-1">
+                      {related.title}
+                    </div>
+                    <div className="text-xs text-slate-500 dark:text-slate-400">
+                      {related.senderName} · {formatShortDate(related.sent)}
+                    </div>
+                  </button>
+                </li>
+              ))}
+            </ul>
+          </section>
+        )}
+
+        {/* CAP 1.2 Conformance */}
+        {alert.diagnostics && (
+          <section className="pt-4 border-t border-slate-100 dark:border-slate-800">
+            <h3 className="text-sm font-bold uppercase text-slate-400 mb-2 flex items-center gap-2">
+              {alert.diagnostics.length > 0 ? (
+                <ShieldAlert size={16} />
+              ) : (
+                <ShieldCheck size={16} />
+              )}
+              CAP 1.2 Conformance
+            </h3>
+            {alert.diagnostics.length === 0 ? (
+              <p className="text-sm text-slate-600 dark:text-slate-400">
+                {alert.originalXml
+                  ? "No problems found in the original CAP message."
+                  : "No CAP XML was available to check."}
+              </p>
+            ) : (
+              <>
+                <p className="text-sm text-slate-600 dark:text-slate-400 mb-2">
+                  {diagnosticSummary.errors}{" "}
+                  {diagnosticSummary.errors === 1 ? "error" : "errors"},{" "}
+                  {diagnosticSummary.warnings}{" "}
+                  {diagnosticSummary.warnings === 1 ? "warning" : "warnings"}
+                </p>
+                <ul className="space-y-1.5 text-sm">
+                  {alert.diagnostics.map((diagnostic, index) => (
+                    <li
+                      key={index}
+                      className={clsx(
+                        "p-2 rounded border-l-4",
+                        diagnostic.level === DiagnosticLevel.ERROR
+                          ? "border-red-500 bg-red-50 dark:bg-red-900/10"
+                          : "border-amber-400 bg-amber-50 dark:bg-amber-900/10",
+                      )}
+                    >
+                      <div className="text-slate-800 dark:text-slate-200">
+                        {diagnostic.message}
+                      </div>
+                      <code className="text-xs text-slate-500 dark:text-slate-400 break-all">
+                        {diagnostic.path} · {diagnostic.code}
+                      </code>
+                    </li>
+                  ))}
+                </ul>
+              </>
+            )}
           </section>
         )}
 
@@ -299,6 +826,71 @@ export default function AlertDetailsModal({ alert, onClose }) {
               </div>
             )}
 
+            {/* Remaining alert-level CAP elements (if available) */}
+            {[
+              { label: "Note", value: alert.note },
+              { label: "Addresses", value: alert.addresses },
+              { label: "Incidents", value: alert.incidents },
+              { label: "Restriction", value: alert.restriction },
+              { label: "Codes", value: alert.codes?.join(" ") },
+            ]
+              .filter((field) => field.value)
+              .map((field) => (
+                <div key={field.label}>
+                  <span className="text-slate-400 font-medium block mb-1">
+                    {field.label}
+                  </span>
+                  <code className="block bg-slate-100 dark:bg-slate-950 p-2 rounded text-slate-600 dark:text-slate-400 font-mono break-all whitespace-pre-line">
+                    {field.value}
+                  </code>
+                </div>
+              ))}
+
+            {/* Datasets this alert or its updates were loaded from */}
+            {alert.datasets?.length > 0 && (
+              <div>
+                <span className="text-slate-400 font-medium block mb-1">
+                  {alert.datasets.length > 1 ? "Datasets" : "Dataset"}
+                </span>
+                <div className="flex flex-wrap gap-1">
+                  {alert.datasets.map((dataset) => (
+                    <span
+                      key={dataset}
+                      className="px-2 py-0.5 bg-slate-100 dark:bg-slate-800 text-slate-600 dark:text-slate-300 rounded"
+                      title={dataset}
+                    >
+                      {getDatasetLabel(dataset)}
+                    </span>
+                  ))}
+                </div>
+              </div>
+            )}
+
+            {/* Source rows this message was read from */}
+            {alert.provenance?.length > 0 && (
+              <div>
+                <span className="text-slate-400 font-medium block mb-1">
+                  Source Rows
+                </span>
+                <code className="block bg-slate-100 dark:bg-slate-950 p-2 rounded text-slate-600 dark:text-slate-400 font-mono break-all whitespace-pre-line">
+                  {alert.provenance
+                    .map(
+                      (entry) =>
+                        `${entry.dataset ? `${getDatasetLabel(entry.dataset)} · ` : ""}Row ${entry.row}${entry.guid ? ` · ${entry.guid}` : ""} · ${entry.contentHash}`,
+                    )
+                    .join("\n")}
+                </code>
+                {alert.hasConflictingDuplicates && (
+                  <p className="mt-1 flex items-center gap-1 text-amber-600 dark:text-amber-400">
+                    <AlertTriangle size={12} />
+                    Some copies of this message have different content. The
+                    first copy is shown; the others are listed with the original
+                    XML.
+                  </p>
+                )}
+              </div>
+            )}
+
             {/* Original XML Toggle */}
             {showXml && (
               <div className="mt-4">
@@ -308,6 +900,17 @@ export default function AlertDetailsModal({ alert, onClose }) {
                 <pre className="block bg-slate-900 text-slate-200 p-3 rounded overflow-x-auto whitespace-pre-wrap font-mono text-[10px] leading-relaxed max-h-[300px] overflow-y-auto">
                   {alert.originalXml}
                 </pre>
+                {alert.conflictingCopies?.map((copy) => (
+                  <div key={copy.contentHash} className="mt-3">
+                    <span className="text-amber-600 dark:text-amber-400 font-medium block mb-1">
+                      Conflicting copy · {copy.contentHash} · Row{" "}
+                      {copy.provenance.map((entry) => entry.row).join(", ")}
+                    </span>
+                    <pre className="block bg-slate-900 text-slate-200 p-3 rounded overflow-x-auto whitespace-pre-wrap font-mono text-[10px] leading-relaxed max-h-[300px] overflow-y-auto">
+                      {copy.originalXml || "No XML available."}
+                    </pre>
+                  </div>
+                ))}
               </div>
             )}
           </div>
@@ -7,8 +7,14 @@ import {
   Activity,
   Info,
   History,
+  ShieldAlert,
+  Database,
+  Layers,
 } from "lucide-react";
 import clsx from "clsx";
+import { summarizeDiagnostics } from "../../services/cap-validator.js";
+import { DATA_SOURCES, getDatasetLabel } from "../../config/data-sources.js";
+import { getHighlightRanges } from "../../utils/search-index.js";
 
 // Map categories to icons
 const CATEGORY_ICONS = {
@@ -31,62 +37,143 @@ const SEVERITY_COLORS = {
   Unknown: "border-l-4 border-slate-300 bg-slate-50 dark:bg-slate-800/50",
 };
 
+/**
+ * Text with the words a search matched marked
+ * @param {Object} props
+ * @param {string} props.text - Text to show
+ * @param {Set<string>|null} props.terms - Folded terms to highlight
+ */
+function HighlightedText({ text, terms }) {
+  const ranges = getHighlightRanges(text, terms);
+  if (ranges.length === 0) return text;
+
+  const parts = [];
+  let position = 0;
+  for (const { start, end } of ranges) {
+    parts.push(text.slice(position, start));
+    parts.push(
+      <mark
+        key={start}
+        className="bg-yellow-200 dark:bg-yellow-500/40 text-inherit rounded-sm"
+      >
+        {text.slice(start, end)}
+      </mark>,
+    );
+    position = end;
+  }
+  parts.push(text.slice(position));
+
+  return parts;
+}
+
 /**
  * Individual alert item component for virtualization
  * Used by react-window's FixedSizeList
  */
-const AlertItem = React.memo(({ index, style, alerts, selectedAlertId, onAlertSelect, formatDate }) => {
-  const alert = alerts[index];
+const AlertItem = React.memo(
+  ({
+    index,
+    style,
+    alerts,
+    incidentIndex,
+    selectedAlertId,
+    onAlertSelect,
+    formatDate,
+    highlightTerms,
+  }) => {
+    const alert = alerts[index];
 
-  if (!alert) return null;
+    if (!alert) return null;
 
-  const Icon = CATEGORY_ICONS[alert.category] || Info;
-  const isSelected = selectedAlertId === alert.id;
+    const Icon = CATEGORY_ICONS[alert.category] || Info;
+    const isSelected = selectedAlertId === alert.id;
+    const { errors, warnings } = summarizeDiagnostics(alert.diagnostics);
+    const hasUpdates = alert.timeline && alert.timeline.length > 1;
+    // The dataset only tells the alerts apart when several are loaded
+    const showDatasets = DATA_SOURCES.length > 1 && alert.datasets?.length > 0;
+    const incidentSize = incidentIndex?.get(alert.id)?.alerts.length || 1;
 
-  return (
-    <div style={style}>
-      <div
-        onClick={() => onAlertSelect(alert)}
-        className={clsx(
-          "p-3 mx-2 mb-2 rounded-lg cursor-pointer transition-all duration-200 hover:shadow-md",
-          SEVERITY_COLORS[alert.severity] || SEVERITY_COLORS["Unknown"],
-          isSelected
-            ? "ring-2 ring-blue-500 shadow-md scale-[1.02]"
-            : "hover:scale-[1.01]",
-        )}
-      >
-        <div className="flex justify-between items-start mb-1">
-          <div className="flex items-center gap-2 text-xs font-semibold uppercase tracking-wider text-slate-500 dark:text-slate-400">
-            <Icon size={14} />
-            <span>{alert.category}</span>
-            <span>•</span>
-            <span>{alert.severity}</span>
+    return (
+      <div style={style}>
+        <div
+          onClick={() => onAlertSelect(alert)}
+          className={clsx(
+            "p-3 mx-2 mb-2 rounded-lg cursor-pointer transition-all duration-200 hover:shadow-md",
+            SEVERITY_COLORS[alert.severity] || SEVERITY_COLORS["Unknown"],
+            isSelected
+              ? "ring-2 ring-blue-500 shadow-md scale-[1.02]"
+              : "hover:scale-[1.01]",
+          )}
+        >
+          <div className="flex justify-between items-start mb-1">
+            <div className="flex items-center gap-2 text-xs font-semibold uppercase tracking-wider text-slate-500 dark:text-slate-400">
+              <Icon size={14} />
+              <span>{alert.category}</span>
+              <span>•</span>
+              <span>{alert.severity}</span>
+            </div>
+            <div className="flex items-center gap-2">
+              {errors + warnings > 0 && (
+                <span
+                  className={clsx(
+                    "flex items-center gap-0.5 text-xs font-medium",
+                    errors > 0
+                      ? "text-red-600 dark:text-red-400"
+                      : "text-amber-600 dark:text-amber-400",
+                  )}
+                  title={`CAP 1.2 conformance: ${errors} errors, ${warnings} warnings`}
+                >
+                  <ShieldAlert size={12} />
+                  {errors + warnings}
+                </span>
+              )}
+              <span className="text-xs text-slate-400 whitespace-nowrap">
+                {formatDate(alert.sent)}
+              </span>
+            </div>
           </div>
-          <span className="text-xs text-slate-400 whitespace-nowrap">
-            {formatDate(alert.sent)}
-          </span>
-        </div>
 
-        <h3 className="font-semibold text-slate-800 dark:text-slate-100 leading-tight mb-1 line-clamp-2">
-          {alert.title}
-        </h3>
+          <h3 className="font-semibold text-slate-800 dark:text-slate-100 leading-tight mb-1 line-clamp-2">
+            <HighlightedText text={alert.title} terms={highlightTerms} />
+          </h3>
 
-        {alert.timeline && alert.timeline.length > 1 && (
-          <div className="flex items-center gap-1 mb-1 text-xs text-blue-600 dark:text-blue-400 font-medium">
-            <History size={12} />
-            <span>{alert.timeline.length} updates</span>
-          </div>
-        )}
+          {(hasUpdates || incidentSize > 1 || showDatasets) && (
+            <div className="flex items-center gap-3 mb-1 text-xs font-medium">
+              {hasUpdates && (
+                <span className="flex items-center gap-1 text-blue-600 dark:text-blue-400">
+                  <History size={12} />
+                  {alert.timeline.length} updates
+                </span>
+              )}
+              {incidentSize > 1 && (
+                <span
+                  className="flex items-center gap-1 text-purple-600 dark:text-purple-400"
+                  title="Alerts about the same incident"
+                >
+                  <Layers size={12} />
+                  {incidentSize} in incident
+                </span>
+              )}
+              {showDatasets && (
+                <span className="flex items-center gap-1 min-w-0 text-slate-500 dark:text-slate-400">
+                  <Database size={12} className="shrink-0" />
+                  <span className="truncate">
+                    {alert.datasets.map(getDatasetLabel).join(", ")}
+                  </span>
+                </span>
+              )}
+            </div>
+          )}
 
-        <p className="text-sm text-slate-600 dark:text-slate-300 line-clamp-2">
-          {alert.description}
-        </p>
+          <p className="text-sm text-slate-600 dark:text-slate-300 line-clamp-2">
+            <HighlightedText text={alert.description} terms={highlightTerms} />
+          </p>
+        </div>
       </div>
-    </div>
-  );
-});
+    );
+  },
+);
 
 AlertItem.displayName = "AlertItem";
 
 export default AlertItem;
-
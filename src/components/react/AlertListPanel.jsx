@@ -1,19 +1,131 @@
 import React, { useMemo, useRef, useEffect, useState } from "react";
 import { List } from "react-window";
-import { Search, Filter, Info } from "lucide-react";
+import {
+  Search,
+  Filter,
+  Info,
+  ClipboardList,
+  MapPin,
+  X,
+  CircleHelp,
+} from "lucide-react";
+import clsx from "clsx";
 import AlertItem from "./AlertItem.jsx";
+import { collapseToIncidents } from "../../utils/incident-clustering.js";
+import { describeLocation, SortOrder } from "../../utils/alert-filters.js";
+import { findPlaces, getMatchedAltName } from "../../utils/gazetteer.js";
+import { SEARCH_FIELDS } from "../../utils/search-query.js";
+
+const LIST_VIEWS = [
+  { value: "alerts", label: "Alerts" },
+  { value: "incidents", label: "Incidents" },
+];
+
+const SORT_OPTIONS = [
+  { value: SortOrder.NEWEST, label: "Date" },
+  { value: SortOrder.RELEVANCE, label: "Relevance" },
+];
+
+const SEARCH_EXAMPLES = [
+  { query: '"heavy rain"', label: "Exact phrase" },
+  { query: 'event:"heavy rain" sender:metservice', label: "Field qualifiers" },
+  { query: "severity:severe OR severity:extreme", label: "Either term" },
+  { query: "rain NOT snow", label: "Exclude with NOT or -snow" },
+  { query: "sent:2023-01..2023-02", label: "Date range; leave an end open" },
+  { query: "(flood OR rain) -status:test", label: "Group with parentheses" },
+];
+
+/**
+ * Reference for the search query syntax, see utils/search-query.js
+ * @param {Object} props
+ * @param {Function} props.onExampleClick - Called with an example query
+ */
+function SearchSyntaxHelp({ onExampleClick }) {
+  return (
+    <div className="mt-2 p-3 rounded-lg bg-slate-100 dark:bg-slate-800 text-xs text-slate-600 dark:text-slate-300 space-y-2">
+      <p>
+        Words must all appear; AND is implied. Words also match by their start
+        or with a typo, ignoring macrons. Operators are written in capitals, and
+        a value with spaces or a colon goes in quotes.
+      </p>
+      <ul className="space-y-1">
+        {SEARCH_EXAMPLES.map((example) => (
+          <li key={example.query} className="flex gap-2">
+            <button
+              onClick={() => onExampleClick(example.query)}
+              className="font-mono text-blue-600 dark:text-blue-400 hover:underline text-left"
+            >
+              {example.query}
+            </button>
+            <span className="text-slate-500 dark:text-slate-400">
+              {example.label}
+            </span>
+          </li>
+        ))}
+      </ul>
+      <p>
+        <span className="font-semibold">Fields: </span>
+        {Object.entries(SEARCH_FIELDS).map(([field, definition], index) => (
+          <span key={field}>
+            {index > 0 && ", "}
+            <code title={definition.description}>{field}:</code>
+          </span>
+        ))}
+      </p>
+    </div>
+  );
+}
 
 export default function AlertListPanel({
-  alerts = [],
+  alerts: allAlerts = [],
+  incidentIndex = new Map(),
+  locationPoint = null,
+  locationPlace = null,
+  onClearLocation,
+  places = [],
+  onPlaceSelect,
   onAlertSelect,
   selectedAlertId,
   searchTerm,
+  searchError = null,
+  isSearching = false,
+  highlightTerms = null,
+  sortOrder = SortOrder.NEWEST,
+  onSortChange,
   onSearchChange,
   onFilterClick,
+  dataIssueCount = 0,
+  onDataQualityClick,
 }) {
   const listRef = useRef(null);
   const containerRef = useRef(null);
   const [listHeight, setListHeight] = useState(600);
+  const [view, setView] = useState("alerts");
+  const [isSearchFocused, setIsSearchFocused] = useState(false);
+  const [showSearchHelp, setShowSearchHelp] = useState(false);
+
+  // Places named like the search text, offered while typing
+  const placeSuggestions = useMemo(
+    () => (isSearchFocused ? findPlaces(places, searchTerm) : []),
+    [isSearchFocused, places, searchTerm],
+  );
+
+  const handleSearchKeyDown = (event) => {
+    if (event.key === "Enter" && placeSuggestions.length > 0) {
+      onPlaceSelect?.(placeSuggestions[0]);
+    } else if (event.key === "Escape") {
+      event.currentTarget.blur();
+    }
+  };
+
+  // The incident view lists each incident once, by its newest matching alert
+  const alerts = useMemo(
+    () =>
+      view === "incidents"
+        ? collapseToIncidents(allAlerts, incidentIndex)
+        : allAlerts,
+    [view, allAlerts, incidentIndex],
+  );
 
   const formatDate = (date) => {
     return new Intl.DateTimeFormat("en-NZ", {
@@ -52,11 +164,13 @@ export default function AlertListPanel({
   const rowProps = useMemo(
     () => ({
       alerts,
+      incidentIndex,
       selectedAlertId,
       onAlertSelect,
       formatDate,
+      highlightTerms,
     }),
-    [alerts, selectedAlertId, onAlertSelect],
+    [alerts, incidentIndex, selectedAlertId, onAlertSelect, highlightTerms],
   );
 
   // Estimate item height (adjust based on your actual item height)
@@ -74,16 +188,32 @@ export default function AlertListPanel({
               Emergency Alert Archive
             </h1>
             <p className="text-sm text-slate-500 dark:text-slate-400 mt-1">
-              {alerts.length} historical events preserved
+              {view === "incidents"
+                ? `${alerts.length} incidents from ${allAlerts.length} alerts`
+                : `${alerts.length} historical events preserved`}
             </p>
           </div>
-          <button
-            onClick={onFilterClick}
-            className="p-2 text-slate-600 hover:text-slate-900 dark:text-slate-400 dark:hover:text-white transition-colors bg-slate-100 dark:bg-slate-800 rounded-lg"
-            title="Filter Alerts"
-          >
-            <Filter size={20} />
-          </button>
+          <div className="flex items-center gap-2">
+            <button
+              onClick={onDataQualityClick}
+              className="relative p-2 text-slate-600 hover:text-slate-900 dark:text-slate-400 dark:hover:text-white transition-colors bg-slate-100 dark:bg-slate-800 rounded-lg"
+              title="Data Quality"
+            >
+              <ClipboardList size={20} />
+              {dataIssueCount > 0 && (
+                <span className="absolute -top-1.5 -right-1.5 min-w-5 h-5 px-1 flex items-center justify-center rounded-full bg-amber-500 text-white text-[10px] font-bold tabular-nums">
+                  {dataIssueCount > 99 ? "99+" : dataIssueCount}
+                </span>
+              )}
+            </button>
+            <button
+              onClick={onFilterClick}
+              className="p-2 text-slate-600 hover:text-slate-900 dark:text-slate-400 dark:hover:text-white transition-colors bg-slate-100 dark:bg-slate-800 rounded-lg"
+              title="Filter Alerts"
+            >
+              <Filter size={20} />
+            </button>
+          </div>
         </div>
 
         {/* Search Bar */}
@@ -94,11 +224,140 @@ export default function AlertListPanel({
           />
           <input
             type="text"
-            placeholder="Search alerts..."
+            placeholder="Search alerts or places..."
             value={searchTerm}
             onChange={(e) => onSearchChange(e.target.value)}
-            className="w-full pl-9 pr-4 py-2 bg-slate-100 dark:bg-slate-800 dark:placeholder-slate-400 dark:text-white border-none rounded-lg text-sm focus:ring-2 focus:ring-blue-500 outline-none transition-shadow"
+            onFocus={() => setIsSearchFocused(true)}
+            onBlur={() => setIsSearchFocused(false)}
+            onKeyDown={handleSearchKeyDown}
+            aria-invalid={searchError ? true : undefined}
+            className={clsx(
+              "w-full pl-9 pr-9 py-2 bg-slate-100 dark:bg-slate-800 dark:placeholder-slate-400 dark:text-white border-none rounded-lg text-sm focus:ring-2 outline-none transition-shadow",
+              searchError
+                ? "ring-2 ring-red-400 focus:ring-red-500"
+                : "focus:ring-blue-500",
+            )}
           />
+          <button
+            onClick={() => setShowSearchHelp(!showSearchHelp)}
+            className={clsx(
+              "absolute right-2 top-1/2 -translate-y-1/2 p-1 rounded transition-colors",
+              showSearchHelp
+                ? "text-blue-600 dark:text-blue-400"
+                : "text-slate-400 hover:text-slate-600 dark:hover:text-slate-200",
+            )}
+            title="Search syntax"
+            aria-expanded={showSearchHelp}
+          >
+            <CircleHelp size={16} />
+          </button>
+
+          {/* Place Suggestions */}
+          {placeSuggestions.length > 0 && (
+            <ul className="absolute left-0 right-0 top-full mt-1 z-20 py-1 bg-white dark:bg-slate-800 border border-slate-200 dark:border-slate-700 rounded-lg shadow-lg text-sm">
+              {placeSuggestions.map((place) => {
+                const altName = getMatchedAltName(place, searchTerm);
+                return (
+                  <li key={`${place.name}-${place.type}`}>
+                    <button
+                      // Keep focus in the input so the list isn't closed
+                      // before the click lands
+                      onMouseDown={(e) => e.preventDefault()}
+                      onClick={() => onPlaceSelect?.(place)}
+                      className="w-full flex items-center gap-2 px-3 py-1.5 text-left text-slate-700 dark:text-slate-200 hover:bg-slate-100 dark:hover:bg-slate-700 transition-colors"
+                    >
+                      <MapPin size={14} className="text-slate-400 shrink-0" />
+                      <span className="flex-1 min-w-0 truncate">
+                        {place.name}
+                        {altName && (
+                          <span className="text-slate-500 dark:text-slate-400">
+                            {" "}
+                            ({altName})
+                          </span>
+                        )}
+                      </span>
+                      <span className="text-xs text-slate-400 capitalize">
+                        {place.type}
+                      </span>
+                    </button>
+                  </li>
+                );
+              })}
+            </ul>
+          )}
+        </div>
+
+        {searchError && (
+          <p className="mt-1 text-xs text-red-600 dark:text-red-400">
+            {searchError.message} (at character {searchError.position + 1}).
+            Showing all alerts until the search is fixed.
+          </p>
+        )}
+
+        {isSearching && (
+          <div className="flex items-center justify-end gap-2 mt-2 text-xs text-slate-500 dark:text-slate-400">
+            <span>Sort by</span>
+            {SORT_OPTIONS.map((option) => (
+              <button
+                key={option.value}
+                onClick={() => onSortChange?.(option.value)}
+                className={clsx(
+                  "px-2 py-0.5 rounded transition-colors",
+                  sortOrder === option.value
+                    ? "bg-blue-500 text-white"
+                    : "hover:bg-slate-100 dark:hover:bg-slate-800",
+                )}
+              >
+                {option.label}
+              </button>
+            ))}
+          </div>
+        )}
+
+        {showSearchHelp && <SearchSyntaxHelp onExampleClick={onSearchChange} />}
+
+        {/* Location History */}
+        {locationPoint && (
+          <div className="flex items-center gap-2 mt-3 p-2 rounded-lg bg-indigo-50 dark:bg-indigo-900/20 text-sm text-indigo-800 dark:text-indigo-200">
+            <MapPin size={16} className="shrink-0" />
+            <div className="flex-1 min-w-0">
+              <div className="font-semibold">Location history</div>
+              <div className="text-xs tabular-nums">
+                {describeLocation({
+                  point: locationPoint,
+                  place: locationPlace,
+                })}{" "}
+                · {allAlerts.length}{" "}
+                {allAlerts.length === 1 ? "alert" : "alerts"} covered this
+                point, oldest first
+              </div>
+            </div>
+            <button
+              onClick={onClearLocation}
+              className="p-1 rounded-full hover:bg-indigo-100 dark:hover:bg-indigo-900/40 transition-colors"
+              aria-label="Clear location"
+            >
+              <X size={16} />
+            </button>
+          </div>
+        )}
+
+        {/* List View Toggle */}
+        <div className="flex mt-3 rounded border border-slate-200 dark:border-slate-700 overflow-hidden text-sm">
+          {LIST_VIEWS.map((option) => (
+            <button
+              key={option.value}
+              onClick={() => setView(option.value)}
+              className={clsx(
+                "flex-1 py-1 transition-colors",
+                view === option.value
+                  ? "bg-blue-500 text-white"
+                  : "text-slate-600 dark:text-slate-300 hover:bg-slate-100 dark:hover:bg-slate-800",
+              )}
+            >
+              {option.label}
+            </button>
+          ))}
         </div>
       </div>
 
@@ -111,13 +370,13 @@ export default function AlertListPanel({
           </div>
         ) : (
           <List
-          listRef={listRef}
-          rowCount={alerts.length}
-          rowHeight={ITEM_HEIGHT}
-          rowComponent={AlertItem}
-          rowProps={rowProps}
-          style={{ height: listHeight }}
-        />
+            listRef={listRef}
+            rowCount={alerts.length}
+            rowHeight={ITEM_HEIGHT}
+            rowComponent={AlertItem}
+            rowProps={rowProps}
+            style={{ height: listHeight }}
+          />
         )}
       </div>
 
@@ -9,23 +9,80 @@ import React, {
 } from "react";
 import { AlertTriangle } from "lucide-react";
 import { useAlertData } from "../../hooks/useAlertData.js";
+import { useGazetteer } from "../../hooks/useGazetteer.js";
+import { DATA_SOURCES } from "../../config/data-sources.js";
 import {
   applyFilters,
+  AreaFilterType,
   createEmptyFilters,
+  filterByReplayTime,
   getFilterOptions,
+  SortOrder,
 } from "../../utils/alert-filters.js";
+import { getLifecycleRange } from "../../utils/alert-lifecycle.js";
+import { getRelatedAlerts } from "../../utils/incident-clustering.js";
+import {
+  getHighlightTerms,
+  parseSearchQuery,
+} from "../../utils/search-query.js";
 import { readURLParams, updateURLParams } from "../../utils/url-params.js";
 import AppLayout from "./AppLayout.jsx";
 const MapLibreViewer = lazy(() => import("./MapLibreViewer.jsx"));
 import AlertListPanel from "./AlertListPanel.jsx";
 import AlertDetailsModal from "./AlertDetailsModal.jsx";
 import FilterPanel from "./FilterPanel.jsx";
+import DataQualityPanel, { countReportIssues } from "./DataQualityPanel.jsx";
 import DisclaimerModal from "./DisclaimerModal.jsx";
+import TimelinePlayer, { TimelinePlayerButton } from "./TimelinePlayer.jsx";
+
+/**
+ * Describe the current loading stage reported by the data worker
+ * @param {Object|null} status - Latest progress message, if any
+ * @returns {string} Human-readable status line
+ */
+function formatLoadingStatus(status) {
+  if (!status) return "Loading Alerts...";
+
+  const toMB = (bytes) => (bytes / (1024 * 1024)).toFixed(1);
+
+  switch (status.stage) {
+    case "download": {
+      const downloaded = status.bytesTotal
+        ? `Downloading ${toMB(status.bytesLoaded)} of ${toMB(status.bytesTotal)} MB`
+        : `Downloading ${toMB(status.bytesLoaded)} MB`;
+      return status.datasetLabel
+        ? `${downloaded} · ${status.datasetLabel}...`
+        : `${downloaded}...`;
+    }
+    case "parse": {
+      const parsed = `Parsed ${status.rowsProcessed.toLocaleString()} rows (${status.alertsProcessed.toLocaleString()} alerts)`;
+      return status.datasetLabel
+        ? `${parsed} · ${status.datasetLabel}...`
+        : `${parsed}...`;
+    }
+    case "group":
+      return `Grouping ${status.alertsProcessed.toLocaleString()} alerts...`;
+    default:
+      return "Loading Alerts...";
+  }
+}
 
 export default function AlertMapApp() {
   // Data loading
-  const { alerts, loading, error, retryLoading, getAlertById } =
-    useAlertData("data/cap.csv");
+  const {
+    alerts,
+    loading,
+    error,
+    loadingProgress,
+    loadingStatus,
+    ingestionReport,
+    spatialIndex,
+    searchIndex,
+    incidentIndex,
+    retryLoading,
+    getAlertById,
+  } = useAlertData(DATA_SOURCES, "data/alerts.json");
+  const places = useGazetteer();
 
   // State
   const [selectedAlert, setSelectedAlert] = useState(null);
@@ -34,7 +91,14 @@ export default function AlertMapApp() {
   const [isDarkMode, setIsDarkMode] = useState(false);
   const [filters, setFilters] = useState(createEmptyFilters());
   const [isFilterOpen, setIsFilterOpen] = useState(false);
+  const [isDataQualityOpen, setIsDataQualityOpen] = useState(false);
   const [showDisclaimer, setShowDisclaimer] = useState(false);
+  // Moment shown on the map while replaying and the one before it, or null
+  // when not replaying
+  const [playback, setPlayback] = useState(null);
+  const playbackTime = playback?.time || null;
+  // Place last chosen from place search, for the map to fly to
+  const [focusedPlace, setFocusedPlace] = useState(null);
 
   // Track if we've initialized from URL to prevent loops
   const hasInitializedFromURL = useRef(false);
@@ -52,9 +116,15 @@ export default function AlertMapApp() {
     }
   }, []);
 
-  // Initialize from URL query parameters on mount (after alerts are loaded)
+  // Initialize from URL query parameters on mount (after alerts are loaded,
+  // so an alert from the URL isn't missed while partial results arrive)
   useEffect(() => {
-    if (!alerts || alerts.length === 0 || hasInitializedFromURL.current) {
+    if (
+      loading ||
+      !alerts ||
+      alerts.length === 0 ||
+      hasInitializedFromURL.current
+    ) {
       return;
     }
 
@@ -87,7 +157,37 @@ export default function AlertMapApp() {
         isUpdatingURL.current = false;
       }
     }
-  }, [alerts, getAlertById]);
+  }, [alerts, loading, getAlertById]);
+
+  // Partial results are replaced once loading completes, so point the
+  // selection at the current copy of its alert
+  useEffect(() => {
+    setSelectedAlert(
+      (current) => current && (getAlertById(current.id) || current),
+    );
+  }, [getAlertById]);
+
+  // A region area from the URL is only a name until the gazetteer loads;
+  // one the gazetteer has no boundary for is dropped
+  useEffect(() => {
+    if (
+      filters.area?.type !== AreaFilterType.REGION ||
+      filters.area.geometry ||
+      places.length === 0
+    ) {
+      return;
+    }
+
+    const region = places.find(
+      (place) => place.geometry && place.name === filters.area.name,
+    );
+    setFilters((currentFilters) => ({
+      ...currentFilters,
+      area: region
+        ? { ...currentFilters.area, geometry: region.geometry }
+        : null,
+    }));
+  }, [filters.area, places]);
 
   // Update URL when filters or selectedAlert changes (but not during initialization)
   useEffect(() => {
@@ -149,6 +249,10 @@ export default function AlertMapApp() {
     return () => window.removeEventListener("popstate", handlePopState);
   }, [getAlertById]);
 
+  const relatedAlerts = useMemo(() => {
+    return getRelatedAlerts(incidentIndex, selectedAlert);
+  }, [incidentIndex, selectedAlert]);
+
   // Compute available filter options based on all alerts
   const filterOptions = useMemo(() => {
     return getFilterOptions(alerts);
@@ -161,8 +265,73 @@ export default function AlertMapApp() {
       ...filters,
       searchText: searchTerm,
     };
-    return applyFilters(alerts, activeFilters);
-  }, [alerts, filters, searchTerm]);
+    return applyFilters(alerts, activeFilters, { spatialIndex, searchIndex });
+  }, [alerts, filters, searchTerm, spatialIndex, searchIndex]);
+
+  // The parsed search query; syntax errors are shown under the search box
+  const searchQuery = useMemo(() => {
+    return parseSearchQuery(searchTerm);
+  }, [searchTerm]);
+
+  // Words to highlight in the list, including the prefix and typo matches
+  // the search found
+  const highlightTerms = useMemo(() => {
+    return getHighlightTerms(searchQuery.query, searchIndex);
+  }, [searchQuery, searchIndex]);
+
+  // A location's history reads oldest first, unless ranked by a search
+  const listAlerts = useMemo(() => {
+    const isRanked =
+      filters.sort === SortOrder.RELEVANCE && searchQuery.query !== null;
+    return filters.point && !isRanked
+      ? [...filteredAlerts].reverse()
+      : filteredAlerts;
+  }, [filters.point, filters.sort, searchQuery, filteredAlerts]);
+
+  // Replay steps through the filtered alerts with its own clock in place of
+  // any "as of" instant
+  const replayAlerts = useMemo(() => {
+    if (!filters.asOf) return filteredAlerts;
+    return applyFilters(
+      alerts,
+      { ...filters, asOf: null, searchText: searchTerm },
+      { spatialIndex, searchIndex },
+    );
+  }, [alerts, filters, searchTerm, spatialIndex, searchIndex, filteredAlerts]);
+
+  // Replay the filtered date range, or the span of the alerts if unset
+  const playbackRange = useMemo(() => {
+    const alertRange = getLifecycleRange(replayAlerts);
+    if (!alertRange) return null;
+
+    const start = filters.dateRange?.start || alertRange.start;
+    const end = filters.dateRange?.end || alertRange.end;
+    return end > start ? { start, end } : null;
+  }, [replayAlerts, filters.dateRange]);
+
+  // While replaying, the map shows the alerts in force at the replay time
+  // and, for a step, those that just ended
+  const mapAlerts = useMemo(() => {
+    return playback
+      ? filterByReplayTime(replayAlerts, playback.time, playback.previousTime)
+      : filteredAlerts;
+  }, [replayAlerts, playback, filteredAlerts]);
+
+  const inForceCount = useMemo(() => {
+    return mapAlerts.filter((alert) => !alert.isCancelled && !alert.isExpired)
+      .length;
+  }, [mapAlerts]);
+
+  // Show the selected alert as it stood at the "as of" or replay time. The
+  // map keeps the selection itself so it doesn't refit on every replay step.
+  const displayedAlert = useMemo(() => {
+    if (!selectedAlert || (!filters.asOf && !playbackTime)) {
+      return selectedAlert;
+    }
+    return (
+      mapAlerts.find((alert) => alert.id === selectedAlert.id) || selectedAlert
+    );
+  }, [selectedAlert, mapAlerts, filters.asOf, playbackTime]);
 
   // Handlers
   const handleAlertSelect = useCallback((alert) => {
@@ -178,16 +347,74 @@ export default function AlertMapApp() {
     setFilters(newFilters);
   }, []);
 
+  const handleAreaChange = useCallback((area) => {
+    setFilters((currentFilters) => ({ ...currentFilters, area }));
+  }, []);
+
+  const handlePointChange = useCallback((point) => {
+    setFilters((currentFilters) => ({ ...currentFilters, point, place: null }));
+  }, []);
+
+  // A place from the gazetteer filters to alerts covering it, whatever
+  // their area descriptions call it, so the typed name is cleared. A region
+  // with a boundary limits the area to it instead of a point.
+  const handlePlaceSelect = useCallback((place) => {
+    setFilters((currentFilters) =>
+      place.geometry
+        ? {
+            ...currentFilters,
+            area: {
+              type: AreaFilterType.REGION,
+              name: place.name,
+              geometry: place.geometry,
+            },
+            point: null,
+            place: null,
+          }
+        : {
+            ...currentFilters,
+            point: [place.lng, place.lat],
+            place: place.name,
+          },
+    );
+    setSearchTerm("");
+    setFocusedPlace(place);
+  }, []);
+
+  const handleSortChange = useCallback((sort) => {
+    setFilters((currentFilters) => ({ ...currentFilters, sort }));
+  }, []);
+
   const handleClearFilters = useCallback(() => {
     setFilters(createEmptyFilters());
   }, []);
 
-  if (loading) {
+  const handleStartPlayback = useCallback(() => {
+    if (playbackRange) {
+      setPlayback({ time: playbackRange.start, previousTime: null });
+    }
+  }, [playbackRange]);
+
+  const handlePlaybackTimeChange = useCallback((time) => {
+    setPlayback((current) => ({ time, previousTime: current?.time || null }));
+  }, []);
+
+  // Partial results are shown as they arrive, with the progress bar over
+  // the map until loading completes
+  if (loading && !alerts) {
     return (
       <div className="flex items-center justify-center h-screen w-screen bg-slate-50 dark:bg-slate-900 text-slate-500">
         <div className="flex flex-col items-center gap-4">
           <div className="w-8 h-8 border-4 border-blue-500 border-t-transparent rounded-full animate-spin" />
-          <p>Loading Alerts...</p>
+          <div className="w-64 h-1.5 bg-slate-200 dark:bg-slate-700 rounded-full overflow-hidden">
+            <div
+              className="h-full bg-blue-500 transition-[width] duration-200"
+              style={{ width: `${loadingProgress}%` }}
+            />
+          </div>
+          <p className="text-sm tabular-nums">
+            {formatLoadingStatus(loadingStatus)}
+          </p>
         </div>
       </div>
     );
@@ -224,21 +451,41 @@ export default function AlertMapApp() {
               onClose={() => setIsFilterOpen(false)}
               onClearFilters={handleClearFilters}
             />
+          ) : isDataQualityOpen ? (
+            <DataQualityPanel
+              report={ingestionReport}
+              onClose={() => setIsDataQualityOpen(false)}
+            />
           ) : (
             <AlertListPanel
-              alerts={filteredAlerts}
+              alerts={listAlerts}
+              incidentIndex={incidentIndex}
+              locationPoint={filters.point}
+              locationPlace={filters.place}
+              onClearLocation={() => handlePointChange(null)}
+              places={places}
+              onPlaceSelect={handlePlaceSelect}
               onAlertSelect={handleAlertSelect}
               selectedAlertId={selectedAlert?.id}
               searchTerm={searchTerm}
+              searchError={searchQuery.error}
+              isSearching={searchQuery.query !== null}
+              highlightTerms={highlightTerms}
+              sortOrder={filters.sort}
+              onSortChange={handleSortChange}
               onSearchChange={setSearchTerm}
               onFilterClick={() => setIsFilterOpen(true)}
+              dataIssueCount={countReportIssues(ingestionReport)}
+              onDataQualityClick={() => setIsDataQualityOpen(true)}
             />
           )
         }
         detailsPanel={
           selectedAlert ? (
             <AlertDetailsModal
-              alert={selectedAlert}
+              alert={displayedAlert}
+              relatedAlerts={relatedAlerts}
+              onAlertSelect={handleAlertSelect}
               onClose={handleCloseDetails}
             />
           ) : null
@@ -247,24 +494,62 @@ export default function AlertMapApp() {
         onToggleSidebar={() => setIsSidebarOpen(!isSidebarOpen)}
         onCloseDetails={handleCloseDetails}
         floatingControls={
-          <button
-            onClick={() => setShowDisclaimer(true)}
-            className="absolute top-2 right-2 md:top-auto md:bottom-2 md:right-14 pointer-events-auto bg-white/90 dark:bg-slate-900/90 backdrop-blur-sm border border-slate-200 dark:border-slate-700 rounded-full px-3 py-1.5 flex items-center gap-2 shadow-lg hover:bg-red-50 dark:hover:bg-red-900/30 transition-colors group z-50"
-            title="Important Disclaimer"
-          >
-            <AlertTriangle size={16} className="text-red-500" />
-            <span className="text-xs font-semibold text-slate-700 dark:text-slate-300">
-              Not for Emergency Use
-            </span>
-          </button>
+          <>
+            {loading && (
+              <div className="absolute top-14 left-1/2 -translate-x-1/2 md:top-2 pointer-events-auto bg-white/90 dark:bg-slate-900/90 backdrop-blur-sm border border-slate-200 dark:border-slate-700 rounded-full px-3 py-1.5 flex items-center gap-2 shadow-lg text-xs text-slate-600 dark:text-slate-300">
+                <div className="w-24 h-1.5 bg-slate-200 dark:bg-slate-700 rounded-full overflow-hidden">
+                  <div
+                    className="h-full bg-blue-500 transition-[width] duration-200"
+                    style={{ width: `${loadingProgress}%` }}
+                  />
+                </div>
+                <span className="tabular-nums">
+                  {formatLoadingStatus(loadingStatus)}
+                </span>
+              </div>
+            )}
+            {playbackTime && playbackRange ? (
+              <div className="absolute bottom-20 inset-x-4 md:bottom-10 md:left-[25rem] md:right-16 max-w-2xl pointer-events-auto">
+                <TimelinePlayer
+                  range={playbackRange}
+                  currentTime={playbackTime}
+                  onTimeChange={handlePlaybackTimeChange}
+                  inForceCount={inForceCount}
+                  onClose={() => setPlayback(null)}
+                />
+              </div>
+            ) : (
+              <div className="absolute top-14 right-2 md:top-2 pointer-events-auto">
+                <TimelinePlayerButton
+                  onClick={handleStartPlayback}
+                  disabled={!playbackRange}
+                />
+              </div>
+            )}
+            <button
+              onClick={() => setShowDisclaimer(true)}
+              className="absolute top-2 right-2 md:top-auto md:bottom-2 md:right-14 pointer-events-auto bg-white/90 dark:bg-slate-900/90 backdrop-blur-sm border border-slate-200 dark:border-slate-700 rounded-full px-3 py-1.5 flex items-center gap-2 shadow-lg hover:bg-red-50 dark:hover:bg-red-900/30 transition-colors group z-50"
+              title="Important Disclaimer"
+            >
+              <AlertTriangle size={16} className="text-red-500" />
+              <span className="text-xs font-semibold text-slate-700 dark:text-slate-300">
+                Not for Emergency Use
+              </span>
+            </button>
+          </>
         }
       >
         <Suspense fallback={<div>Loading map...</div>}>
           <MapLibreViewer
             alerts={alerts}
-            filteredAlerts={filteredAlerts}
+            filteredAlerts={mapAlerts}
             selectedAlert={selectedAlert}
             onAlertSelect={handleAlertSelect}
+            areaFilter={filters.area}
+            onAreaChange={handleAreaChange}
+            locationPoint={filters.point}
+            onLocationPick={handlePointChange}
+            focusedPlace={focusedPlace}
             isDarkMode={isDarkMode}
           />
         </Suspense>
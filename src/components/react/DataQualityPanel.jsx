@@ -0,0 +1,328 @@
+import React from "react";
+import { X, Download, CheckCircle } from "lucide-react";
+import clsx from "clsx";
+import { getDatasetLabel } from "../../config/data-sources.js";
+
+// Entries shown per section; the downloaded report always has all of them
+const MAX_VISIBLE_ENTRIES = 100;
+
+/**
+ * Total number of problems recorded in an ingestion report
+ * @param {Object|null} report - Ingestion report from DataProcessor
+ * @returns {number} Number of issues across every section
+ */
+export function countReportIssues(report) {
+  if (!report) return 0;
+
+  return (
+    report.skippedRows.length +
+    report.fallbackRows.length +
+    report.parseWarnings.length +
+    report.coordinateWarnings.length +
+    report.invalidAlerts.length +
+    report.conflictingDuplicates.length +
+    (report.datasets || []).filter((dataset) => dataset.error).length
+  );
+}
+
+/**
+ * Save the full report as a JSON file
+ * @param {Object} report - Ingestion report from DataProcessor
+ */
+function downloadReport(report) {
+  const blob = new Blob([JSON.stringify(report, null, 2)], {
+    type: "application/json",
+  });
+  const url = URL.createObjectURL(blob);
+
+  const link = document.createElement("a");
+  link.href = url;
+  link.download = `ingestion-report-${report.generatedAt.slice(0, 10)}.json`;
+  link.click();
+
+  URL.revokeObjectURL(url);
+}
+
+function IssueSection({ title, description, entries, renderEntry }) {
+  return (
+    <details
+      className="group border border-slate-200 dark:border-slate-800 rounded-lg"
+      open={entries.length > 0 && entries.length <= 10}
+    >
+      <summary className="list-none flex justify-between items-center gap-2 p-3 cursor-pointer">
+        <span className="font-semibold text-slate-700 dark:text-slate-200">
+          {title}
+        </span>
+        <span
+          className={clsx(
+            "px-2 py-0.5 rounded-full text-xs font-bold tabular-nums",
+            entries.length > 0
+              ? "bg-amber-100 text-amber-800 dark:bg-amber-900/40 dark:text-amber-300"
+              : "bg-slate-100 text-slate-500 dark:bg-slate-800 dark:text-slate-400",
+          )}
+        >
+          {entries.length}
+        </span>
+      </summary>
+      <div className="px-3 pb-3 space-y-2">
+        <p className="text-xs text-slate-500 dark:text-slate-400">
+          {description}
+        </p>
+        {entries.slice(0, MAX_VISIBLE_ENTRIES).map((entry, index) => (
+          <div
+            key={index}
+            className="p-2 bg-slate-50 dark:bg-slate-800/50 rounded text-xs text-slate-700 dark:text-slate-300 space-y-1"
+          >
+            {renderEntry(entry)}
+          </div>
+        ))}
+        {entries.length > MAX_VISIBLE_ENTRIES && (
+          <p className="text-xs text-slate-500 dark:text-slate-400">
+            …and {entries.length - MAX_VISIBLE_ENTRIES} more. Download the
+            report for the full list.
+          </p>
+        )}
+      </div>
+    </details>
+  );
+}
+
+function RowLabel({ row, guid, dataset }) {
+  return (
+    <div className="font-mono text-slate-500 dark:text-slate-400 break-all">
+      {dataset && `${getDatasetLabel(dataset)} · `}
+      {row !== null && row !== undefined ? `Row ${row}` : "Unknown row"}
+      {guid && ` · ${guid}`}
+    </div>
+  );
+}
+
+function DatasetLabels({ datasets }) {
+  if (!datasets?.length) return null;
+
+  return (
+    <div className="text-slate-500 dark:text-slate-400">
+      {datasets.map(getDatasetLabel).join(", ")}
+    </div>
+  );
+}
+
+function DatasetSummary({ datasets }) {
+  return (
+    <div className="border border-slate-200 dark:border-slate-800 rounded-lg divide-y divide-slate-200 dark:divide-slate-800">
+      {datasets.map((dataset) => (
+        <div key={dataset.id} className="p-3 text-xs space-y-1">
+          <div className="flex justify-between gap-2">
+            <span className="font-semibold text-slate-700 dark:text-slate-200">
+              {dataset.label}
+            </span>
+            <span className="text-slate-500 dark:text-slate-400 tabular-nums">
+              {dataset.rowCount.toLocaleString()} records ·{" "}
+              {dataset.alertCount.toLocaleString()} alerts
+            </span>
+          </div>
+          {dataset.error && (
+            <div className="text-red-600 dark:text-red-400">
+              Not loaded: {dataset.error}
+            </div>
+          )}
+        </div>
+      ))}
+    </div>
+  );
+}
+
+function Snippet({ snippet }) {
+  if (!snippet) return null;
+
+  return (
+    <pre className="p-2 bg-white dark:bg-slate-900 rounded overflow-x-auto whitespace-pre-wrap break-all text-[10px] text-slate-600 dark:text-slate-400">
+      {snippet}
+    </pre>
+  );
+}
+
+export default function DataQualityPanel({ report, onClose }) {
+  const issueCount = countReportIssues(report);
+
+  const stats = report
+    ? [
+        { label: "Source records", value: report.rowCount },
+        { label: "Alerts parsed", value: report.alertCount },
+        { label: "Valid alerts", value: report.validAlertCount },
+        { label: "Duplicates merged", value: report.duplicateCount },
+        { label: "Issues", value: issueCount },
+      ]
+    : [];
+
+  return (
+    <div className="flex flex-col h-full bg-white dark:bg-slate-900">
+      {/* Header */}
+      <div className="p-4 border-b border-slate-200 dark:border-slate-800 flex justify-between items-center bg-white/80 dark:bg-slate-900/80 backdrop-blur-md sticky top-0 z-10">
+        <h2 className="text-xl font-bold text-slate-900 dark:text-white">
+          Data Quality
+        </h2>
+        <div className="flex items-center gap-2">
+          {report && (
+            <button
+              onClick={() => downloadReport(report)}
+              className="flex items-center gap-1 text-sm text-blue-600 dark:text-blue-400 hover:underline px-2"
+            >
+              <Download size={14} />
+              Download
+            </button>
+          )}
+          <button
+            onClick={onClose}
+            className="p-2 text-slate-500 hover:bg-slate-100 dark:hover:bg-slate-800 rounded-full transition-colors"
+          >
+            <X size={20} />
+          </button>
+        </div>
+      </div>
+
+      {/* Report Content */}
+      <div className="flex-1 overflow-y-auto p-4 space-y-4">
+        {!report ? (
+          <p className="text-sm text-slate-500 dark:text-slate-400">
+            No ingestion report is available for this data.
+          </p>
+        ) : (
+          <>
+            <div className="grid grid-cols-2 gap-3">
+              {stats.map((stat) => (
+                <div
+                  key={stat.label}
+                  className="p-3 bg-slate-50 dark:bg-slate-800/50 rounded-lg"
+                >
+                  <div className="text-xs text-slate-500 dark:text-slate-400">
+                    {stat.label}
+                  </div>
+                  <div className="text-lg font-bold text-slate-900 dark:text-white tabular-nums">
+                    {stat.value.toLocaleString()}
+                  </div>
+                </div>
+              ))}
+            </div>
+
+            {report.datasets?.length > 1 && (
+              <DatasetSummary datasets={report.datasets} />
+            )}
+
+            <p className="text-xs text-slate-500 dark:text-slate-400">
+              Generated {new Date(report.generatedAt).toLocaleString("en-NZ")}
+            </p>
+
+            {issueCount === 0 && (
+              <div className="flex items-center gap-2 text-sm text-green-700 dark:text-green-400">
+                <CheckCircle size={16} />
+                Every row was ingested without problems.
+              </div>
+            )}
+
+            <IssueSection
+              title="Skipped Rows"
+              description="Rows that produced no alert."
+              entries={report.skippedRows}
+              renderEntry={(entry) => (
+                <>
+                  <RowLabel
+                    row={entry.row}
+                    guid={entry.guid}
+                    dataset={entry.dataset}
+                  />
+                  <div>{entry.reason}</div>
+                  <Snippet snippet={entry.snippet} />
+                </>
+              )}
+            />
+
+            <IssueSection
+              title="Unreadable CAP XML"
+              description="Rows whose CAP XML could not be used. They are shown from the feed's title and summary instead."
+              entries={report.fallbackRows}
+              renderEntry={(entry) => (
+                <>
+                  <RowLabel
+                    row={entry.row}
+                    guid={entry.guid}
+                    dataset={entry.dataset}
+                  />
+                  <div>{entry.reason}</div>
+                  <Snippet snippet={entry.snippet} />
+                </>
+              )}
+            />
+
+            <IssueSection
+              title="CSV Parse Warnings"
+              description="Problems reported by the CSV parser, such as malformed quotes or missing fields."
+              entries={report.parseWarnings}
+              renderEntry={(entry) => (
+                <>
+                  <RowLabel row={entry.row} dataset={entry.dataset} />
+                  <div>
+                    <span className="font-mono">{entry.code}</span>:{" "}
+                    {entry.message}
+                  </div>
+                </>
+              )}
+            />
+
+            <IssueSection
+              title="Coordinate Warnings"
+              description="Polygon and circle coordinates that were dropped or fall outside New Zealand."
+              entries={report.coordinateWarnings}
+              renderEntry={(entry) => (
+                <>
+                  <RowLabel
+                    row={entry.row}
+                    guid={entry.guid}
+                    dataset={entry.dataset}
+                  />
+                  <div>{entry.reason}</div>
+                  <div className="font-mono break-all text-slate-500 dark:text-slate-400">
+                    {entry.value}
+                  </div>
+                </>
+              )}
+            />
+
+            <IssueSection
+              title="Invalid Alerts"
+              description="Alerts that were parsed but dropped because required fields are missing."
+              entries={report.invalidAlerts}
+              renderEntry={(entry) => (
+                <>
+                  <div className="font-mono text-slate-500 dark:text-slate-400 break-all">
+                    {entry.identifier || entry.id}
+                  </div>
+                  <DatasetLabels datasets={entry.datasets} />
+                  <div>{entry.reason}</div>
+                </>
+              )}
+            />
+
+            <IssueSection
+              title="Conflicting Duplicates"
+              description="Messages that appear more than once with the same sender, identifier and sent time but different content. The first copy is used; the others are kept with the alert's original XML."
+              entries={report.conflictingDuplicates}
+              renderEntry={(entry) => (
+                <>
+                  <div className="font-mono text-slate-500 dark:text-slate-400 break-all">
+                    {entry.identifier} · {entry.sender}
+                  </div>
+                  <DatasetLabels datasets={entry.datasets} />
+                  <div>
+                    Rows {entry.rows.join(", ")} ({entry.contentHashes.length}{" "}
+                    versions)
+                  </div>
+                </>
+              )}
+            />
+          </>
+        )}
+      </div>
+    </div>
+  );
+}
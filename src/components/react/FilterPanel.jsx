@@ -1,6 +1,20 @@
-import React from "react";
-import { X, Check, Calendar } from "lucide-react";
+import React, { useState } from "react";
+import { X, Check, Calendar, Clock, MapPinned, MapPin } from "lucide-react";
 import clsx from "clsx";
+import { getDatasetLabel } from "../../config/data-sources.js";
+import { getSenderLabel } from "../../config/senders.js";
+import {
+  DateRangeMode,
+  describeAreaFilter,
+  describeLocation,
+} from "../../utils/alert-filters.js";
+import { parsePoint } from "../../utils/url-params.js";
+import SenderLogo from "./SenderLogo.jsx";
+
+const DATE_RANGE_MODES = [
+  { value: DateRangeMode.SENT, label: "Sent" },
+  { value: DateRangeMode.IN_FORCE, label: "In force" },
+];
 
 export default function FilterPanel({
   filterOptions,
@@ -19,8 +33,47 @@ export default function FilterPanel({
       label: "Message Type",
       options: filterOptions.messageTypes,
     },
+    {
+      id: "senders",
+      label: "Sender",
+      options: filterOptions.senders || [],
+      formatOption: getSenderLabel,
+      renderIcon: (senderId) => (
+        <SenderLogo
+          senderId={senderId}
+          className="text-slate-400 dark:text-slate-500"
+        />
+      ),
+    },
   ];
 
+  // Only worth offering once more than one dataset is loaded
+  if (filterOptions.datasets?.length > 1) {
+    sections.push({
+      id: "datasets",
+      label: "Dataset",
+      options: filterOptions.datasets,
+      formatOption: getDatasetLabel,
+    });
+  }
+
+  const [locationInput, setLocationInput] = useState("");
+  const [locationError, setLocationError] = useState(null);
+
+  const handleLocationSubmit = (event) => {
+    event.preventDefault();
+
+    const point = parsePoint(locationInput);
+    if (!point) {
+      setLocationError('Enter a latitude and longitude, e.g. "-36.85, 174.76"');
+      return;
+    }
+
+    setLocationError(null);
+    setLocationInput("");
+    onFilterChange({ ...activeFilters, point, place: null });
+  };
+
   const toggleFilter = (sectionId, value) => {
     const currentValues = activeFilters[sectionId] || [];
     const newValues = currentValues.includes(value)
@@ -53,6 +106,22 @@ export default function FilterPanel({
     return date.toISOString().split("T")[0];
   };
 
+  // Helper to format Date object to a local YYYY-MM-DDTHH:mm string for a
+  // datetime-local input
+  const formatDateTimeForInput = (date) => {
+    if (!date) return "";
+    const pad = (value) => String(value).padStart(2, "0");
+    return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}T${pad(date.getHours())}:${pad(date.getMinutes())}`;
+  };
+
+  const handleAsOfChange = (value) => {
+    // datetime-local values without a zone are parsed as local time
+    onFilterChange({
+      ...activeFilters,
+      asOf: value ? new Date(value) : null,
+    });
+  };
+
   return (
     <div className="flex flex-col h-full bg-white dark:bg-slate-900">
       {/* Header */}
@@ -127,6 +196,147 @@ export default function FilterPanel({
               </div>
             </div>
           </div>
+          <div className="flex items-center gap-2 mt-3 text-xs">
+            <span className="text-slate-500">Match alerts</span>
+            <div className="flex rounded border border-slate-200 dark:border-slate-700 overflow-hidden">
+              {DATE_RANGE_MODES.map((mode) => (
+                <button
+                  key={mode.value}
+                  onClick={() =>
+                    onFilterChange({
+                      ...activeFilters,
+                      dateRangeMode: mode.value,
+                    })
+                  }
+                  className={clsx(
+                    "px-2 py-1 transition-colors",
+                    (activeFilters.dateRangeMode || DateRangeMode.SENT) ===
+                      mode.value
+                      ? "bg-blue-500 text-white"
+                      : "text-slate-600 dark:text-slate-300 hover:bg-slate-50 dark:hover:bg-slate-800",
+                  )}
+                  title={
+                    mode.value === DateRangeMode.IN_FORCE
+                      ? "Alerts that were in force at any time in the range"
+                      : "Alerts whose latest message was sent in the range"
+                  }
+                >
+                  {mode.label}
+                </button>
+              ))}
+            </div>
+          </div>
+        </div>
+
+        {/* As Of Section */}
+        <div>
+          <h3 className="text-sm font-bold text-slate-500 dark:text-slate-400 uppercase tracking-wider mb-1">
+            As Of
+          </h3>
+          <p className="text-xs text-slate-500 mb-3">
+            Show only alerts in force at this moment, as they stood then.
+          </p>
+          <div className="flex items-center gap-2">
+            <div className="relative flex-1">
+              <Clock
+                className="absolute left-2.5 top-2.5 text-slate-400 pointer-events-none"
+                size={14}
+              />
+              <input
+                id="filter-as-of"
+                type="datetime-local"
+                aria-label="As of"
+                value={formatDateTimeForInput(activeFilters.asOf)}
+                onChange={(e) => handleAsOfChange(e.target.value)}
+                className="w-full pl-8 pr-2 py-1.5 bg-slate-50 dark:bg-slate-800 border border-slate-200 dark:border-slate-700 rounded text-sm focus:ring-2 focus:ring-blue-500 outline-none text-slate-700 dark:text-slate-200"
+              />
+            </div>
+            {activeFilters.asOf && (
+              <button
+                onClick={() => handleAsOfChange("")}
+                className="text-sm text-blue-600 dark:text-blue-400 hover:underline px-2"
+              >
+                Clear
+              </button>
+            )}
+          </div>
+        </div>
+
+        {/* Area Section */}
+        <div>
+          <h3 className="text-sm font-bold text-slate-500 dark:text-slate-400 uppercase tracking-wider mb-1">
+            Area
+          </h3>
+          {activeFilters.area ? (
+            <div className="flex items-center gap-2">
+              <div className="flex-1 flex items-center gap-2 px-2 py-1.5 bg-slate-50 dark:bg-slate-800 border border-slate-200 dark:border-slate-700 rounded text-sm text-slate-700 dark:text-slate-200">
+                <MapPinned size={14} className="text-slate-400 shrink-0" />
+                {describeAreaFilter(activeFilters.area)}
+              </div>
+              <button
+                onClick={() => onFilterChange({ ...activeFilters, area: null })}
+                className="text-sm text-blue-600 dark:text-blue-400 hover:underline px-2"
+              >
+                Clear
+              </button>
+            </div>
+          ) : (
+            <p className="text-xs text-slate-500">
+              Draw a shape or box with the tools on the map, or limit alerts to
+              the current view.
+            </p>
+          )}
+        </div>
+
+        {/* Location Section */}
+        <div>
+          <h3 className="text-sm font-bold text-slate-500 dark:text-slate-400 uppercase tracking-wider mb-1">
+            Location
+          </h3>
+          <p className="text-xs text-slate-500 mb-3">
+            Every alert that ever covered a point. Enter coordinates, search a
+            place name from the alert list or pick the point on the map.
+          </p>
+          {activeFilters.point ? (
+            <div className="flex items-center gap-2">
+              <div className="flex-1 flex items-center gap-2 px-2 py-1.5 bg-slate-50 dark:bg-slate-800 border border-slate-200 dark:border-slate-700 rounded text-sm text-slate-700 dark:text-slate-200 tabular-nums">
+                <MapPin size={14} className="text-slate-400 shrink-0" />
+                {describeLocation(activeFilters)}
+              </div>
+              <button
+                onClick={() =>
+                  onFilterChange({ ...activeFilters, point: null, place: null })
+                }
+                className="text-sm text-blue-600 dark:text-blue-400 hover:underline px-2"
+              >
+                Clear
+              </button>
+            </div>
+          ) : (
+            <form onSubmit={handleLocationSubmit} className="space-y-1">
+              <div className="flex items-center gap-2">
+                <input
+                  type="text"
+                  aria-label="Latitude, longitude"
+                  placeholder="Latitude, longitude"
+                  value={locationInput}
+                  onChange={(e) => setLocationInput(e.target.value)}
+                  className="flex-1 min-w-0 px-2 py-1.5 bg-slate-50 dark:bg-slate-800 border border-slate-200 dark:border-slate-700 rounded text-sm focus:ring-2 focus:ring-blue-500 outline-none text-slate-700 dark:text-slate-200"
+                />
+                <button
+                  type="submit"
+                  className="text-sm text-blue-600 dark:text-blue-400 hover:underline px-2"
+                >
+                  Look up
+                </button>
+              </div>
+              {locationError && (
+                <p className="text-xs text-red-600 dark:text-red-400">
+                  {locationError}
+                </p>
+              )}
+            </form>
+          )}
         </div>
 
         {/* Checkbox Sections */}
@@ -159,8 +369,11 @@ export default function FilterPanel({
                       checked={isSelected || false}
                       onChange={() => toggleFilter(section.id, option)}
                     />
+                    {section.renderIcon?.(option)}
                     <span className="text-slate-700 dark:text-slate-200">
-                      {option}
+                      {section.formatOption
+                        ? section.formatOption(option)
+                        : option}
                     </span>
                   </label>
                 );
@@ -168,6 +381,43 @@ export default function FilterPanel({
             </div>
           </div>
         ))}
+
+        {/* Missing History Section */}
+        {(filterOptions.historyGapCount > 0 || activeFilters.historyGaps) && (
+          <div>
+            <h3 className="text-sm font-bold text-slate-500 dark:text-slate-400 uppercase tracking-wider mb-3">
+              History
+            </h3>
+            <label className="flex items-center gap-3 p-2 rounded-lg hover:bg-slate-50 dark:hover:bg-slate-800 cursor-pointer group transition-colors">
+              <div
+                className={clsx(
+                  "w-5 h-5 rounded border flex items-center justify-center transition-colors shrink-0",
+                  activeFilters.historyGaps
+                    ? "bg-blue-500 border-blue-500 text-white"
+                    : "border-slate-300 dark:border-slate-600 group-hover:border-blue-400",
+                )}
+              >
+                {activeFilters.historyGaps && (
+                  <Check size={14} strokeWidth={3} />
+                )}
+              </div>
+              <input
+                type="checkbox"
+                className="hidden"
+                checked={activeFilters.historyGaps || false}
+                onChange={() =>
+                  onFilterChange({
+                    ...activeFilters,
+                    historyGaps: !activeFilters.historyGaps,
+                  })
+                }
+              />
+              <span className="text-slate-700 dark:text-slate-200">
+                Missing earlier messages ({filterOptions.historyGapCount || 0})
+              </span>
+            </label>
+          </div>
+        )}
       </div>
     </div>
   );
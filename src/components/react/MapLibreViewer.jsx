@@ -8,12 +8,29 @@ import React, {
 import Map, {
   Source,
   Layer,
+  Marker,
   NavigationControl,
   ScaleControl,
   AttributionControl,
 } from "react-map-gl/maplibre";
 import "maplibre-gl/dist/maplibre-gl.css";
-import maplibregl from "maplibre-gl";
+import {
+  Pentagon,
+  SquareDashed,
+  Scan,
+  X,
+  Check,
+  Crosshair,
+  MapPin,
+} from "lucide-react";
+import clsx from "clsx";
+import {
+  getGeometryBounds,
+  getGeometryForLevel,
+  getGeometryLevelIndex,
+} from "../../utils/geometry.js";
+import { AreaFilterType, getAreaGeometry } from "../../utils/alert-filters.js";
+import { LifecycleState } from "../../utils/alert-lifecycle.js";
 
 const NZ_CENTER = {
   longitude: 174.7762,
@@ -21,55 +38,195 @@ const NZ_CENTER = {
   zoom: 5,
 };
 
+// Zoom to show a place found by place search at, by gazetteer type
+const PLACE_ZOOM = {
+  city: 11,
+  town: 12,
+  island: 8,
+  region: 7,
+};
+
 // Styles for the map
 const MAP_STYLE_LIGHT =
   "https://basemaps.cartocdn.com/gl/positron-gl-style/style.json";
 const MAP_STYLE_DARK =
   "https://basemaps.cartocdn.com/gl/dark-matter-gl-style/style.json";
 
+// Toolbar mode for picking a location to look up
+const PICK_LOCATION = "point";
+
+// Clicking this close to the first vertex (in pixels) closes a drawn shape
+const CLOSE_SHAPE_PIXELS = 10;
+
+// Decimal places kept for area coordinates, about 10 m
+const AREA_PRECISION = 4;
+
+const roundCoordinate = (value) => Number(value.toFixed(AREA_PRECISION));
+
+/**
+ * Current map view as a bounding box
+ * @param {Object} map - MapLibre map
+ * @returns {Array} [west, south, east, north]; east may be past 180
+ */
+function getViewportBbox(map) {
+  const bounds = map.getBounds();
+  return [
+    bounds.getWest(),
+    bounds.getSouth(),
+    bounds.getEast(),
+    bounds.getNorth(),
+  ].map(roundCoordinate);
+}
+
+/**
+ * Outline and vertices of a shape being drawn, following the cursor
+ * @param {string} drawMode - AreaFilterType.POLYGON or BBOX
+ * @param {Array} draft - Positions placed so far
+ * @param {Array|null} cursor - Position under the pointer
+ * @returns {Object} GeoJSON FeatureCollection
+ */
+function getDraftGeoJSON(drawMode, draft, cursor) {
+  const positions = cursor ? [...draft, cursor] : draft;
+  const features = draft.map((position) => ({
+    type: "Feature",
+    geometry: { type: "Point", coordinates: position },
+    properties: {},
+  }));
+
+  let outline = positions;
+  if (drawMode === AreaFilterType.BBOX && positions.length === 2) {
+    const [[lng1, lat1], [lng2, lat2]] = positions;
+    outline = [
+      [lng1, lat1],
+      [lng2, lat1],
+      [lng2, lat2],
+      [lng1, lat2],
+      [lng1, lat1],
+    ];
+  } else if (positions.length >= 3) {
+    outline = [...positions, positions[0]];
+  }
+
+  if (outline.length >= 2) {
+    features.push({
+      type: "Feature",
+      geometry: { type: "LineString", coordinates: outline },
+      properties: {},
+    });
+  }
+
+  return { type: "FeatureCollection", features };
+}
+
+/**
+ * Buttons for limiting alerts to an area: draw a shape or a box, follow the
+ * map view, or clear the area
+ */
+function AreaToolbar({ areaFilter, drawMode, canFinish, onAction }) {
+  const buttons = drawMode
+    ? [
+        canFinish && {
+          action: "finish",
+          label: "Finish shape",
+          icon: Check,
+        },
+        { action: "cancel", label: "Cancel drawing", icon: X },
+      ]
+    : [
+        {
+          action: AreaFilterType.POLYGON,
+          label: "Draw an area",
+          icon: Pentagon,
+        },
+        {
+          action: AreaFilterType.BBOX,
+          label: "Draw a box",
+          icon: SquareDashed,
+        },
+        {
+          action: PICK_LOCATION,
+          label: "Look up a location",
+          icon: Crosshair,
+        },
+        {
+          action: AreaFilterType.VIEWPORT,
+          label: "Limit to current view",
+          icon: Scan,
+          isActive: areaFilter?.type === AreaFilterType.VIEWPORT,
+        },
+        areaFilter && { action: "clear", label: "Clear area", icon: X },
+      ];
+
+  return (
+    <div className="absolute top-28 right-2 md:top-14 z-10 glass rounded-lg shadow-lg flex flex-col overflow-hidden">
+      {buttons
+        .filter(Boolean)
+        .map(({ action, label, icon: Icon, isActive }) => (
+          <button
+            key={action}
+            onClick={() => onAction(action)}
+            className={clsx(
+              "p-2 transition-colors",
+              isActive
+                ? "bg-blue-500 text-white"
+                : "text-slate-700 dark:text-slate-200 hover:bg-slate-100 dark:hover:bg-slate-800",
+            )}
+            title={label}
+            aria-label={label}
+            aria-pressed={isActive}
+          >
+            <Icon size={16} />
+          </button>
+        ))}
+    </div>
+  );
+}
+
 export default function MapLibreViewer({
   alerts = [],
   filteredAlerts = [],
   selectedAlert = null,
   onAlertSelect,
+  areaFilter = null,
+  onAreaChange,
+  locationPoint = null,
+  onLocationPick,
+  focusedPlace = null,
   isDarkMode = false,
 }) {
   const mapRef = useRef(null);
   const [hoveredAlertId, setHoveredAlertId] = useState(null);
+  // Shape being drawn for the area filter: its kind, the positions placed
+  // so far and where the pointer is
+  const [drawMode, setDrawMode] = useState(null);
+  const [draft, setDraft] = useState([]);
+  const [cursor, setCursor] = useState(null);
+  // Which simplified geometry to draw; only changes when zooming crosses a
+  // GEOMETRY_LEVELS threshold
+  const [geometryLevel, setGeometryLevel] = useState(() =>
+    getGeometryLevelIndex(NZ_CENTER.zoom),
+  );
 
   // Calculate map bounds based on all alerts to restrict panning
   const mapBounds = useMemo(() => {
     if (!alerts || alerts.length === 0) return null;
 
-    // Check if we have any valid geometries
-    const hasGeometry = alerts.some(
-      (a) => a.hasGeometry && a.polygon && a.polygon.length > 0,
+    // The coarsest geometry is plenty for a padded panning limit
+    const bounds = getGeometryBounds(
+      alerts
+        .filter((alert) => alert.hasGeometry)
+        .map((a) => getGeometryForLevel(a, 0)),
     );
-    if (!hasGeometry) return null;
+    if (!bounds) return null;
 
-    const bounds = new maplibregl.LngLatBounds();
-    let validPoints = 0;
-
-    alerts.forEach((alert) => {
-      if (alert.hasGeometry && alert.polygon) {
-        alert.polygon.forEach((coord) => {
-          // alert.polygon is [lat, lng], extend takes [lng, lat]
-          bounds.extend([coord[1], coord[0]]);
-          validPoints++;
-        });
-      }
-    });
-
-    if (validPoints === 0) return null;
-
-    // Add padding to bounds (approx 5 degrees buffer)
+    // Add padding to bounds (approx 5 degrees buffer). The east edge may be
+    // past 180° when alerts sit either side of the antimeridian.
     const padding = 5.0;
-    const sw = bounds.getSouthWest();
-    const ne = bounds.getNorthEast();
+    const [sw, ne] = bounds;
 
     return [
-      [sw.lng - padding, sw.lat - padding], // Southwest coordinates
-      [ne.lng + padding, ne.lat + padding], // Northeast coordinates
+      [sw[0] - padding, Math.max(sw[1] - padding, -90)], // Southwest coordinates
+      [ne[0] + padding, Math.min(ne[1] + padding, 90)], // Northeast coordinates
     ];
   }, [alerts]);
 
@@ -82,7 +239,21 @@ export default function MapLibreViewer({
           0.6, // Selected alert opacity
           0, // Other alerts opacity (hidden)
         ]
-      : ["case", ["boolean", ["feature-state", "hover"], false], 0.6, 0.3]; // Default behavior when none selected
+      : [
+          "case",
+          ["boolean", ["feature-state", "hover"], false],
+          0.6,
+          // Replay: alerts that just ended fade, updated ones stand out
+          [
+            "match",
+            ["get", "replayState"],
+            [LifecycleState.CANCELLED, LifecycleState.EXPIRED],
+            0.1,
+            LifecycleState.UPDATED,
+            0.45,
+            0.3,
+          ],
+        ]; // Default behavior when none selected
 
     return {
       id: "alert-fills",
@@ -137,7 +308,24 @@ export default function MapLibreViewer({
           "#1d4ed8", // blue-700
           "#475569", // slate-600
         ],
-        "line-width": 2,
+        // Replay: updated alerts get a heavier outline, and alerts that just
+        // ended a dashed one (long dashes for cancelled, dots for expired)
+        "line-width": [
+          "match",
+          ["get", "replayState"],
+          LifecycleState.UPDATED,
+          3,
+          2,
+        ],
+        "line-dasharray": [
+          "match",
+          ["get", "replayState"],
+          LifecycleState.CANCELLED,
+          ["literal", [4, 2]],
+          LifecycleState.EXPIRED,
+          ["literal", [1, 2]],
+          ["literal", [1, 0]],
+        ],
         "line-opacity": opacityExpression,
         "line-opacity-transition": {
           duration: 300,
@@ -150,22 +338,13 @@ export default function MapLibreViewer({
   // Convert alerts to GeoJSON
   const alertsGeoJSON = useMemo(() => {
     const features = filteredAlerts
-      .filter(
-        (alert) =>
-          alert.hasGeometry && alert.polygon && alert.polygon.length > 0,
-      )
+      .filter((alert) => alert.hasGeometry)
       .map((alert) => {
-        // Swap [lat, lng] to [lng, lat] for GeoJSON
-        const coordinates = [
-          alert.polygon.map((coord) => [coord[1], coord[0]]),
-        ];
-
+        // Geometry is already a GeoJSON MultiPolygon covering every area,
+        // simplified to suit the zoom level
         return {
           type: "Feature",
-          geometry: {
-            type: "Polygon",
-            coordinates: coordinates,
-          },
+          geometry: getGeometryForLevel(alert, geometryLevel),
           properties: {
             id: alert.id,
             title: alert.title,
@@ -174,6 +353,7 @@ export default function MapLibreViewer({
             sent: alert.sent.toISOString(),
             description: alert.description,
             isCancelled: alert.isCancelled,
+            replayState: alert.replayState || null,
           },
         };
       });
@@ -182,7 +362,166 @@ export default function MapLibreViewer({
       type: "FeatureCollection",
       features,
     };
-  }, [filteredAlerts]);
+  }, [filteredAlerts, geometryLevel]);
+
+  // Swap geometry detail as the zoom level changes
+  const onZoom = useCallback((event) => {
+    setGeometryLevel(getGeometryLevelIndex(event.viewState.zoom));
+  }, []);
+
+  const stopDrawing = useCallback(() => {
+    setDrawMode(null);
+    setDraft([]);
+    setCursor(null);
+  }, []);
+
+  const finishPolygon = useCallback(
+    (positions) => {
+      onAreaChange?.({
+        type: AreaFilterType.POLYGON,
+        coordinates: positions.map((position) => position.map(roundCoordinate)),
+      });
+      stopDrawing();
+    },
+    [onAreaChange, stopDrawing],
+  );
+
+  // Place a vertex, or finish the shape on the closing click
+  const onDrawClick = useCallback(
+    (event) => {
+      const position = [event.lngLat.lng, event.lngLat.lat];
+
+      if (drawMode === PICK_LOCATION) {
+        onLocationPick?.(position.map(roundCoordinate));
+        stopDrawing();
+        return;
+      }
+
+      if (drawMode === AreaFilterType.BBOX) {
+        if (draft.length === 0) {
+          setDraft([position]);
+          return;
+        }
+
+        const [[lng1, lat1]] = draft;
+        const [lng2, lat2] = position;
+        onAreaChange?.({
+          type: AreaFilterType.BBOX,
+          bbox: [
+            Math.min(lng1, lng2),
+            Math.min(lat1, lat2),
+            Math.max(lng1, lng2),
+            Math.max(lat1, lat2),
+          ].map(roundCoordinate),
+        });
+        stopDrawing();
+        return;
+      }
+
+      // Clicking back on the first vertex closes the shape
+      if (draft.length >= 3) {
+        const map = mapRef.current.getMap();
+        const first = map.project(draft[0]);
+        const distance = Math.hypot(
+          first.x - event.point.x,
+          first.y - event.point.y,
+        );
+        if (distance <= CLOSE_SHAPE_PIXELS) {
+          finishPolygon(draft);
+          return;
+        }
+      }
+
+      setDraft([...draft, position]);
+    },
+    [drawMode, draft, onAreaChange, onLocationPick, finishPolygon, stopDrawing],
+  );
+
+  const onToolbarAction = useCallback(
+    (action) => {
+      switch (action) {
+        case AreaFilterType.POLYGON:
+        case AreaFilterType.BBOX:
+        case PICK_LOCATION:
+          setDraft([]);
+          setDrawMode(action);
+          break;
+        case AreaFilterType.VIEWPORT:
+          if (areaFilter?.type === AreaFilterType.VIEWPORT) {
+            onAreaChange?.(null);
+          } else {
+            onAreaChange?.({
+              type: AreaFilterType.VIEWPORT,
+              bbox: getViewportBbox(mapRef.current.getMap()),
+            });
+          }
+          break;
+        case "finish":
+          finishPolygon(draft);
+          break;
+        case "cancel":
+          stopDrawing();
+          break;
+        case "clear":
+          onAreaChange?.(null);
+          break;
+      }
+    },
+    [areaFilter, draft, onAreaChange, finishPolygon, stopDrawing],
+  );
+
+  // Escape abandons a shape; Enter finishes one with enough points
+  useEffect(() => {
+    if (!drawMode) return;
+
+    const handleKeyDown = (event) => {
+      if (event.key === "Escape") {
+        stopDrawing();
+      } else if (
+        event.key === "Enter" &&
+        drawMode === AreaFilterType.POLYGON &&
+        draft.length >= 3
+      ) {
+        finishPolygon(draft);
+      }
+    };
+
+    window.addEventListener("keydown", handleKeyDown);
+    return () => window.removeEventListener("keydown", handleKeyDown);
+  }, [drawMode, draft, stopDrawing, finishPolygon]);
+
+  // Keep a "current view" area in step with the map
+  const onMoveEnd = useCallback(
+    (event) => {
+      if (areaFilter?.type !== AreaFilterType.VIEWPORT) return;
+
+      const bbox = getViewportBbox(event.target);
+      if (bbox.some((value, index) => value !== areaFilter.bbox[index])) {
+        onAreaChange?.({ type: AreaFilterType.VIEWPORT, bbox });
+      }
+    },
+    [areaFilter, onAreaChange],
+  );
+
+  // The drawn area and any shape in progress
+  const areaGeoJSON = useMemo(() => {
+    const geometry =
+      areaFilter?.type !== AreaFilterType.VIEWPORT
+        ? getAreaGeometry(areaFilter)
+        : null;
+    return {
+      type: "FeatureCollection",
+      features: geometry ? [{ type: "Feature", geometry, properties: {} }] : [],
+    };
+  }, [areaFilter]);
+
+  const draftGeoJSON = useMemo(
+    () =>
+      drawMode === PICK_LOCATION
+        ? { type: "FeatureCollection", features: [] }
+        : getDraftGeoJSON(drawMode, draft, cursor),
+    [drawMode, draft, cursor],
+  );
 
   // Handle hover interactions
   const onHover = useCallback((event) => {
@@ -193,9 +532,25 @@ export default function MapLibreViewer({
     setHoveredAlertId(hoveredFeature ? hoveredFeature.properties.id : null);
   }, []);
 
+  const onMouseMove = useCallback(
+    (event) => {
+      if (drawMode) {
+        setCursor([event.lngLat.lng, event.lngLat.lat]);
+        return;
+      }
+      onHover(event);
+    },
+    [drawMode, onHover],
+  );
+
   // Handle click interactions
   const onClick = useCallback(
     (event) => {
+      if (drawMode) {
+        onDrawClick(event);
+        return;
+      }
+
       const feature = event.features && event.features[0];
       if (feature) {
         // Find the full alert object
@@ -209,7 +564,7 @@ export default function MapLibreViewer({
         onAlertSelect(null);
       }
     },
-    [filteredAlerts, onAlertSelect],
+    [drawMode, onDrawClick, filteredAlerts, onAlertSelect],
   );
 
   // Keep track of map view state before flying to an alert
@@ -231,16 +586,8 @@ export default function MapLibreViewer({
         };
       }
 
-      const coordinates = selectedAlert.polygon.map((coord) => [
-        coord[1],
-        coord[0],
-      ]);
-      const bounds = coordinates.reduce(
-        (bounds, coord) => {
-          return bounds.extend(coord);
-        },
-        new maplibregl.LngLatBounds(coordinates[0], coordinates[0]),
-      );
+      // Cover every area of the alert, not just the first polygon
+      const bounds = getGeometryBounds([selectedAlert.geometry]);
 
       map.fitBounds(bounds, {
         padding: 100,
@@ -258,6 +605,24 @@ export default function MapLibreViewer({
     }
   }, [selectedAlert]);
 
+  // Fly to a place chosen from place search, fitting a region's boundary
+  useEffect(() => {
+    const map = mapRef.current?.getMap();
+    if (!map || !focusedPlace) return;
+
+    const bounds =
+      focusedPlace.geometry && getGeometryBounds([focusedPlace.geometry]);
+    if (bounds) {
+      map.fitBounds(bounds, { padding: 40 });
+      return;
+    }
+
+    map.flyTo({
+      center: [focusedPlace.lng, focusedPlace.lat],
+      zoom: PLACE_ZOOM[focusedPlace.type] || 10,
+    });
+  }, [focusedPlace]);
+
   return (
     <div className="w-full h-full relative group">
       <Map
@@ -266,8 +631,12 @@ export default function MapLibreViewer({
         style={{ width: "100%", height: "100%" }}
         mapStyle={isDarkMode ? MAP_STYLE_DARK : MAP_STYLE_LIGHT}
         interactiveLayerIds={["alert-fills"]}
-        onMouseMove={onHover}
+        onZoom={onZoom}
+        onMoveEnd={onMoveEnd}
+        onMouseMove={onMouseMove}
         onClick={onClick}
+        cursor={drawMode ? "crosshair" : undefined}
+        doubleClickZoom={!drawMode}
         attributionControl={false}
         maxBounds={mapBounds}
       >
@@ -276,6 +645,56 @@ export default function MapLibreViewer({
           <Layer {...lineLayer} />
         </Source>
 
+        <Source id="area-filter" type="geojson" data={areaGeoJSON}>
+          <Layer
+            id="area-filter-fill"
+            type="fill"
+            paint={{ "fill-color": "#6366f1", "fill-opacity": 0.08 }}
+          />
+          <Layer
+            id="area-filter-line"
+            type="line"
+            paint={{
+              "line-color": "#6366f1",
+              "line-width": 2,
+              "line-dasharray": [2, 2],
+            }}
+          />
+        </Source>
+
+        <Source id="area-draft" type="geojson" data={draftGeoJSON}>
+          <Layer
+            id="area-draft-line"
+            type="line"
+            filter={["==", ["geometry-type"], "LineString"]}
+            paint={{ "line-color": "#6366f1", "line-width": 2 }}
+          />
+          <Layer
+            id="area-draft-vertices"
+            type="circle"
+            filter={["==", ["geometry-type"], "Point"]}
+            paint={{
+              "circle-radius": 4,
+              "circle-color": "#ffffff",
+              "circle-stroke-color": "#6366f1",
+              "circle-stroke-width": 2,
+            }}
+          />
+        </Source>
+
+        {locationPoint && (
+          <Marker
+            longitude={locationPoint[0]}
+            latitude={locationPoint[1]}
+            anchor="bottom"
+          >
+            <MapPin
+              size={28}
+              className="text-indigo-600 fill-indigo-200 drop-shadow"
+            />
+          </Marker>
+        )}
+
         <NavigationControl position="bottom-right" />
         <ScaleControl position="bottom-left" />
         <AttributionControl
@@ -283,6 +702,15 @@ export default function MapLibreViewer({
           customAttribution="CAP Data via NEMA, Metservice and others"
         />
       </Map>
+
+      {onAreaChange && (
+        <AreaToolbar
+          areaFilter={areaFilter}
+          drawMode={drawMode}
+          canFinish={drawMode === AreaFilterType.POLYGON && draft.length >= 3}
+          onAction={onToolbarAction}
+        />
+      )}
     </div>
   );
 }
@@ -0,0 +1,30 @@
+import React from "react";
+import { Building2 } from "lucide-react";
+import clsx from "clsx";
+import { getSender } from "../../config/senders.js";
+
+/**
+ * Logo of a sending organisation from the sender registry, or a building
+ * icon for senders without one
+ * @param {Object} props
+ * @param {string} props.senderId - Alert senderId
+ * @param {number} [props.size] - Width and height in pixels
+ * @param {string} [props.className] - Extra classes
+ */
+export default function SenderLogo({ senderId, size = 16, className }) {
+  const logo = getSender(senderId)?.logo;
+
+  if (!logo) {
+    return <Building2 size={size} className={clsx("shrink-0", className)} />;
+  }
+
+  return (
+    <img
+      src={logo}
+      alt=""
+      width={size}
+      height={size}
+      className={clsx("rounded-sm object-contain shrink-0", className)}
+    />
+  );
+}
@@ -0,0 +1,164 @@
+import React, { useState, useEffect, useRef } from "react";
+import { Play, Pause, X, History, RotateCcw } from "lucide-react";
+import clsx from "clsx";
+
+// Time between playback steps
+const TICK_MS = 100;
+
+// Archive time covered per second of playback
+const PLAYBACK_SPEEDS = [
+  { label: "1 h/s", value: 60 * 60 * 1000 },
+  { label: "6 h/s", value: 6 * 60 * 60 * 1000 },
+  { label: "1 d/s", value: 24 * 60 * 60 * 1000 },
+  { label: "1 wk/s", value: 7 * 24 * 60 * 60 * 1000 },
+];
+
+// Slider resolution
+const SCRUB_STEP_MS = 60 * 1000;
+
+const formatReadout = (date) => {
+  return new Intl.DateTimeFormat("en-NZ", {
+    weekday: "short",
+    year: "numeric",
+    month: "short",
+    day: "numeric",
+    hour: "2-digit",
+    minute: "2-digit",
+  }).format(date);
+};
+
+/**
+ * Replay controls for the map: play/pause, speed and a scrubbable slider
+ * over a date range. The current time is owned by the parent so the map can
+ * show the alerts in force at that moment.
+ */
+export default function TimelinePlayer({
+  range,
+  currentTime,
+  onTimeChange,
+  inForceCount,
+  onClose,
+}) {
+  const [isPlaying, setIsPlaying] = useState(false);
+  const [speed, setSpeed] = useState(PLAYBACK_SPEEDS[1].value);
+
+  // The interval reads the latest time without restarting on every tick
+  const currentTimeRef = useRef(currentTime);
+  useEffect(() => {
+    currentTimeRef.current = currentTime;
+  }, [currentTime]);
+
+  useEffect(() => {
+    if (!isPlaying) return;
+
+    const interval = setInterval(() => {
+      const next = currentTimeRef.current.getTime() + (speed * TICK_MS) / 1000;
+
+      if (next >= range.end.getTime()) {
+        onTimeChange(range.end);
+        setIsPlaying(false);
+      } else {
+        onTimeChange(new Date(next));
+      }
+    }, TICK_MS);
+
+    return () => clearInterval(interval);
+  }, [isPlaying, speed, range, onTimeChange]);
+
+  const isAtEnd = currentTime.getTime() >= range.end.getTime();
+
+  const togglePlaying = () => {
+    // Start over when playing from the end
+    if (!isPlaying && isAtEnd) {
+      onTimeChange(range.start);
+    }
+    setIsPlaying(!isPlaying);
+  };
+
+  return (
+    <div className="glass rounded-2xl shadow-xl p-3 space-y-2 text-slate-700 dark:text-slate-200">
+      <div className="flex items-center gap-3">
+        <button
+          onClick={togglePlaying}
+          className="p-2 rounded-full bg-blue-500 hover:bg-blue-600 text-white transition-colors shrink-0"
+          aria-label={isPlaying ? "Pause replay" : "Play replay"}
+        >
+          {isPlaying ? (
+            <Pause size={16} />
+          ) : isAtEnd ? (
+            <RotateCcw size={16} />
+          ) : (
+            <Play size={16} />
+          )}
+        </button>
+
+        <div className="flex-1 min-w-0">
+          <div className="text-sm font-semibold tabular-nums truncate">
+            {formatReadout(currentTime)}
+          </div>
+          <div className="text-xs text-slate-500 dark:text-slate-400">
+            {inForceCount} {inForceCount === 1 ? "alert" : "alerts"} in force
+          </div>
+        </div>
+
+        <div className="flex rounded border border-slate-200 dark:border-slate-700 overflow-hidden text-xs shrink-0">
+          {PLAYBACK_SPEEDS.map((option) => (
+            <button
+              key={option.value}
+              onClick={() => setSpeed(option.value)}
+              className={clsx(
+                "px-2 py-1 transition-colors",
+                speed === option.value
+                  ? "bg-blue-500 text-white"
+                  : "hover:bg-slate-100 dark:hover:bg-slate-800",
+              )}
+            >
+              {option.label}
+            </button>
+          ))}
+        </div>
+
+        <button
+          onClick={onClose}
+          className="p-1.5 text-slate-500 hover:bg-slate-100 dark:hover:bg-slate-800 rounded-full transition-colors shrink-0"
+          aria-label="Close replay"
+        >
+          <X size={16} />
+        </button>
+      </div>
+
+      <input
+        type="range"
+        aria-label="Replay time"
+        min={range.start.getTime()}
+        max={range.end.getTime()}
+        step={SCRUB_STEP_MS}
+        value={currentTime.getTime()}
+        onChange={(e) => onTimeChange(new Date(Number(e.target.value)))}
+        className="w-full accent-blue-500"
+      />
+
+      <div className="flex justify-between text-[10px] text-slate-500 dark:text-slate-400 tabular-nums">
+        <span>{formatReadout(range.start)}</span>
+        <span>{formatReadout(range.end)}</span>
+      </div>
+    </div>
+  );
+}
+
+/**
+ * Button that opens the replay controls
+ */
+export function TimelinePlayerButton({ onClick, disabled }) {
+  return (
+    <button
+      onClick={onClick}
+      disabled={disabled}
+      className="glass rounded-full px-3 py-1.5 flex items-center gap-2 shadow-lg text-xs font-semibold text-slate-700 dark:text-slate-300 hover:bg-blue-50 dark:hover:bg-blue-900/30 disabled:opacity-50 transition-colors"
+      title="Replay how the filtered alerts unfolded"
+    >
+      <History size={16} className="text-blue-500" />
+      Replay
+    </button>
+  );
+}
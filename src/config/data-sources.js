@@ -0,0 +1,45 @@
+/**
+ * Data Source Configuration
+ * Lists the datasets alert data is loaded from and which source adapter reads
+ * each one (see SourceAdapters in services/data-processor.js). Paths are
+ * relative to the site root, i.e. the public/ directory.
+ *
+ * Every source needs a unique `id`, stamped on the alerts it provides, and a
+ * `label` shown in the list, filters and details panel. Sources are merged
+ * before grouping, so an update in one dataset can continue a thread started
+ * in another.
+ *
+ * Supported types:
+ *   { type: "csv", path: "data/cap.csv" }
+ *     CSV export. Add `fields` to map other column names, e.g.
+ *     { content: "cap_xml", pubDate: "received" }
+ *   { type: "xml-directory", path: "data/cap-xml" }
+ *     Folder of raw CAP .xml files. Run `npm run build-xml-manifest -- <dir>`
+ *     to generate the manifest.json listing them.
+ *   { type: "feed", path: "data/feed.atom", followLinks: false }
+ *     Atom or RSS feed dump. With followLinks, entries that only link to
+ *     their CAP message have it fetched.
+ *   { type: "json", path: "data/alerts-export.json" }
+ *     Array of records (or { alerts: [...] }). Accepts `fields` like csv.
+ */
+
+// Sources loaded by the map viewer and by scripts/preprocess-data.js
+export const DATA_SOURCES = [
+  {
+    id: "nema",
+    label: "NEMA alert archive",
+    type: "csv",
+    path: "data/cap.csv",
+  },
+];
+
+/**
+ * Display label for a dataset id
+ * @param {string} datasetId - Id of a configured source
+ * @returns {string} The source's label, or the id if it isn't configured
+ */
+export function getDatasetLabel(datasetId) {
+  return (
+    DATA_SOURCES.find((source) => source.id === datasetId)?.label || datasetId
+  );
+}
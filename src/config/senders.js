@@ -0,0 +1,199 @@
+/**
+ * Sender Registry
+ * Maps the many spellings of a sending organisation to one canonical entry.
+ * CAP `sender` values are usually email-style ids, while `senderName` (or
+ * the feed's author column) is free text such as "MetService" or
+ * "Meteorological Service of NZ Ltd".
+ *
+ * Each organisation has:
+ *   id       - Stable id stamped on alerts as `senderId` and used in filters
+ *   name     - Display name
+ *   website  - Home page, linked from the details panel
+ *   logo     - Image path relative to the site root (public/), shown in
+ *              the details panel and the Sender filter
+ *   senders  - Exact CAP sender values seen in the data; until one is
+ *              seen, an organisation is matched by its domains and names
+ *   domains  - Email domains; a sender at the domain or a subdomain matches
+ *   names    - Sender names; compared ignoring case, punctuation, "&"/"and"
+ *              and company suffixes such as "Ltd"
+ */
+
+export const SENDERS = [
+  {
+    id: "nema",
+    name: "National Emergency Management Agency",
+    website: "https://www.civildefence.govt.nz",
+    logo: "logos/nema.svg",
+    senders: ["nema@civildefence.govt.nz"],
+    domains: ["civildefence.govt.nz"],
+    names: [
+      "NEMA",
+      "National Emergency Management Agency",
+      "NZ Civil Defence",
+      "New Zealand Civil Defence",
+      "Civil Defence",
+      "Ministry of Civil Defence & Emergency Management",
+      "MCDEM",
+    ],
+  },
+  {
+    id: "metservice",
+    name: "MetService",
+    website: "https://www.metservice.com",
+    logo: "logos/metservice.svg",
+    senders: [],
+    domains: ["metservice.com"],
+    names: [
+      "MetService",
+      "Met Service",
+      "MetService NZ",
+      "Meteorological Service of NZ",
+      "Meteorological Service of New Zealand",
+    ],
+  },
+  {
+    id: "fenz",
+    name: "Fire and Emergency New Zealand",
+    website: "https://www.fireandemergency.nz",
+    logo: "logos/fenz.svg",
+    senders: [],
+    domains: ["fireandemergency.nz"],
+    names: [
+      "FENZ",
+      "Fire and Emergency",
+      "Fire and Emergency NZ",
+      "Fire and Emergency New Zealand",
+    ],
+  },
+  {
+    id: "geonet",
+    name: "GeoNet",
+    website: "https://www.geonet.org.nz",
+    logo: "logos/geonet.svg",
+    senders: [],
+    domains: ["geonet.org.nz"],
+    names: ["GeoNet"],
+  },
+  {
+    id: "nzta",
+    name: "NZ Transport Agency Waka Kotahi",
+    website: "https://www.nzta.govt.nz",
+    logo: "logos/nzta.svg",
+    senders: [],
+    domains: ["nzta.govt.nz"],
+    names: [
+      "NZTA",
+      "NZ Transport Agency",
+      "New Zealand Transport Agency",
+      "Waka Kotahi",
+      "NZ Transport Agency Waka Kotahi",
+    ],
+  },
+  {
+    id: "auckland-em",
+    name: "Auckland Emergency Management",
+    website: "https://www.aucklandemergencymanagement.org.nz",
+    logo: "logos/auckland-em.svg",
+    senders: [],
+    domains: ["aucklandemergencymanagement.org.nz"],
+    names: [
+      "Auckland Emergency Management",
+      "Auckland Civil Defence",
+      "Auckland CDEM",
+    ],
+  },
+];
+
+// Suffixes that don't tell organisations apart
+const COMPANY_SUFFIXES = /\b(ltd|limited|inc|incorporated)\b/g;
+
+/**
+ * Reduce an organisation name to the form names are compared in
+ * @param {string} name - Sender name as written
+ * @returns {string} Lowercase words without punctuation or company suffixes
+ */
+export function normalizeOrganisationName(name) {
+  return (name || "")
+    .toLowerCase()
+    .replace(/&/g, " and ")
+    .replace(/[^a-z0-9]+/g, " ")
+    .replace(COMPANY_SUFFIXES, " ")
+    .replace(/\s+/g, " ")
+    .trim();
+}
+
+const SENDERS_BY_ID = new Map(SENDERS.map((sender) => [sender.id, sender]));
+
+const SENDERS_BY_VALUE = new Map(
+  SENDERS.flatMap((sender) =>
+    sender.senders.map((value) => [value.trim().toLowerCase(), sender]),
+  ),
+);
+
+const SENDERS_BY_NAME = new Map(
+  SENDERS.flatMap((sender) =>
+    [sender.name, ...sender.names].map((name) => [
+      normalizeOrganisationName(name),
+      sender,
+    ]),
+  ),
+);
+
+/**
+ * Find the registered organisation for an email-style sender's domain
+ * @param {string} value - Lowercase CAP sender value
+ * @returns {Object|null} Organisation, or null
+ */
+function findSenderByDomain(value) {
+  const domain = value.includes("@") ? value.split("@").pop() : value;
+
+  return (
+    SENDERS.find((sender) =>
+      sender.domains.some(
+        (candidate) => domain === candidate || domain.endsWith(`.${candidate}`),
+      ),
+    ) || null
+  );
+}
+
+/**
+ * Resolve raw sender values to a registered organisation. The CAP sender id
+ * is tried first, then its domain, then the sender name.
+ * @param {string} sender - CAP <sender> value
+ * @param {string} senderName - <senderName> or the feed's author
+ * @returns {Object|null} Organisation from SENDERS, or null if unknown
+ */
+export function resolveSender(sender, senderName) {
+  const value = (sender || "").trim().toLowerCase();
+
+  if (value) {
+    const organisation =
+      SENDERS_BY_VALUE.get(value) || findSenderByDomain(value);
+    if (organisation) return organisation;
+  }
+
+  return (
+    SENDERS_BY_NAME.get(normalizeOrganisationName(senderName)) ||
+    // Feeds often put the organisation in the author column as the sender
+    SENDERS_BY_NAME.get(normalizeOrganisationName(sender)) ||
+    null
+  );
+}
+
+/**
+ * Registered organisation for a sender id
+ * @param {string} senderId - Alert senderId
+ * @returns {Object|null} Organisation, or null if the sender isn't registered
+ */
+export function getSender(senderId) {
+  return SENDERS_BY_ID.get(senderId) || null;
+}
+
+/**
+ * Display label for a sender id
+ * @param {string} senderId - Alert senderId
+ * @returns {string} The organisation's name, or the id if it isn't registered
+ */
+export function getSenderLabel(senderId) {
+  return getSender(senderId)?.name || senderId;
+}
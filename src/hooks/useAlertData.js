@@ -3,70 +3,164 @@
  * Custom React hook for loading and managing alert data
  */
 
-import { useState, useEffect, useCallback } from "react";
-import { DataProcessor } from "../services/data-processor.js";
+import { useState, useEffect, useCallback, useMemo, useRef } from "react";
+import { DEFAULT_BOUNDARIES_PATH } from "../services/data-processor.js";
+import { filterBySearchText, sortByRelevance } from "../utils/alert-filters.js";
+import { indexIncidents } from "../utils/incident-clustering.js";
+import { createSearchIndex } from "../utils/search-index.js";
+import { createSpatialIndex, queryPoint } from "../utils/spatial-index.js";
+
+// Share of the progress bar given to loading the sources; grouping the
+// alerts takes the rest. Each source gets an equal part of it.
+const LOADING_PROGRESS = 95;
+
+// Share of a source's part of the progress bar given to each of its stages
+const STAGE_PROGRESS = {
+  download: { start: 0, end: 0.4 },
+  parse: { start: 0.4, end: 1 },
+};
+
+/**
+ * Resolve a page-relative data path so the worker fetches the same file
+ * @param {string} path - Path relative to the current page
+ * @returns {string} Absolute URL
+ */
+function toAbsoluteURL(path) {
+  return new URL(path, window.location.href).href;
+}
+
+/**
+ * Convert a worker progress message into an overall percentage
+ * @param {Object} status - Progress message from the worker
+ * @returns {number|null} Percentage, or null if the stage size is unknown
+ */
+function getProgressPercentage(status) {
+  if (status.stage === "group") return LOADING_PROGRESS;
+
+  let fraction = null;
+  if (status.stage === "download" && status.bytesTotal) {
+    fraction = status.bytesLoaded / status.bytesTotal;
+  } else if (status.stage === "parse") {
+    fraction = status.parsedFraction;
+  }
+  if (fraction === null) return null;
+
+  // A download without a source is the preprocessed alert file
+  const { sourceIndex = 0, sourceCount = 1 } = status;
+  const { start, end } = STAGE_PROGRESS[status.stage];
+  const sourceFraction = start + (end - start) * Math.min(fraction, 1);
+
+  return Math.round(
+    (LOADING_PROGRESS * (sourceIndex + sourceFraction)) / sourceCount,
+  );
+}
+
+/**
+ * Add a partial result's alert groups to those already loaded
+ * @param {Array|null} alerts - Alert groups from earlier partial results
+ * @param {Array} partialAlerts - Alert groups from the latest partial result
+ * @returns {Array} Merged alert groups, the latest copy of each id winning
+ */
+function mergePartialAlerts(alerts, partialAlerts) {
+  const merged = new Map((alerts || []).map((alert) => [alert.id, alert]));
+  for (const alert of partialAlerts) {
+    merged.set(alert.id, alert);
+  }
+  return [...merged.values()];
+}
 
 /**
  * Custom hook for alert data loading and management
- * @param {string} csvPath - Path to the CSV file containing alert data
+ * @param {Array} sources - Data source configs to merge, see config/data-sources.js
+ * @param {string} [normalizedPath] - Path to preprocessed alert JSON, tried before the sources
  * @returns {Object} Hook state and methods
  */
-export function useAlertData(csvPath) {
+export function useAlertData(sources, normalizedPath) {
   // State management
   const [alerts, setAlerts] = useState(null);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
   const [loadingProgress, setLoadingProgress] = useState(0);
+  const [loadingStatus, setLoadingStatus] = useState(null);
+  const [ingestionReport, setIngestionReport] = useState(null);
+  const [incidents, setIncidents] = useState(null);
+  const workerRef = useRef(null);
 
-  // Load data function
-  const loadData = useCallback(async () => {
-    try {
-      setLoading(true);
-      setError(null);
-      setLoadingProgress(0);
+  // Load data function - fetching, parsing and grouping happen in a worker
+  const loadData = useCallback(() => {
+    workerRef.current?.terminate();
 
-      console.log("Starting alert data loading...");
+    setAlerts(null);
+    setIncidents(null);
+    setLoading(true);
+    setError(null);
+    setLoadingProgress(0);
+    setLoadingStatus(null);
 
-      // Simulate progress updates during loading
-      const progressInterval = setInterval(() => {
-        setLoadingProgress((prev) => Math.min(prev + 10, 90));
-      }, 100);
+    console.log("Starting alert data loading...");
 
-      // Load and process the CSV data
-      const alertData = await DataProcessor.loadAndProcessCSV(csvPath);
+    const worker = new Worker(
+      new URL("../workers/alert-data.worker.js", import.meta.url),
+      { type: "module" },
+    );
+    workerRef.current = worker;
 
-      // Clear progress interval
-      clearInterval(progressInterval);
-      setLoadingProgress(100);
+    const fail = (message) => {
+      console.error("Error loading alert data:", message);
+      setError(message || "Failed to load alert data");
+      setLoading(false);
+      setLoadingProgress(0);
+      setLoadingStatus(null);
+      worker.terminate();
+    };
 
-      console.log(`Successfully loaded ${alertData.length} alerts`);
+    worker.onmessage = (event) => {
+      const message = event.data;
 
-      // Validate the loaded data
-      const validAlerts = alertData.filter((alert) => {
-        const isValid = DataProcessor.validateAlert(alert);
-        if (!isValid) {
-          console.warn("Invalid alert filtered out:", alert.id);
+      if (message.type === "progress") {
+        setLoadingStatus(message);
+        const percentage = getProgressPercentage(message);
+        if (percentage !== null) {
+          setLoadingProgress(percentage);
         }
-        return isValid;
-      });
+      } else if (message.type === "partial") {
+        // Shown while loading; complete replaces them
+        setAlerts((current) => mergePartialAlerts(current, message.alerts));
+      } else if (message.type === "complete") {
+        console.log(
+          `Successfully loaded ${message.alerts.length} alert groups`,
+        );
+        setLoadingProgress(100);
+        setLoadingStatus(null);
+        setAlerts(message.alerts);
+        setIngestionReport(message.report);
+        setIncidents(message.incidents);
+        setLoading(false);
+        worker.terminate();
+      } else if (message.type === "error") {
+        fail(message.message);
+      }
+    };
 
-      console.log(`${validAlerts.length} valid alerts after filtering`);
+    worker.onerror = (event) => {
+      fail(event.message);
+    };
 
-      // Group alerts together
-      const groupedAlerts = DataProcessor.groupAlerts(validAlerts);
-      console.log(
-        `Grouped ${validAlerts.length} alerts into ${groupedAlerts.length} groups`,
-      );
+    worker.postMessage({
+      type: "load",
+      sources: sources.map((source) => ({
+        ...source,
+        path: toAbsoluteURL(source.path),
+      })),
+      normalizedPath: normalizedPath ? toAbsoluteURL(normalizedPath) : null,
+      boundariesPath: toAbsoluteURL(DEFAULT_BOUNDARIES_PATH),
+    });
+  }, [sources, normalizedPath]);
 
-      setAlerts(groupedAlerts);
-      setLoading(false);
-    } catch (err) {
-      console.error("Error loading alert data:", err);
-      setError(err.message || "Failed to load alert data");
-      setLoading(false);
-      setLoadingProgress(0);
-    }
-  }, [csvPath]);
+  // Stop any in-flight worker on unmount
+  useEffect(() => {
+    return () => workerRef.current?.terminate();
+  }, []);
 
   // Retry loading function
   const retryLoading = useCallback(() => {
@@ -74,12 +168,12 @@ export function useAlertData(csvPath) {
     loadData();
   }, [loadData]);
 
-  // Load data on mount and when csvPath changes
+  // Load data on mount and when the sources change
   useEffect(() => {
-    if (csvPath) {
+    if (sources?.length) {
       loadData();
     }
-  }, [csvPath, loadData]);
+  }, [sources, loadData]);
 
   // Computed values
   const alertStats = alerts
@@ -90,6 +184,9 @@ export function useAlertData(csvPath) {
         urgencies: [...new Set(alerts.map((alert) => alert.urgency))].sort(),
         statuses: [...new Set(alerts.map((alert) => alert.status))].sort(),
         messageTypes: [...new Set(alerts.map((alert) => alert.msgType))].sort(),
+        datasets: [
+          ...new Set(alerts.flatMap((alert) => alert.datasets || [])),
+        ].sort(),
         dateRange:
           alerts.length > 0
             ? {
@@ -107,6 +204,26 @@ export function useAlertData(csvPath) {
       }
     : null;
 
+  // Built once per load so location lookups don't scan every polygon
+  const spatialIndex = useMemo(
+    () => (alerts ? createSpatialIndex(alerts) : null),
+    [alerts],
+  );
+
+  // Likewise for search, so a query reads postings rather than every alert
+  const searchIndex = useMemo(
+    () => (alerts ? createSearchIndex(alerts) : null),
+    [alerts],
+  );
+
+  // Alerts about the same incident from senders that don't reference each
+  // other, clustered in the worker across the whole archive so filters don't
+  // split them. Partial results have none yet.
+  const incidentIndex = useMemo(
+    () => indexIncidents(incidents || [], alerts || []),
+    [incidents, alerts],
+  );
+
   // Helper functions for data access
   const getAlertById = useCallback(
     (id) => {
@@ -143,21 +260,23 @@ export function useAlertData(csvPath) {
     [alerts],
   );
 
+  const getAlertsAtPoint = useCallback(
+    (point) => (spatialIndex ? queryPoint(spatialIndex, point) : []),
+    [spatialIndex],
+  );
+
+  // Alerts matching a search query, best match first
   const searchAlerts = useCallback(
     (searchTerm) => {
-      if (!alerts || !searchTerm.trim()) return alerts || [];
-
-      const term = searchTerm.toLowerCase().trim();
-      return alerts.filter(
-        (alert) =>
-          alert.title.toLowerCase().includes(term) ||
-          alert.description.toLowerCase().includes(term) ||
-          alert.event.toLowerCase().includes(term) ||
-          alert.areaDesc.toLowerCase().includes(term) ||
-          alert.senderName.toLowerCase().includes(term),
+      if (!alerts) return [];
+
+      return sortByRelevance(
+        filterBySearchText(alerts, searchTerm, searchIndex),
+        searchTerm,
+        searchIndex,
       );
     },
-    [alerts],
+    [alerts, searchIndex],
   );
 
   // Return hook interface
@@ -167,9 +286,14 @@ export function useAlertData(csvPath) {
     loading,
     error,
     loadingProgress,
+    loadingStatus,
 
     // Statistics and metadata
     alertStats,
+    ingestionReport,
+    spatialIndex,
+    searchIndex,
+    incidentIndex,
 
     // Actions
     retryLoading,
@@ -180,6 +304,7 @@ export function useAlertData(csvPath) {
     getAlertsByCategory,
     getAlertsBySeverity,
     getAlertsInDateRange,
+    getAlertsAtPoint,
     searchAlerts,
 
     // Computed flags
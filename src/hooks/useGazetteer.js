@@ -0,0 +1,35 @@
+/**
+ * useGazetteer Hook
+ * Loads the bundled place-name gazetteer for place search
+ */
+
+import { useState, useEffect } from "react";
+import { DEFAULT_GAZETTEER_PATH, loadGazetteer } from "../utils/gazetteer.js";
+
+/**
+ * Custom hook for the place-name gazetteer. Place search is an extra, so a
+ * gazetteer that fails to load leaves it empty rather than failing the app.
+ * @param {string} [path] - Path to gazetteer.json
+ * @returns {Array} Places from parseGazetteer; empty until loaded
+ */
+export function useGazetteer(path = DEFAULT_GAZETTEER_PATH) {
+  const [places, setPlaces] = useState([]);
+
+  useEffect(() => {
+    let cancelled = false;
+
+    loadGazetteer(path)
+      .then((loadedPlaces) => {
+        if (!cancelled) setPlaces(loadedPlaces);
+      })
+      .catch((error) => {
+        console.warn("Place search unavailable:", error);
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [path]);
+
+  return places;
+}
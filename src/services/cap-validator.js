@@ -0,0 +1,524 @@
+/**
+ * CAP 1.2 Conformance Validator
+ * Checks parsed CAP data against the rules in the OASIS CAP 1.2 specification
+ * and reports problems as diagnostics instead of silently correcting them
+ */
+
+import {
+  AlertCategory,
+  AlertUrgency,
+  AlertSeverity,
+  AlertCertainty,
+  AlertStatus,
+  MessageType,
+  AlertScope,
+  ResponseType,
+} from "./data-processor.js";
+import {
+  capRingToGeoJSON,
+  isRingSelfIntersecting,
+  normalizeRing,
+} from "../utils/geometry.js";
+
+export const DiagnosticLevel = {
+  ERROR: "error",
+  WARNING: "warning",
+};
+
+// CAP 1.2 dateTime: "2002-05-24T16:49:00-07:00". "Z" is not permitted;
+// UTC is written as "-00:00" or "+00:00".
+const CAP_DATE_TIME_PATTERN =
+  /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}(\.\d+)?[+-]\d{2}:\d{2}$/;
+
+// identifier and sender must not contain spaces, commas or < and &
+const RESTRICTED_CHARACTERS_PATTERN = /[\s,<&]/;
+
+// A polygon is a closed ring of at least four coordinate pairs
+const MIN_POLYGON_POINTS = 4;
+
+/**
+ * Build a diagnostic entry
+ * @param {string} level - One of DiagnosticLevel
+ * @param {string} code - Stable machine-readable code
+ * @param {string} message - Human-readable explanation
+ * @param {string} path - Location of the element, e.g. "info[0].area[1].polygon[0]"
+ * @returns {Object} Diagnostic object
+ */
+function createDiagnostic(level, code, message, path) {
+  return { level, code, message, path };
+}
+
+/**
+ * Report a required element that is missing or empty
+ * @param {Array} diagnostics - Diagnostics to append to
+ * @param {Object} element - Parsed element values
+ * @param {Array<string>} names - Required element names
+ * @param {string} path - Path of the parent element
+ */
+function checkRequired(diagnostics, element, names, path) {
+  for (const name of names) {
+    if (!element[name]) {
+      diagnostics.push(
+        createDiagnostic(
+          DiagnosticLevel.ERROR,
+          "missing-element",
+          `Required element <${name}> is missing`,
+          path ? `${path}.${name}` : name,
+        ),
+      );
+    }
+  }
+}
+
+/**
+ * Report a value that isn't one of the CAP enumeration values.
+ * CAP values are case-sensitive, so "actual" is not "Actual".
+ * @param {Array} diagnostics - Diagnostics to append to
+ * @param {string} value - Raw value from the XML
+ * @param {Object} enumObject - Allowed values
+ * @param {string} name - Element name
+ * @param {string} path - Location of the element
+ */
+function checkEnumeration(diagnostics, value, enumObject, name, path) {
+  if (!value || Object.values(enumObject).includes(value)) return;
+
+  diagnostics.push(
+    createDiagnostic(
+      DiagnosticLevel.ERROR,
+      "invalid-enumeration",
+      `<${name}> value "${value}" is not one of ${Object.values(enumObject).join(", ")}`,
+      path,
+    ),
+  );
+}
+
+/**
+ * Check whether a string is a CAP 1.2 dateTime with an explicit timezone
+ * @param {string} value - Raw date-time string
+ * @returns {boolean} True if the value is well formed
+ */
+export function isCapDateTime(value) {
+  return CAP_DATE_TIME_PATTERN.test(value) && !isNaN(new Date(value).getTime());
+}
+
+/**
+ * Report a date-time element that isn't in CAP format
+ * @param {Array} diagnostics - Diagnostics to append to
+ * @param {string} value - Raw date-time string
+ * @param {string} name - Element name
+ * @param {string} path - Location of the element
+ */
+function checkDateTime(diagnostics, value, name, path) {
+  if (!value || isCapDateTime(value)) return;
+
+  diagnostics.push(
+    createDiagnostic(
+      DiagnosticLevel.ERROR,
+      "invalid-date-time",
+      `<${name}> value "${value}" is not a CAP date-time with a timezone offset (e.g. 2024-05-24T16:49:00+12:00)`,
+      path,
+    ),
+  );
+}
+
+/**
+ * Report identifier or sender values containing restricted characters
+ * @param {Array} diagnostics - Diagnostics to append to
+ * @param {string} value - Raw value
+ * @param {string} name - Element name
+ */
+function checkRestrictedCharacters(diagnostics, value, name) {
+  if (!value || !RESTRICTED_CHARACTERS_PATTERN.test(value)) return;
+
+  diagnostics.push(
+    createDiagnostic(
+      DiagnosticLevel.ERROR,
+      "restricted-characters",
+      `<${name}> must not contain spaces, commas, "<" or "&"`,
+      name,
+    ),
+  );
+}
+
+/**
+ * Parse a "lat,lng" pair and check it is a real WGS 84 coordinate
+ * @param {string} pair - Coordinate pair
+ * @returns {boolean} True if the pair is valid
+ */
+function isValidCoordinatePair(pair) {
+  const parts = pair.split(",");
+  if (parts.length !== 2) return false;
+
+  const [lat, lng] = parts.map(Number);
+  return (
+    parts.every((part) => part.trim() !== "") &&
+    lat >= -90 &&
+    lat <= 90 &&
+    lng >= -180 &&
+    lng <= 180
+  );
+}
+
+/**
+ * Validate a raw CAP polygon string
+ * @param {Array} diagnostics - Diagnostics to append to
+ * @param {string} polygon - Space-separated "lat,lng" pairs
+ * @param {string} path - Location of the polygon
+ */
+function checkPolygon(diagnostics, polygon, path) {
+  const pairs = polygon.trim().split(/\s+/).filter(Boolean);
+
+  const invalidPairs = pairs.filter((pair) => !isValidCoordinatePair(pair));
+  if (invalidPairs.length > 0) {
+    diagnostics.push(
+      createDiagnostic(
+        DiagnosticLevel.ERROR,
+        "invalid-coordinates",
+        `Polygon has invalid coordinate pairs: ${invalidPairs.slice(0, 3).join(" ")}`,
+        path,
+      ),
+    );
+  }
+
+  if (pairs.length < MIN_POLYGON_POINTS) {
+    diagnostics.push(
+      createDiagnostic(
+        DiagnosticLevel.ERROR,
+        "polygon-too-few-points",
+        `Polygon has ${pairs.length} coordinate pairs; at least ${MIN_POLYGON_POINTS} are required`,
+        path,
+      ),
+    );
+  }
+
+  // Compare numerically so "-41.0,174" and "-41,174" still match
+  const [first, last] = [pairs[0], pairs[pairs.length - 1]].map((pair) =>
+    (pair || "").split(",").map(Number),
+  );
+  if (pairs.length > 0 && (first[0] !== last[0] || first[1] !== last[1])) {
+    diagnostics.push(
+      createDiagnostic(
+        DiagnosticLevel.ERROR,
+        "polygon-not-closed",
+        "Polygon is not closed: the first and last coordinate pairs differ",
+        path,
+      ),
+    );
+  }
+
+  if (invalidPairs.length > 0 || pairs.length < MIN_POLYGON_POINTS) return;
+
+  // Check the shape as it will be drawn: repeated vertices removed and
+  // longitudes continuous across the antimeridian
+  const ring = normalizeRing(
+    capRingToGeoJSON(pairs.map((pair) => pair.split(",").map(Number))),
+  );
+  if (!ring) {
+    diagnostics.push(
+      createDiagnostic(
+        DiagnosticLevel.WARNING,
+        "polygon-no-area",
+        "Polygon encloses no area; its points are repeated or in a line",
+        path,
+      ),
+    );
+  } else if (isRingSelfIntersecting(ring.slice(0, -1))) {
+    diagnostics.push(
+      createDiagnostic(
+        DiagnosticLevel.WARNING,
+        "polygon-self-intersecting",
+        "Polygon edges cross or touch each other, so the area it covers is ambiguous",
+        path,
+      ),
+    );
+  }
+}
+
+/**
+ * Validate a raw CAP circle string
+ * @param {Array} diagnostics - Diagnostics to append to
+ * @param {string} circle - "lat,lng radius"
+ * @param {string} path - Location of the circle
+ */
+function checkCircle(diagnostics, circle, path) {
+  const [pair, radius, ...rest] = circle.trim().split(/\s+/);
+
+  if (
+    !pair ||
+    !isValidCoordinatePair(pair) ||
+    rest.length > 0 ||
+    !(Number(radius) >= 0)
+  ) {
+    diagnostics.push(
+      createDiagnostic(
+        DiagnosticLevel.ERROR,
+        "invalid-circle",
+        `Circle "${circle.trim()}" is not in "lat,lng radius" format`,
+        path,
+      ),
+    );
+  }
+}
+
+/**
+ * Validate the <references> element and whether one is expected
+ * @param {Array} diagnostics - Diagnostics to append to
+ * @param {Object} capData - Parsed CAP data
+ */
+function checkReferences(diagnostics, capData) {
+  const references = capData.references?.trim();
+
+  if (!references) {
+    if (
+      [MessageType.UPDATE, MessageType.CANCEL, MessageType.ACK].includes(
+        capData.msgType,
+      )
+    ) {
+      diagnostics.push(
+        createDiagnostic(
+          DiagnosticLevel.WARNING,
+          "missing-references",
+          `${capData.msgType} messages should reference the message(s) they apply to`,
+          "references",
+        ),
+      );
+    }
+    return;
+  }
+
+  for (const reference of references.split(/\s+/)) {
+    const [sender, identifier, sent, ...rest] = reference.split(",");
+
+    if (!sender || !identifier || !sent || rest.length > 0) {
+      diagnostics.push(
+        createDiagnostic(
+          DiagnosticLevel.ERROR,
+          "invalid-reference",
+          `Reference "${reference}" is not a "sender,identifier,sent" triplet`,
+          "references",
+        ),
+      );
+    } else if (!isCapDateTime(sent)) {
+      diagnostics.push(
+        createDiagnostic(
+          DiagnosticLevel.ERROR,
+          "invalid-reference",
+          `Reference "${reference}" has an invalid sent date-time`,
+          "references",
+        ),
+      );
+    }
+  }
+}
+
+/**
+ * Check <scope> against <addresses> and <restriction>
+ * @param {Array} diagnostics - Diagnostics to append to
+ * @param {Object} capData - Parsed CAP data
+ */
+function checkScope(diagnostics, capData) {
+  if (capData.scope === AlertScope.PRIVATE && !capData.addresses) {
+    diagnostics.push(
+      createDiagnostic(
+        DiagnosticLevel.ERROR,
+        "missing-addresses",
+        "<addresses> is required when scope is Private",
+        "addresses",
+      ),
+    );
+  }
+
+  if (capData.scope === AlertScope.RESTRICTED && !capData.restriction) {
+    diagnostics.push(
+      createDiagnostic(
+        DiagnosticLevel.WARNING,
+        "missing-restriction",
+        "<restriction> should describe the rule for Restricted messages",
+        "restriction",
+      ),
+    );
+  }
+
+  if (capData.scope === AlertScope.PUBLIC && capData.addresses) {
+    diagnostics.push(
+      createDiagnostic(
+        DiagnosticLevel.WARNING,
+        "unexpected-addresses",
+        "<addresses> is set on a Public message",
+        "addresses",
+      ),
+    );
+  }
+
+  if (capData.scope !== AlertScope.RESTRICTED && capData.restriction) {
+    diagnostics.push(
+      createDiagnostic(
+        DiagnosticLevel.WARNING,
+        "unexpected-restriction",
+        "<restriction> is only used when scope is Restricted",
+        "restriction",
+      ),
+    );
+  }
+}
+
+/**
+ * Validate a parsed <info> block and its resources and areas
+ * @param {Array} diagnostics - Diagnostics to append to
+ * @param {Object} info - Parsed info block from DataProcessor.parseCapXml
+ * @param {string} path - Location of the block, e.g. "info[0]"
+ */
+function checkInfo(diagnostics, info, path) {
+  checkRequired(
+    diagnostics,
+    info,
+    ["category", "event", "urgency", "severity", "certainty"],
+    path,
+  );
+
+  checkEnumeration(
+    diagnostics,
+    info.category,
+    AlertCategory,
+    "category",
+    `${path}.category`,
+  );
+  checkEnumeration(
+    diagnostics,
+    info.urgency,
+    AlertUrgency,
+    "urgency",
+    `${path}.urgency`,
+  );
+  checkEnumeration(
+    diagnostics,
+    info.severity,
+    AlertSeverity,
+    "severity",
+    `${path}.severity`,
+  );
+  checkEnumeration(
+    diagnostics,
+    info.certainty,
+    AlertCertainty,
+    "certainty",
+    `${path}.certainty`,
+  );
+  (info.responseTypes || []).forEach((responseType, index) =>
+    checkEnumeration(
+      diagnostics,
+      responseType,
+      ResponseType,
+      "responseType",
+      `${path}.responseType[${index}]`,
+    ),
+  );
+
+  checkDateTime(diagnostics, info.effective, "effective", `${path}.effective`);
+  checkDateTime(diagnostics, info.expires, "expires", `${path}.expires`);
+
+  (info.resources || []).forEach((resource, index) =>
+    checkRequired(
+      diagnostics,
+      resource,
+      ["resourceDesc", "mimeType"],
+      `${path}.resource[${index}]`,
+    ),
+  );
+
+  (info.areas || []).forEach((area, areaIndex) => {
+    const areaPath = `${path}.area[${areaIndex}]`;
+    checkRequired(diagnostics, area, ["areaDesc"], areaPath);
+
+    area.polygons.forEach((polygon, index) =>
+      checkPolygon(diagnostics, polygon, `${areaPath}.polygon[${index}]`),
+    );
+    area.circles.forEach((circle, index) =>
+      checkCircle(diagnostics, circle, `${areaPath}.circle[${index}]`),
+    );
+  });
+}
+
+/**
+ * Validate parsed CAP data against the CAP 1.2 specification
+ * @param {Object} capData - Raw values from DataProcessor.parseCapXml
+ * @returns {Array<Object>} Diagnostics as {level, code, message, path}; empty if conformant
+ */
+export function validateCapData(capData) {
+  const diagnostics = [];
+
+  checkRequired(
+    diagnostics,
+    capData,
+    ["identifier", "sender", "sent", "status", "msgType", "scope"],
+    "",
+  );
+
+  checkRestrictedCharacters(diagnostics, capData.identifier, "identifier");
+  checkRestrictedCharacters(diagnostics, capData.sender, "sender");
+  checkDateTime(diagnostics, capData.sent, "sent", "sent");
+
+  checkEnumeration(
+    diagnostics,
+    capData.status,
+    AlertStatus,
+    "status",
+    "status",
+  );
+  checkEnumeration(
+    diagnostics,
+    capData.msgType,
+    MessageType,
+    "msgType",
+    "msgType",
+  );
+  checkEnumeration(diagnostics, capData.scope, AlertScope, "scope", "scope");
+
+  checkReferences(diagnostics, capData);
+  checkScope(diagnostics, capData);
+
+  if (
+    (capData.infos || []).length === 0 &&
+    [MessageType.ALERT, MessageType.UPDATE].includes(capData.msgType)
+  ) {
+    diagnostics.push(
+      createDiagnostic(
+        DiagnosticLevel.WARNING,
+        "missing-info",
+        `${capData.msgType} message has no <info> block`,
+        "info",
+      ),
+    );
+  }
+
+  (capData.infos || []).forEach((info, index) =>
+    checkInfo(diagnostics, info, `info[${index}]`),
+  );
+
+  return diagnostics;
+}
+
+/**
+ * Count diagnostics by level
+ * @param {Array} diagnostics - Diagnostics from validateCapData
+ * @returns {Object} Object with errors and warnings counts
+ */
+export function summarizeDiagnostics(diagnostics) {
+  const summary = { errors: 0, warnings: 0 };
+
+  for (const diagnostic of diagnostics || []) {
+    if (diagnostic.level === DiagnosticLevel.ERROR) {
+      summary.errors++;
+    } else {
+      summary.warnings++;
+    }
+  }
+
+  return summary;
+}
+
+export default {
+  validateCapData,
+  summarizeDiagnostics,
+  isCapDateTime,
+};
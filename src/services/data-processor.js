@@ -4,6 +4,18 @@
  */
 
 import Papa from "papaparse";
+import {
+  capRingToGeoJSON,
+  circleToPolygon,
+  buildGeometryLevels,
+  combineGeometries,
+  normalizeGeometry,
+  normalizeLongitude,
+  normalizePolygon,
+} from "../utils/geometry.js";
+import { validateCapData } from "./cap-validator.js";
+import { computeLifecycle, LifecycleState } from "../utils/alert-lifecycle.js";
+import { resolveSender } from "../config/senders.js";
 
 // Alert data structure interfaces (for documentation)
 export const AlertCategory = {
@@ -61,87 +73,868 @@ export const MessageType = {
   ERROR: "Error",
 };
 
+export const AlertScope = {
+  PUBLIC: "Public",
+  RESTRICTED: "Restricted",
+  PRIVATE: "Private",
+};
+
+export const ResponseType = {
+  SHELTER: "Shelter",
+  EVACUATE: "Evacuate",
+  PREPARE: "Prepare",
+  EXECUTE: "Execute",
+  AVOID: "Avoid",
+  MONITOR: "Monitor",
+  ASSESS: "Assess",
+  ALL_CLEAR: "AllClear",
+  NONE: "None",
+};
+
+// CAP 1.2 default when an info block omits <language>
+export const DEFAULT_LANGUAGE = "en-US";
+
+// Language prefix preferred when choosing the primary info block
+const PREFERRED_LANGUAGE = "en";
+
+// Circles with a zero radius describe a point; draw them at this size
+const MIN_CIRCLE_RADIUS_KM = 1;
+
+// Rough New Zealand region, from the Kermadecs to the subantarctic islands.
+// East of 180° (Chatham Islands) longitudes are measured past 180.
+const NZ_REGION = { minLat: -53, maxLat: -25, minLng: 160, maxLng: 190 };
+
+// Boundary GeoJSON used to resolve <geocode> values to shapes
+export const DEFAULT_BOUNDARIES_PATH = "data/boundaries.geojson";
+
+// Version of the preprocessed alert bundle written at build time
+export const NORMALIZED_DATA_VERSION = 6;
+
+// Characters of CSV parsed between progress updates
+const CSV_CHUNK_SIZE = 256 * 1024;
+
+// Length of the raw XML excerpt kept with each ingestion issue
+const SNIPPET_LENGTH = 300;
+
+// Records processed between progress updates for non-CSV sources
+const RECORD_PROGRESS_INTERVAL = 50;
+
+// Record fields processRow reads, mapped to the source's own field names.
+// The defaults are the Google Sheet's columns.
+export const DEFAULT_RECORD_FIELDS = {
+  content: "content",
+  title: "title",
+  summary: "summary",
+  guid: "guid",
+  pubDate: "pubDate",
+  author: "author",
+};
+
+// Manifest listing the files in a raw CAP XML directory source
+export const XML_MANIFEST_FILENAME = "manifest.json";
+
 /**
  * Main DataProcessor class for handling CAP alert data
  */
 export class DataProcessor {
+  /**
+   * Boundary features keyed by geocode, populated by loadBoundaries
+   * @type {Map<string, Object>}
+   */
+  static boundaries = new Map();
+
+  /**
+   * DOMParser implementation used for CAP XML. Defaults to the browser's;
+   * outside a browser a compatible one (e.g. linkedom's) must be assigned.
+   */
+  static DOMParserImpl = typeof DOMParser !== "undefined" ? DOMParser : null;
+
   /**
    * Load and process CSV file containing CAP alert data
    * @param {string} csvPath - Path to the CSV file
+   * @param {string} boundariesPath - Path to the geocode boundary GeoJSON
    * @returns {Promise<Array>} Array of normalized alert objects
    */
-  static async loadAndProcessCSV(csvPath) {
+  static async loadAndProcessCSV(
+    csvPath,
+    boundariesPath = DEFAULT_BOUNDARIES_PATH,
+  ) {
     try {
+      // Boundaries must be ready before areas are normalized
+      await this.loadBoundaries(boundariesPath);
+
       console.log("Loading CSV data from:", csvPath);
 
-      // Fetch the CSV file
-      const response = await fetch(csvPath);
-      if (!response.ok) {
-        throw new Error(
-          `Failed to fetch CSV: ${response.status} ${response.statusText}`,
-        );
+      return await this.loadSource({ type: "csv", path: csvPath });
+    } catch (error) {
+      console.error("Failed to load and process CSV:", error);
+      throw new Error(`Data processing failed: ${error.message}`);
+    }
+  }
+
+  /**
+   * Load and process a configured data source with its adapter
+   * @param {Object} source - Source config, e.g. {type: "csv", path: "data/cap.csv"}
+   * @param {Object} [context] - Options passed to the adapter
+   * @param {Function} [context.fetchText] - Resolves a path to its text, or
+   *   null if it doesn't exist. Defaults to fetch.
+   * @param {Function} [context.onProgress] - Progress callback, see processCSVText
+   * @param {Object} [context.report] - Ingestion report to fill in
+   * @returns {Promise<Array>} Array of normalized alert objects
+   */
+  static async loadSource(
+    source,
+    { fetchText = (path) => this.fetchText(path), onProgress, report } = {},
+  ) {
+    const adapter = SourceAdapters[source?.type];
+    if (!adapter) {
+      throw new Error(`Unknown data source type: ${source?.type}`);
+    }
+
+    return adapter.load(source, { fetchText, onProgress, report });
+  }
+
+  /**
+   * Load several data sources and stamp every alert with the dataset it came
+   * from. A source that fails to load is recorded in the report and skipped,
+   * so one missing archive doesn't take down the others.
+   * @param {Array} sources - Source configs, each with a unique id and a label
+   * @param {Object} [context] - Options passed to each adapter, see loadSource.
+   *   onProgress additionally receives the source being loaded and its index,
+   *   with its newAlerts already stamped, and fetchText receives them as
+   *   {source, sourceIndex, sourceCount} after the path.
+   * @returns {Promise<Array>} Normalized alerts from every source
+   */
+  static async loadSources(sources, { fetchText, onProgress, report } = {}) {
+    const alerts = [];
+    let loadedCount = 0;
+
+    for (const [sourceIndex, source] of sources.entries()) {
+      const sourceReport = this.createIngestionReport();
+      const sourceContext = {
+        source,
+        sourceIndex,
+        sourceCount: sources.length,
+      };
+
+      try {
+        const sourceAlerts = await this.loadSource(source, {
+          fetchText: fetchText && ((path) => fetchText(path, sourceContext)),
+          report: sourceReport,
+          onProgress: (progress) =>
+            onProgress?.({
+              ...progress,
+              ...sourceContext,
+              newAlerts: progress.newAlerts?.map((alert) =>
+                this.stampDataset(alert, source.id),
+              ),
+            }),
+        });
+
+        for (const alert of sourceAlerts) {
+          alerts.push(this.stampDataset(alert, source.id));
+        }
+        loadedCount++;
+      } catch (error) {
+        console.warn(`Failed to load data source "${source.id}":`, error);
+        sourceReport.error = error.message;
       }
 
-      const csvText = await response.text();
-      console.log("CSV loaded, size:", csvText.length, "characters");
+      if (report) {
+        this.mergeIngestionReport(report, sourceReport, source);
+      }
+    }
 
-      // Parse CSV data
-      const csvData = this.parseCSV(csvText);
-      console.log("CSV parsed, found", csvData.length, "rows");
+    if (loadedCount === 0 && sources.length > 0) {
+      throw new Error("None of the configured data sources could be loaded");
+    }
 
-      // Process each row and extract CAP data
-      const alerts = [];
-      const errors = [];
+    return alerts;
+  }
 
-      for (let i = 0; i < csvData.length; i++) {
-        try {
-          const row = csvData[i];
+  /**
+   * Record the dataset an alert was loaded from
+   * @param {Object} alert - Normalized alert
+   * @param {string} datasetId - Id of the source config
+   * @returns {Object} The same alert with datasets and provenance stamped
+   */
+  static stampDataset(alert, datasetId) {
+    alert.datasets = [datasetId];
+    alert.provenance = (alert.provenance || []).map((entry) => ({
+      ...entry,
+      dataset: datasetId,
+    }));
+    return alert;
+  }
 
-          // Try to process as CAP XML first
-          if (row.content && row.content.trim()) {
-            const alert = this.processCapRow(row, i);
-            if (alert) {
-              alerts.push(alert);
-              continue; // Successfully processed, move to next row
-            }
-          }
+  /**
+   * Add or replace the adapter used for a data source type
+   * @param {string} type - Source type used in the data source config
+   * @param {Object} adapter - Object with a load(source, context) method
+   *   resolving to an array of normalized alerts
+   */
+  static registerSourceAdapter(type, adapter) {
+    SourceAdapters[type] = adapter;
+  }
+
+  /**
+   * Default fetchText for loadSource
+   * @param {string} path - Path or URL to fetch
+   * @returns {Promise<string|null>} Response text, or null if not found
+   */
+  static async fetchText(path) {
+    const response = await fetch(path);
+    if (response.status === 404) {
+      return null;
+    }
+    if (!response.ok) {
+      throw new Error(
+        `Failed to fetch ${path}: ${response.status} ${response.statusText}`,
+      );
+    }
+
+    return response.text();
+  }
+
+  /**
+   * Fetch a file a source can't be read without
+   * @param {Function} fetchText - fetchText from the loadSource context
+   * @param {string} path - Path to fetch
+   * @returns {Promise<string>} File contents
+   */
+  static async fetchRequiredText(fetchText, path) {
+    const text = await fetchText(path);
+    if (text === null) {
+      throw new Error(`Data source not found: ${path}`);
+    }
+
+    return text;
+  }
+
+  /**
+   * Resolve a path relative to the file or directory it was listed in
+   * @param {string} basePath - Path or URL of the listing; directories end in "/"
+   * @param {string} relativePath - Path from the listing
+   * @returns {string} Resolved path or URL
+   */
+  static resolvePath(basePath, relativePath) {
+    if (/^[a-z][a-z\d+.-]*:/i.test(relativePath)) {
+      return relativePath;
+    }
+    if (/^[a-z][a-z\d+.-]*:\/\//i.test(basePath)) {
+      return new URL(relativePath, basePath).href;
+    }
+
+    return basePath.replace(/[^/]*$/, "") + relativePath;
+  }
+
+  /**
+   * Rename a source record's fields to the ones processRow reads
+   * @param {Object} raw - Record as read from the source
+   * @param {Object} [fields] - Overrides for DEFAULT_RECORD_FIELDS
+   * @returns {Object} Record with content, title, summary, guid, pubDate and author
+   */
+  static mapRecord(raw, fields = {}) {
+    const mapping = { ...DEFAULT_RECORD_FIELDS, ...fields };
+    const record = {};
+
+    for (const [field, sourceField] of Object.entries(mapping)) {
+      const value = raw?.[sourceField];
+      record[field] =
+        value === undefined || value === null ? "" : String(value);
+    }
+
+    return record;
+  }
 
-          // If no XML content but we have other metadata, create a basic alert
-          // This handles rows that don't have CAP XML but have alert information
-          if (row.title || row.summary || row.guid) {
-            const alert = this.createAlertFromMetadata(row, i);
+  /**
+   * Parse CSV text and process every row into normalized alerts
+   * @param {string} csvText - Raw CSV text
+   * @param {Object} [options] - Options object
+   * @param {Function} [options.onProgress] - Called after each parsed chunk with
+   *   {rowsProcessed, alertsProcessed, parsedLength, totalLength, newAlerts},
+   *   where newAlerts are the alerts parsed since the previous call
+   * @param {Object} [options.report] - Ingestion report from createIngestionReport to fill in
+   * @param {Object} [options.fields] - Column names, see DEFAULT_RECORD_FIELDS
+   * @returns {Array} Array of normalized alert objects
+   */
+  static processCSVText(csvText, { onProgress, report, fields } = {}) {
+    try {
+      // Process each row and extract CAP data as the CSV is parsed
+      const alerts = [];
+      let rowIndex = 0;
+      let reportedCount = 0;
+
+      const { rowCount, errors: parseWarnings } = this.parseCSV(
+        csvText,
+        (rows, cursor) => {
+          for (const row of rows) {
+            const alert = this.processRecord(
+              fields ? this.mapRecord(row, fields) : row,
+              rowIndex,
+              report,
+            );
             if (alert) {
               alerts.push(alert);
             }
+            rowIndex++;
           }
-        } catch (error) {
-          console.warn(`Error processing row ${i}:`, error.message);
-          errors.push({ row: i, error: error.message });
-        }
+
+          onProgress?.({
+            rowsProcessed: rowIndex,
+            alertsProcessed: alerts.length,
+            parsedLength: cursor,
+            totalLength: csvText.length,
+            newAlerts: alerts.slice(reportedCount),
+          });
+          reportedCount = alerts.length;
+        },
+      );
+      console.log("CSV parsed, found", rowCount, "rows");
+
+      if (report) {
+        report.parseWarnings.push(
+          ...parseWarnings.map((warning) => ({
+            row: warning.row ?? null,
+            code: warning.code,
+            message: warning.message,
+          })),
+        );
       }
 
       console.log(
-        `Processing complete: ${alerts.length} alerts processed, ${errors.length} errors`,
+        `Processing complete: ${alerts.length} alerts from ${rowCount} rows`,
       );
 
-      if (errors.length > 0) {
-        console.warn("Processing errors:", errors);
-      }
-
       return alerts;
     } catch (error) {
-      console.error("Failed to load and process CSV:", error);
+      console.error("Failed to process CSV:", error);
       throw new Error(`Data processing failed: ${error.message}`);
     }
-  } /**
+  }
+
+  /**
+   * Process an array of source records into normalized alerts
+   * @param {Array} records - Records in the shape processRow reads
+   * @param {Object} [options] - Options object
+   * @param {Function} [options.onProgress] - Progress callback, see processCSVText
+   * @param {Object} [options.report] - Ingestion report to fill in
+   * @returns {Array} Array of normalized alert objects
+   */
+  static processRecords(records, { onProgress, report } = {}) {
+    const alerts = [];
+    let reportedCount = 0;
+
+    records.forEach((record, index) => {
+      const alert = this.processRecord(record, index, report);
+      if (alert) {
+        alerts.push(alert);
+      }
+
+      if (
+        (index + 1) % RECORD_PROGRESS_INTERVAL === 0 ||
+        index === records.length - 1
+      ) {
+        onProgress?.({
+          rowsProcessed: index + 1,
+          alertsProcessed: alerts.length,
+          parsedLength: index + 1,
+          totalLength: records.length,
+          newAlerts: alerts.slice(reportedCount),
+        });
+        reportedCount = alerts.length;
+      }
+    });
+
+    console.log(
+      `Processing complete: ${alerts.length} alerts from ${records.length} records`,
+    );
+    return alerts;
+  }
+
+  /**
+   * Process one source record, recording any problems in the report
+   * @param {Object} record - Record in the shape processRow reads
+   * @param {number} index - Record index
+   * @param {Object} [report] - Ingestion report to fill in
+   * @returns {Object|null} Normalized alert object or null
+   */
+  static processRecord(record, index, report = null) {
+    const issues = [];
+    let alert = null;
+
+    try {
+      alert = this.processRow(record, index, issues);
+    } catch (error) {
+      console.warn(`Error processing row ${index}:`, error.message);
+      issues.push({ type: "row", reason: error.message });
+    }
+
+    if (report) {
+      report.rowCount++;
+      if (alert) {
+        report.alertCount++;
+      }
+      this.recordRowIssues(report, record, index, alert, issues);
+    }
+
+    return alert;
+  }
+
+  /**
+   * Turn the entries of an Atom or RSS feed into source records
+   * @param {string} feedText - Feed XML
+   * @param {Object} options - Options object
+   * @param {string} options.basePath - Feed path, for resolving relative links
+   * @param {Function|null} options.fetchText - Used to fetch linked CAP
+   *   messages; links aren't followed when null
+   * @returns {Promise<Array>} Records in the shape processRow reads
+   */
+  static async parseFeedRecords(feedText, { basePath, fetchText }) {
+    if (!this.DOMParserImpl) {
+      throw new Error("DOMParser not available to parse the feed");
+    }
+
+    const feed = new this.DOMParserImpl().parseFromString(feedText, "text/xml");
+    if (feed.querySelector("parsererror")) {
+      throw new Error("Feed is not well-formed XML");
+    }
+
+    const entries = [
+      ...feed.querySelectorAll("entry"),
+      ...feed.querySelectorAll("item"),
+    ];
+    const records = [];
+
+    for (const entry of entries) {
+      const author = this.getChildElement(entry, "author");
+      const record = {
+        content: "",
+        title: this.getChildText(entry, "title"),
+        summary: this.getChildText(entry, "summary", "description"),
+        guid: this.getChildText(entry, "id", "guid"),
+        pubDate: this.getChildText(entry, "published", "updated", "pubDate"),
+        author:
+          (author && this.getChildText(author, "name")) ||
+          this.getChildText(entry, "author", "creator"),
+      };
+
+      const embeddedAlert = entry.querySelector("alert");
+      if (embeddedAlert) {
+        record.content = embeddedAlert.outerHTML;
+      } else if (fetchText) {
+        const link = this.getCapLink(entry);
+        if (link) {
+          record.content =
+            (await fetchText(this.resolvePath(basePath, link))) || "";
+        }
+      }
+
+      records.push(record);
+    }
+
+    return records;
+  }
+
+  /**
+   * Find the link to an entry's CAP message
+   * @param {Element} entry - Atom entry or RSS item
+   * @returns {string|null} Link href, or null if there is none
+   */
+  static getCapLink(entry) {
+    for (const link of entry.children) {
+      if (this.getLocalName(link) !== "link") continue;
+
+      // Atom: <link type="application/cap+xml" href="..."/>
+      const type = link.getAttribute("type") || "";
+      if (link.getAttribute("href") && type.includes("cap+xml")) {
+        return link.getAttribute("href");
+      }
+    }
+
+    // RSS: <link>...</link>
+    const rssLink = this.getChildText(entry, "link");
+    return rssLink || null;
+  }
+
+  /**
+   * Name of an element without its namespace prefix ("dc:creator" -> "creator")
+   * @param {Element} element - XML element
+   * @returns {string} Local name
+   */
+  static getLocalName(element) {
+    return (element.localName || element.tagName || "").split(":").pop();
+  }
+
+  /**
+   * Find the first direct child with one of the given local names.
+   * Unlike querySelector this won't match elements inside an embedded alert.
+   * @param {Element} parent - Parent XML element
+   * @param {...string} names - Local names to look for, in order of preference
+   * @returns {Element|null} Matching child element
+   */
+  static getChildElement(parent, ...names) {
+    for (const name of names) {
+      for (const child of parent.children) {
+        if (this.getLocalName(child) === name) {
+          return child;
+        }
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Text content of the first direct child with one of the given local names
+   * @param {Element} parent - Parent XML element
+   * @param {...string} names - Local names to look for, in order of preference
+   * @returns {string} Trimmed text content, or empty string if not found
+   */
+  static getChildText(parent, ...names) {
+    return this.getChildElement(parent, ...names)?.textContent.trim() || "";
+  }
+
+  /**
+   * Process a single CSV row into a normalized alert
+   * @param {Object} row - CSV row object
+   * @param {number} index - Row index for ID generation and error reporting
+   * @param {Array} [issues] - Collects {type, reason, ...} problems found in the row
+   * @returns {Object|null} Normalized alert object or null if the row has no usable data
+   */
+  static processRow(row, index, issues = []) {
+    // Try to process as CAP XML first
+    if (row.content && row.content.trim()) {
+      const alert = this.processCapRow(row, index, issues);
+      if (alert) {
+        return alert; // Successfully processed
+      }
+    }
+
+    // If no XML content but we have other metadata, create a basic alert
+    // This handles rows that don't have CAP XML but have alert information
+    if (row.title || row.summary || row.guid) {
+      return this.createAlertFromMetadata(row, index);
+    }
+
+    if (!issues.some((issue) => issue.type === "xml")) {
+      issues.push({
+        type: "row",
+        reason: "Row has no CAP XML or alert metadata",
+      });
+    }
+
+    return null;
+  }
+
+  /**
+   * Create an empty ingestion report for processCSVText and prepareAlerts to fill in
+   * @returns {Object} Ingestion report with counts and lists of problems found
+   */
+  static createIngestionReport() {
+    return {
+      generatedAt: new Date().toISOString(),
+      rowCount: 0,
+      alertCount: 0,
+      validAlertCount: 0,
+      // Rows that produced no alert at all
+      skippedRows: [],
+      // Rows whose CAP XML was unusable and were shown from feed metadata instead
+      fallbackRows: [],
+      // Papa Parse errors (malformed quotes, field count mismatches, ...)
+      parseWarnings: [],
+      // Polygon and circle coordinates that were dropped or look suspicious
+      coordinateWarnings: [],
+      // Processed alerts dropped by validateAlert
+      invalidAlerts: [],
+      // Identical copies of a message merged into one alert
+      duplicateCount: 0,
+      // Copies of a message that share sender, identifier and sent but differ in content
+      conflictingDuplicates: [],
+      // Per-dataset counts when several sources are loaded with loadSources
+      datasets: [],
+    };
+  }
+
+  /**
+   * Fold one dataset's ingestion report into the combined report, tagging
+   * each entry with the dataset it came from
+   * @param {Object} report - Combined ingestion report
+   * @param {Object} sourceReport - Report filled in while loading one source
+   * @param {Object} source - Source config the report belongs to
+   */
+  static mergeIngestionReport(report, sourceReport, source) {
+    report.rowCount += sourceReport.rowCount;
+    report.alertCount += sourceReport.alertCount;
+
+    for (const key of [
+      "skippedRows",
+      "fallbackRows",
+      "parseWarnings",
+      "coordinateWarnings",
+    ]) {
+      for (const entry of sourceReport[key]) {
+        report[key].push({ ...entry, dataset: source.id });
+      }
+    }
+
+    report.datasets.push({
+      id: source.id,
+      label: source.label || source.id,
+      rowCount: sourceReport.rowCount,
+      alertCount: sourceReport.alertCount,
+      error: sourceReport.error || null,
+    });
+  }
+
+  /**
+   * Add the issues found while processing one CSV row to the report
+   * @param {Object} report - Ingestion report
+   * @param {Object} row - CSV row object
+   * @param {number} index - Row index
+   * @param {Object|null} alert - Alert produced from the row, if any
+   * @param {Array} issues - Issues collected by processRow
+   */
+  static recordRowIssues(report, row, index, alert, issues) {
+    const guid = row.guid || "";
+    const snippet = (row.content || "").trim().slice(0, SNIPPET_LENGTH);
+
+    for (const issue of issues) {
+      if (issue.type === "coordinates") {
+        report.coordinateWarnings.push({
+          row: index,
+          guid,
+          reason: issue.reason,
+          value: issue.value,
+        });
+      }
+    }
+
+    const rowIssue = issues.find(
+      (issue) => issue.type === "xml" || issue.type === "row",
+    );
+    if (!alert) {
+      report.skippedRows.push({
+        row: index,
+        guid,
+        reason: rowIssue?.reason || "Row could not be processed",
+        snippet,
+      });
+    } else if (rowIssue) {
+      report.fallbackRows.push({
+        row: index,
+        guid,
+        reason: rowIssue.reason,
+        snippet,
+      });
+    }
+  }
+
+  /**
+   * Load the preprocessed alert bundle written by scripts/preprocess-data.js
+   * @param {string} dataPath - Path to the normalized JSON file
+   * @param {Object} [options]
+   * @param {Function} [options.fetchText] - (path) => Promise<string|null>,
+   *   as for loadSource; defaults to a plain fetch
+   * @returns {Promise<Object|null>} {alerts, report, incidents}: grouped
+   *   alerts with the ingestion report and incidents shipped with them, or
+   *   null if the bundle is missing or from another version
+   */
+  static async loadNormalizedData(
+    dataPath,
+    { fetchText = (path) => this.fetchText(path) } = {},
+  ) {
+    const json = await fetchText(dataPath);
+    if (!json) {
+      console.warn("Normalized data not available:", dataPath);
+      return null;
+    }
+
+    const data = JSON.parse(json);
+    const alerts = this.fromNormalizedData(data);
+    if (!alerts) return null;
+
+    return {
+      alerts,
+      report: data.report || null,
+      incidents: (data.incidents || []).map((incident) => ({
+        ...incident,
+        start: new Date(incident.start),
+        end: new Date(incident.end),
+      })),
+    };
+  }
+
+  /**
+   * Serialize grouped alerts into the compact normalized bundle.
+   * Only timelines are stored; group headers are rebuilt when loading.
+   * Dates become ISO strings through JSON serialization.
+   * @param {Array} groupedAlerts - Output of groupAlerts
+   * @param {Object|null} [report] - Ingestion report to ship alongside the alerts
+   * @param {Array} [incidents] - Incidents from clusterIncidents
+   * @returns {Object} Normalized bundle ready for JSON.stringify
+   */
+  static toNormalizedData(groupedAlerts, report = null, incidents = []) {
+    return {
+      version: NORMALIZED_DATA_VERSION,
+      generatedAt: new Date().toISOString(),
+      report: report,
+      incidents,
+      timelines: groupedAlerts.map((group) => group.timeline),
+    };
+  }
+
+  /**
+   * Rebuild grouped alerts from a normalized bundle
+   * @param {Object} data - Parsed normalized bundle
+   * @returns {Array|null} Grouped alert objects, or null for an unsupported version
+   */
+  static fromNormalizedData(data) {
+    if (data.version !== NORMALIZED_DATA_VERSION) {
+      console.warn("Normalized data has unsupported version:", data.version);
+      return null;
+    }
+
+    return (data.timelines || []).map((timeline) =>
+      this.createGroup(timeline.map((alert) => this.reviveAlert(alert))),
+    );
+  }
+
+  /**
+   * Restore Date fields on an alert loaded from JSON
+   * @param {Object} alert - Alert with ISO date strings
+   * @returns {Object} Alert with Date objects and refreshed computed fields
+   */
+  static reviveAlert(alert) {
+    const reviveDates = (item) => ({
+      ...item,
+      effective: this.parseDate(item.effective),
+      expires: this.parseDate(item.expires),
+    });
+
+    const revived = reviveDates(alert);
+    revived.sent = this.parseDate(alert.sent) || new Date();
+    revived.infos = Object.fromEntries(
+      Object.entries(alert.infos || {}).map(([language, blocks]) => [
+        language,
+        blocks.map(reviveDates),
+      ]),
+    );
+
+    // Expiry is relative to when the data is viewed, not when it was built
+    revived.isExpired = revived.expires ? revived.expires < new Date() : false;
+
+    return revived;
+  }
+
+  /**
+   * Validate processed alerts and group them into timelines
+   * @param {Array} alerts - Flat array of normalized alerts
+   * @param {Object} [report] - Ingestion report to record dropped alerts in
+   * @returns {Array} Grouped alert objects
+   */
+  static prepareAlerts(alerts, report = null) {
+    const validAlerts = alerts.filter((alert) => {
+      const validationError = this.getValidationError(alert);
+      if (validationError) {
+        console.warn("Invalid alert filtered out:", alert?.id);
+        report?.invalidAlerts.push({
+          id: alert?.id || "",
+          identifier: alert?.identifier || "",
+          datasets: alert?.datasets || [],
+          reason: validationError,
+        });
+      }
+      return !validationError;
+    });
+
+    console.log(`${validAlerts.length} valid alerts after filtering`);
+    if (report) {
+      report.validAlertCount += validAlerts.length;
+    }
+
+    const uniqueAlerts = this.deduplicateAlerts(validAlerts, report);
+    console.log(
+      `${uniqueAlerts.length} unique alerts after removing ${validAlerts.length - uniqueAlerts.length} duplicates`,
+    );
+
+    const groupedAlerts = this.groupAlerts(uniqueAlerts);
+    console.log(
+      `Grouped ${uniqueAlerts.length} alerts into ${groupedAlerts.length} groups`,
+    );
+
+    return groupedAlerts;
+  }
+
+  /**
+   * Load the boundary GeoJSON used to resolve geocode-only areas.
+   * A missing file is not fatal: geocodes are kept but stay without geometry.
+   * @param {string} boundariesPath - Path to the boundary GeoJSON file
+   * @returns {Promise<number>} Number of boundaries loaded
+   */
+  static async loadBoundaries(boundariesPath) {
+    try {
+      const response = await fetch(boundariesPath);
+      if (!response.ok) {
+        throw new Error(`${response.status} ${response.statusText}`);
+      }
+
+      this.setBoundaries(await response.json());
+    } catch (error) {
+      console.warn("Boundary data not available:", error.message);
+      this.setBoundaries(null);
+    }
+
+    return this.boundaries.size;
+  }
+
+  /**
+   * Index boundary features by geocode
+   * Each feature's properties must contain valueName, value and name,
+   * matching the CAP <geocode> pair it represents, and may set approximate
+   * when the shape only stands in for the real one (e.g. a territorial
+   * authority drawn as its region). Shapes are normalized once here, like
+   * polygons read from alerts.
+   * @param {Object|null} featureCollection - Boundary GeoJSON FeatureCollection
+   */
+  static setBoundaries(featureCollection) {
+    this.boundaries = new Map();
+
+    for (const feature of featureCollection?.features || []) {
+      const { valueName, value, name, approximate } = feature.properties || {};
+      const geometry = normalizeGeometry(feature.geometry);
+      if (!valueName || !value || !geometry) continue;
+
+      this.boundaries.set(this.getGeocodeKey(valueName, value), {
+        name: name || value,
+        geometry,
+        approximate: Boolean(approximate),
+      });
+    }
+  }
 
-   * Parse CSV text into array of objects
+  /**
+   * Build the boundary lookup key for a geocode pair
+   * @param {string} valueName - Geocode scheme name
+   * @param {string} value - Geocode value
+   * @returns {string} Lookup key
+   */
+  static getGeocodeKey(valueName, value) {
+    return `${String(valueName).trim().toLowerCase()}|${String(value).trim()}`;
+  }
+
+  /**
+   * Parse CSV text in chunks, handing each chunk of row objects to a callback
    * @param {string} csvText - Raw CSV text
-   * @returns {Array} Array of row objects
+   * @param {Function} onChunk - Called with (rows, cursor) for each parsed chunk
+   * @returns {Object} Object with rowCount and Papa parse errors
    */
-  static parseCSV(csvText) {
+  static parseCSV(csvText, onChunk) {
     try {
-      const result = Papa.parse(csvText, {
+      let rowCount = 0;
+      const errors = [];
+
+      Papa.parse(csvText, {
         header: true,
         skipEmptyLines: true,
         quoteChar: '"',
@@ -153,18 +946,30 @@ export class DataProcessor {
         // transform: (value) => {
         //   return typeof value === "string" ? value.trim() : value;
         // },
+        chunkSize: CSV_CHUNK_SIZE,
+        chunk: (results) => {
+          // Papa numbers error rows within the chunk
+          errors.push(
+            ...results.errors.map((error) => ({
+              ...error,
+              row: error.row === undefined ? undefined : error.row + rowCount,
+            })),
+          );
+          rowCount += results.data.length;
+          onChunk(results.data, results.meta.cursor);
+        },
       });
 
-      if (result.errors && result.errors.length > 0) {
-        console.warn("CSV parsing warnings:", result.errors);
+      if (errors.length > 0) {
+        console.warn("CSV parsing warnings:", errors);
       }
 
-      if (!result.data || result.data.length === 0) {
+      if (rowCount === 0) {
         throw new Error("No data found in CSV file");
       }
 
-      console.log(`CSV parsed successfully: ${result.data.length} rows`);
-      return result.data;
+      console.log(`CSV parsed successfully: ${rowCount} rows`);
+      return { rowCount, errors };
     } catch (error) {
       console.error("CSV parsing failed:", error);
       throw new Error(`Failed to parse CSV: ${error.message}`);
@@ -175,14 +980,16 @@ export class DataProcessor {
    * Process a single CSV row containing CAP data
    * @param {Object} row - CSV row object
    * @param {number} index - Row index for error reporting
+   * @param {Array} [issues] - Collects problems found in the row
    * @returns {Object|null} Normalized alert object or null if invalid
    */
-  static processCapRow(row, index) {
+  static processCapRow(row, index, issues = []) {
     try {
       // Extract CAP XML from content field - don't trim here as it may contain multi-line XML
       const capXml = row.content;
       if (!capXml || typeof capXml !== "string" || !capXml.includes("<alert")) {
         console.warn(`Row ${index}: No valid CAP XML found`);
+        issues.push({ type: "xml", reason: "No CAP <alert> element found" });
         return null;
       }
 
@@ -190,40 +997,44 @@ export class DataProcessor {
       const trimmedXml = capXml.trim();
 
       // Parse CAP XML
-      const capData = this.parseCapXml(trimmedXml);
+      const capData = this.parseCapXml(trimmedXml, issues);
       if (!capData) {
         console.warn(`Row ${index}: Failed to parse CAP XML`);
         return null;
       }
 
       // Create normalized alert object
-      const alert = this.normalizeAlertData(capData, row, index);
+      const alert = this.normalizeAlertData(capData, row, index, issues);
 
       return alert;
     } catch (error) {
       console.warn(`Row ${index}: Error processing CAP data:`, error.message);
+      issues.push({ type: "xml", reason: error.message });
       return null;
     }
-  } /**
-   *
-Parse CAP XML using DOMParser
+  }
+
+  /**
+   * Parse CAP XML using DOMParser
    * @param {string} xmlString - CAP XML string
+   * @param {Array} [issues] - Collects the reason parsing failed
    * @returns {Object|null} Parsed CAP data object or null if invalid
    */
-  static parseCapXml(xmlString) {
+  static parseCapXml(xmlString, issues = []) {
     try {
-      // Check if DOMParser is available (browser environment)
-      if (typeof DOMParser === "undefined") {
+      // Check if a DOMParser is available (browser, or assigned in Node)
+      if (!this.DOMParserImpl) {
         console.warn(
-          "DOMParser not available - this method requires a browser environment",
+          "DOMParser not available - assign DataProcessor.DOMParserImpl outside a browser",
         );
+        issues.push({ type: "xml", reason: "DOMParser not available" });
         return null;
       }
 
       // Clean up the XML string - handle double quotes in attributes
       const cleanXml = xmlString.replace(/""([^"]*)""/g, '"$1"');
 
-      const parser = new DOMParser();
+      const parser = new this.DOMParserImpl();
       const xmlDoc = parser.parseFromString(cleanXml, "text/xml");
 
       // Check for parsing errors
@@ -247,13 +1058,18 @@ Parse CAP XML using DOMParser
         msgType: this.getElementText(alert, "msgType"),
         scope: this.getElementText(alert, "scope"),
         references: this.getElementText(alert, "references"),
-        info: null,
+        restriction: this.getElementText(alert, "restriction"),
+        addresses: this.getElementText(alert, "addresses"),
+        codes: this.getElementTexts(alert, "code"),
+        note: this.getElementText(alert, "note"),
+        incidents: this.getElementText(alert, "incidents"),
+        infos: [],
       };
 
-      // Extract info element data
-      const info = alert.querySelector("info");
-      if (info) {
-        capData.info = {
+      // Extract every info element - bilingual and multi-hazard messages
+      // carry more than one
+      for (const info of alert.querySelectorAll("info")) {
+        const infoData = {
           language: this.getElementText(info, "language"),
           category: this.getElementText(info, "category"),
           event: this.getElementText(info, "event"),
@@ -265,22 +1081,48 @@ Parse CAP XML using DOMParser
           senderName: this.getElementText(info, "senderName"),
           headline: this.getElementText(info, "headline"),
           description: this.getElementText(info, "description"),
-          area: null,
+          instruction: this.getElementText(info, "instruction"),
+          web: this.getElementText(info, "web"),
+          contact: this.getElementText(info, "contact"),
+          audience: this.getElementText(info, "audience"),
+          responseTypes: this.getElementTexts(info, "responseType"),
+          eventCodes: this.getValuePairs(info, "eventCode"),
+          parameters: this.getValuePairs(info, "parameter"),
+          resources: Array.from(
+            info.querySelectorAll("resource"),
+            (resource) => ({
+              resourceDesc: this.getElementText(resource, "resourceDesc"),
+              mimeType: this.getElementText(resource, "mimeType"),
+              size: this.getElementText(resource, "size"),
+              uri: this.getElementText(resource, "uri"),
+              digest: this.getElementText(resource, "digest"),
+            }),
+          ),
+          areas: [],
         };
 
-        // Extract area information
-        const area = info.querySelector("area");
-        if (area) {
-          capData.info.area = {
+        // Extract every area, each of which may carry several polygons
+        // and circles
+        for (const area of info.querySelectorAll("area")) {
+          infoData.areas.push({
             areaDesc: this.getElementText(area, "areaDesc"),
-            polygon: this.getElementText(area, "polygon"),
-          };
+            polygons: Array.from(area.querySelectorAll("polygon"), (polygon) =>
+              polygon.textContent.trim(),
+            ),
+            circles: Array.from(area.querySelectorAll("circle"), (circle) =>
+              circle.textContent.trim(),
+            ),
+            geocodes: this.getValuePairs(area, "geocode"),
+          });
         }
+
+        capData.infos.push(infoData);
       }
 
       return capData;
     } catch (error) {
       console.warn("CAP XML parsing error:", error.message);
+      issues.push({ type: "xml", reason: error.message });
       return null;
     }
   }
@@ -294,13 +1136,40 @@ Parse CAP XML using DOMParser
   static getElementText(parent, tagName) {
     const element = parent.querySelector(tagName);
     return element ? element.textContent.trim() : "";
-  } /**
+  }
 
+  /**
+   * Extract the text content of every matching XML element
+   * @param {Element} parent - Parent XML element
+   * @param {string} tagName - Tag name to search for
+   * @returns {Array<string>} Non-empty text contents in document order
+   */
+  static getElementTexts(parent, tagName) {
+    return Array.from(parent.querySelectorAll(tagName), (element) =>
+      element.textContent.trim(),
+    ).filter(Boolean);
+  }
+
+  /**
+   * Extract CAP valueName/value pairs (eventCode, parameter, geocode)
+   * @param {Element} parent - Parent XML element
+   * @param {string} tagName - Tag name of the pair elements
+   * @returns {Array<Object>} Array of {valueName, value} objects
+   */
+  static getValuePairs(parent, tagName) {
+    return Array.from(parent.querySelectorAll(tagName), (element) => ({
+      valueName: this.getElementText(element, "valueName"),
+      value: this.getElementText(element, "value"),
+    }));
+  }
+
+  /**
    * Extract and validate polygon coordinates from CAP XML
    * @param {string} polygonString - Polygon coordinate string from CAP
+   * @param {Array} [issues] - Collects dropped or out-of-bounds coordinates
    * @returns {Array|null} Array of [lat, lng] coordinate pairs or null if invalid
    */
-  static extractPolygonCoordinates(polygonString) {
+  static extractPolygonCoordinates(polygonString, issues = []) {
     if (!polygonString || typeof polygonString !== "string") {
       return null;
     }
@@ -315,6 +1184,11 @@ Parse CAP XML using DOMParser
 
         if (!latStr || !lngStr) {
           console.warn("Invalid coordinate pair:", pair);
+          issues.push({
+            type: "coordinates",
+            reason: "Invalid coordinate pair",
+            value: pair,
+          });
           continue;
         }
 
@@ -324,12 +1198,22 @@ Parse CAP XML using DOMParser
         // Validate coordinates
         if (isNaN(lat) || isNaN(lng)) {
           console.warn("Non-numeric coordinates:", pair);
+          issues.push({
+            type: "coordinates",
+            reason: "Non-numeric coordinates",
+            value: pair,
+          });
           continue;
         }
 
-        // Basic bounds check for New Zealand region (-50 to -30 lat, 160 to 180 lng)
-        if (lat < -50 || lat > -30 || lng < 160 || lng > 180) {
+        // Basic bounds check for the New Zealand region
+        if (!this.isInNewZealandRegion(lat, lng)) {
           console.warn("Coordinates outside New Zealand bounds:", pair);
+          issues.push({
+            type: "coordinates",
+            reason: "Coordinates outside New Zealand bounds",
+            value: pair,
+          });
           // Don't skip - might be valid for other regions
         }
 
@@ -342,6 +1226,11 @@ Parse CAP XML using DOMParser
           "Insufficient coordinates for polygon:",
           coordinates.length,
         );
+        issues.push({
+          type: "coordinates",
+          reason: `Polygon dropped: only ${coordinates.length} valid points`,
+          value: polygonString.trim(),
+        });
         return null;
       }
 
@@ -359,6 +1248,54 @@ Parse CAP XML using DOMParser
     }
   }
 
+  /**
+   * Check whether a point falls in the rough New Zealand region, including
+   * the outlying islands either side of the antimeridian
+   * @param {number} lat - Latitude
+   * @param {number} lng - Longitude, in any range
+   * @returns {boolean} True if the point is in the region
+   */
+  static isInNewZealandRegion(lat, lng) {
+    const eastLng = (normalizeLongitude(lng) + 360) % 360;
+    return (
+      lat >= NZ_REGION.minLat &&
+      lat <= NZ_REGION.maxLat &&
+      eastLng >= NZ_REGION.minLng &&
+      eastLng <= NZ_REGION.maxLng
+    );
+  }
+
+  /**
+   * Parse a CAP circle string
+   * @param {string} circleString - Circle in CAP format "lat,lng radius"
+   * @param {Array} [issues] - Collects circles that could not be parsed
+   * @returns {Object|null} Object with center [lat, lng] and radiusKm, or null if invalid
+   */
+  static parseCircle(circleString, issues = []) {
+    if (!circleString || typeof circleString !== "string") {
+      return null;
+    }
+
+    const [pointStr, radiusStr] = circleString.trim().split(/\s+/);
+    const [latStr, lngStr] = (pointStr || "").split(",");
+
+    const lat = parseFloat(latStr);
+    const lng = parseFloat(lngStr);
+    const radiusKm = parseFloat(radiusStr);
+
+    if (isNaN(lat) || isNaN(lng) || isNaN(radiusKm) || radiusKm < 0) {
+      console.warn("Invalid circle:", circleString);
+      issues.push({
+        type: "coordinates",
+        reason: "Invalid circle",
+        value: circleString.trim(),
+      });
+      return null;
+    }
+
+    return { center: [lat, lng], radiusKm };
+  }
+
   /**
    * Validate and normalize alert data values
    * @param {string} value - Raw value to validate
@@ -399,53 +1336,218 @@ Parse CAP XML using DOMParser
       console.warn("Error parsing date:", dateString, error.message);
       return null;
     }
-  } /**
+  }
+
+  /**
+   * Normalize a single parsed CAP info block
+   * @param {Object} info - Parsed info block from parseCapXml
+   * @param {Array} [issues] - Collects geometry problems found in the block's areas
+   * @returns {Object} Normalized info block
+   */
+  static normalizeInfo(info, issues = []) {
+    return {
+      language: info.language || DEFAULT_LANGUAGE,
+      category: this.validateEnumValue(
+        info.category,
+        AlertCategory,
+        AlertCategory.OTHER,
+      ),
+      event: info.event || "",
+      urgency: this.validateEnumValue(
+        info.urgency,
+        AlertUrgency,
+        AlertUrgency.UNKNOWN,
+      ),
+      severity: this.validateEnumValue(
+        info.severity,
+        AlertSeverity,
+        AlertSeverity.UNKNOWN,
+      ),
+      certainty: this.validateEnumValue(
+        info.certainty,
+        AlertCertainty,
+        AlertCertainty.UNKNOWN,
+      ),
+      effective: this.parseDate(info.effective),
+      expires: this.parseDate(info.expires),
+      senderName: info.senderName || "",
+      title: info.headline || "",
+      description: info.description || "",
+      areaDesc: (info.areas || [])
+        .map((area) => area.areaDesc)
+        .filter(Boolean)
+        .join(", "),
+      instruction: info.instruction || "",
+      web: info.web || "",
+      contact: info.contact || "",
+      audience: info.audience || "",
+      responseTypes: info.responseTypes || [],
+      eventCodes: info.eventCodes || [],
+      parameters: info.parameters || [],
+      resources: info.resources || [],
+      areas: (info.areas || []).map((area) => this.normalizeArea(area, issues)),
+    };
+  }
+
+  /**
+   * Normalize a parsed CAP area into its description and GeoJSON geometry
+   * @param {Object} area - Parsed area with areaDesc, polygons, circles and geocodes
+   * @param {Array} [issues] - Collects dropped or suspicious coordinates
+   * @returns {Object} Area with areaDesc, resolved region names, a MultiPolygon geometry (or null)
+   *   and isApproximate when that geometry is a stand-in boundary
+   */
+  static normalizeArea(area, issues = []) {
+    const polygons = [];
+
+    for (const polygonString of area.polygons || []) {
+      const ring = this.extractPolygonCoordinates(polygonString, issues);
+      if (!ring) continue;
+
+      // Repair winding, repeated vertices and antimeridian crossings.
+      // Self-intersections are left alone and reported by the validator.
+      const coordinates = normalizePolygon([capRingToGeoJSON(ring)]);
+      if (coordinates) {
+        polygons.push({ type: "Polygon", coordinates });
+      } else {
+        issues.push({
+          type: "coordinates",
+          reason: "Polygon dropped: it encloses no area",
+          value: polygonString.trim(),
+        });
+      }
+    }
+
+    // Circles are approximated as polygons so they render and fit bounds
+    // like any other area
+    const circles = (area.circles || [])
+      .map((circleString) => this.parseCircle(circleString, issues))
+      .filter(Boolean);
+
+    for (const circle of circles) {
+      polygons.push(
+        circleToPolygon(
+          circle.center,
+          Math.max(circle.radiusKm, MIN_CIRCLE_RADIUS_KM),
+        ),
+      );
+    }
+
+    // Resolve geocodes against the bundled boundaries. Their shapes are only
+    // used when the area has no explicit polygon or circle.
+    const geocodes = (area.geocodes || []).filter(
+      (geocode) => geocode.valueName && geocode.value,
+    );
+    const boundaries = geocodes
+      .map((geocode) =>
+        this.boundaries.get(
+          this.getGeocodeKey(geocode.valueName, geocode.value),
+        ),
+      )
+      .filter(Boolean);
+
+    const usesBoundaries = polygons.length === 0 && boundaries.length > 0;
+    if (usesBoundaries) {
+      polygons.push(...boundaries.map((boundary) => boundary.geometry));
+    }
+
+    const regions = [...new Set(boundaries.map((boundary) => boundary.name))];
+
+    return {
+      areaDesc: area.areaDesc || regions.join(", "),
+      circles: circles,
+      geocodes: geocodes,
+      regions: regions,
+      geometry: combineGeometries(polygons),
+      // The shape is a stand-in boundary, larger than the real area
+      isApproximate:
+        usesBoundaries && boundaries.some((boundary) => boundary.approximate),
+    };
+  }
 
+  /**
+   * Choose the info block that drives the top-level alert fields.
+   * English is preferred, otherwise the first block in document order.
+   * @param {Array} infoBlocks - Normalized info blocks
+   * @returns {Object|null} Primary info block or null if there are none
+   */
+  static selectPrimaryInfo(infoBlocks) {
+    if (!infoBlocks || infoBlocks.length === 0) return null;
+
+    return (
+      infoBlocks.find((info) =>
+        info.language.toLowerCase().startsWith(PREFERRED_LANGUAGE),
+      ) || infoBlocks[0]
+    );
+  }
+
+  /**
+   * Group info blocks by language, keeping document order within a language.
+   * The primary block's language is placed first.
+   * @param {Array} infoBlocks - Normalized info blocks
+   * @param {Object|null} primaryInfo - Block chosen by selectPrimaryInfo
+   * @returns {Object} Map of language code to array of info blocks
+   */
+  static groupInfosByLanguage(infoBlocks, primaryInfo) {
+    const infos = {};
+    if (primaryInfo) {
+      infos[primaryInfo.language] = [];
+    }
+
+    for (const info of infoBlocks) {
+      if (!infos[info.language]) {
+        infos[info.language] = [];
+      }
+      infos[info.language].push(info);
+    }
+
+    return infos;
+  }
+
+  /**
    * Create normalized Alert data structure
    * @param {Object} capData - Parsed CAP XML data
    * @param {Object} csvRow - Original CSV row data
    * @param {number} index - Row index for ID generation
+   * @param {Array} [issues] - Collects geometry problems found while normalizing
    * @returns {Object} Normalized alert object
    */
-  static normalizeAlertData(capData, csvRow, index) {
+  static normalizeAlertData(capData, csvRow, index, issues = []) {
     try {
       // Generate unique ID
       const id = capData.identifier || `alert-${index}`;
 
-      // Extract polygon coordinates
-      const polygonString = capData.info?.area?.polygon || "";
-      const polygon = this.extractPolygonCoordinates(polygonString);
+      // Normalize every info block, then pick the one that drives the
+      // top-level alert fields
+      const infoBlocks = (capData.infos || []).map((info) =>
+        this.normalizeInfo(info, issues),
+      );
+      const primaryInfo = this.selectPrimaryInfo(infoBlocks);
+
+      // Areas come from every block in the primary language, so
+      // multi-hazard messages keep all of their geometry
+      const areas = infoBlocks
+        .filter((info) => info.language === primaryInfo.language)
+        .flatMap((info) => info.areas);
+      const geometry = combineGeometries(areas.map((area) => area.geometry));
+
+      // One canonical organisation however the sender was spelled
+      const rawSenderName = primaryInfo?.senderName || csvRow.author || "";
+      const organisation = resolveSender(capData.sender, rawSenderName);
 
       // Create normalized alert object
       const alert = {
         // Basic identification
         id: id,
         identifier: capData.identifier || "", // Add this line
-        title: capData.info?.headline || csvRow.title || "Untitled Alert",
-        description: capData.info?.description || csvRow.summary || "",
+        title: primaryInfo?.title || csvRow.title || "Untitled Alert",
+        description: primaryInfo?.description || csvRow.summary || "",
 
         // Alert classification
-        category: this.validateEnumValue(
-          capData.info?.category,
-          AlertCategory,
-          AlertCategory.OTHER,
-        ),
-        event: capData.info?.event || "Unknown Event",
-        urgency: this.validateEnumValue(
-          capData.info?.urgency,
-          AlertUrgency,
-          AlertUrgency.UNKNOWN,
-        ),
-        severity: this.validateEnumValue(
-          capData.info?.severity,
-          AlertSeverity,
-          AlertSeverity.UNKNOWN,
-        ),
-        certainty: this.validateEnumValue(
-          capData.info?.certainty,
-          AlertCertainty,
-          AlertCertainty.UNKNOWN,
-        ),
+        category: primaryInfo?.category || AlertCategory.OTHER,
+        event: primaryInfo?.event || "Unknown Event",
+        urgency: primaryInfo?.urgency || AlertUrgency.UNKNOWN,
+        severity: primaryInfo?.severity || AlertSeverity.UNKNOWN,
+        certainty: primaryInfo?.certainty || AlertCertainty.UNKNOWN,
         status: this.validateEnumValue(
           capData.status,
           AlertStatus,
@@ -459,7 +1561,9 @@ Parse CAP XML using DOMParser
 
         // Sender information
         sender: capData.sender || "Unknown Sender",
-        senderName: capData.info?.senderName || csvRow.author || "Unknown",
+        senderId:
+          organisation?.id || capData.sender || rawSenderName || "unknown",
+        senderName: organisation?.name || rawSenderName || "Unknown",
         source: capData.source || "", // Add this line
 
         // Temporal information
@@ -467,22 +1571,61 @@ Parse CAP XML using DOMParser
           this.parseDate(capData.sent) ||
           this.parseDate(csvRow.pubDate) ||
           new Date(),
-        effective: this.parseDate(capData.info?.effective),
-        expires: this.parseDate(capData.info?.expires),
+        effective: primaryInfo?.effective || null,
+        expires: primaryInfo?.expires || null,
 
         // Geographic information
-        areaDesc: capData.info?.area?.areaDesc || "Unknown Area",
-        polygon: polygon,
+        areaDesc:
+          areas
+            .map((area) => area.areaDesc)
+            .filter(Boolean)
+            .join(", ") || "Unknown Area",
+        areas: areas,
+        affectedRegions: [...new Set(areas.flatMap((area) => area.regions))],
+        geometry: geometry,
+        // Lighter copies for drawing when zoomed out; see GEOMETRY_LEVELS
+        geometryLevels: buildGeometryLevels(geometry),
+
+        // Source rows and datasets this message was read from;
+        // deduplicateAlerts merges them across repeated copies
+        contentHash: this.hashContent(csvRow.content || ""),
+        provenance: [this.createProvenance(csvRow, index)],
+        datasets: [],
 
         // Additional metadata
         originalXml: csvRow.content || "",
-        language: capData.info?.language || "en-US",
+        language: primaryInfo?.language || DEFAULT_LANGUAGE,
         references: capData.references || "",
+        // {sender, identifier, sent} for each message this one refers to;
+        // groupAlerts records which of them aren't in the data
+        parsedReferences: this.parseReferences(capData.references),
+        missingReferences: [],
+        restriction: capData.restriction || "",
+        addresses: capData.addresses || "",
+        codes: capData.codes || [],
+        note: capData.note || "",
+        incidents: capData.incidents || "",
+
+        // Full info payload of the primary block
+        instruction: primaryInfo?.instruction || "",
+        web: primaryInfo?.web || "",
+        contact: primaryInfo?.contact || "",
+        audience: primaryInfo?.audience || "",
+        responseTypes: primaryInfo?.responseTypes || [],
+        eventCodes: primaryInfo?.eventCodes || [],
+        parameters: primaryInfo?.parameters || [],
+        resources: primaryInfo?.resources || [],
+
+        // All info blocks keyed by language, primary language first
+        infos: this.groupInfosByLanguage(infoBlocks, primaryInfo),
+
+        // CAP 1.2 conformance problems found in the original XML
+        diagnostics: validateCapData(capData),
 
         // Computed fields for UI
-        hasGeometry: polygon !== null && polygon.length > 0,
-        isExpired: capData.info?.expires
-          ? new Date(capData.info.expires) < new Date()
+        hasGeometry: geometry !== null,
+        isExpired: primaryInfo?.expires
+          ? primaryInfo.expires < new Date()
           : false,
         isCancelled: capData.msgType === MessageType.CANCEL,
       };
@@ -509,8 +1652,17 @@ Parse CAP XML using DOMParser
    * @returns {boolean} True if alert is valid
    */
   static validateAlert(alert) {
+    return this.getValidationError(alert) === null;
+  }
+
+  /**
+   * Explain why an alert fails validation
+   * @param {Object} alert - Alert object to validate
+   * @returns {string|null} Reason the alert is invalid, or null if it is valid
+   */
+  static getValidationError(alert) {
     if (!alert || typeof alert !== "object") {
-      return false;
+      return "Alert is not an object";
     }
 
     // Check required fields
@@ -525,17 +1677,164 @@ Parse CAP XML using DOMParser
     for (const field of requiredFields) {
       if (!alert[field]) {
         console.warn(`Alert validation failed: missing ${field}`);
-        return false;
+        return `Missing ${field}`;
       }
     }
 
     // Validate dates
     if (!(alert.sent instanceof Date) || isNaN(alert.sent.getTime())) {
       console.warn("Alert validation failed: invalid sent date");
-      return false;
+      return "Invalid sent date";
+    }
+
+    return null;
+  }
+
+  /**
+   * Build the key that identifies a CAP message: sender, identifier and sent
+   * @param {string} sender - Message sender
+   * @param {string} identifier - Message identifier
+   * @param {Date|string} sent - Sent time; compared as an instant so
+   *   differently formatted offsets still match
+   * @returns {string} Message key
+   */
+  static getMessageKey(sender, identifier, sent) {
+    const sentDate = sent instanceof Date ? sent : this.parseDate(sent);
+    const sentKey = sentDate ? sentDate.getTime() : String(sent || "");
+    return `${sender}|${identifier}|${sentKey}`;
+  }
+
+  /**
+   * Hash message content so duplicate copies can be compared cheaply.
+   * Whitespace is collapsed first, since re-fetched copies often differ only
+   * in formatting.
+   * @param {string} content - Raw message content
+   * @returns {string} 32-bit FNV-1a hash as 8 hex characters
+   */
+  static hashContent(content) {
+    const normalized = String(content || "")
+      .trim()
+      .replace(/\s+/g, " ");
+
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < normalized.length; i++) {
+      hash ^= normalized.charCodeAt(i);
+      hash = Math.imul(hash, 0x01000193);
+    }
+
+    return (hash >>> 0).toString(16).padStart(8, "0");
+  }
+
+  /**
+   * Describe the CSV row an alert was read from
+   * @param {Object} row - CSV row object
+   * @param {number} index - Row index
+   * @returns {Object} Provenance entry
+   */
+  static createProvenance(row, index) {
+    return {
+      row: index,
+      guid: row.guid || "",
+      pubDate: row.pubDate || "",
+    };
+  }
+
+  /**
+   * Merge repeated copies of the same CAP message.
+   * Copies are matched on sender, identifier and sent. The first copy is
+   * kept and the provenance of every copy is merged into it. Copies whose
+   * content differs are flagged on the alert and listed in the report; the
+   * alert keeps each distinct version's hash, XML and provenance in
+   * conflictingCopies so it can still be inspected. Alerts that still share
+   * an id afterwards (e.g. a reused identifier) get a numeric suffix so ids
+   * stay unique.
+   * @param {Array} alerts - Validated alerts in source order
+   * @param {Object} [report] - Ingestion report to record duplicates in
+   * @returns {Array} Unique alerts
+   */
+  static deduplicateAlerts(alerts, report = null) {
+    const messages = new Map();
+
+    for (const alert of alerts) {
+      const key = this.getMessageKey(
+        alert.sender,
+        alert.identifier,
+        alert.sent,
+      );
+      const provenance = (alert.provenance || []).map((entry) => ({
+        ...entry,
+        contentHash: alert.contentHash,
+      }));
+
+      const existing = messages.get(key);
+      if (!existing) {
+        messages.set(key, {
+          ...alert,
+          datasets: [...(alert.datasets || [])],
+          provenance,
+          hasConflictingDuplicates: false,
+          conflictingCopies: [],
+        });
+        continue;
+      }
+
+      // The same message often appears in more than one dataset
+      existing.provenance.push(...provenance);
+      for (const dataset of alert.datasets || []) {
+        if (!existing.datasets.includes(dataset)) {
+          existing.datasets.push(dataset);
+        }
+      }
+      if (alert.contentHash === existing.contentHash) {
+        if (report) report.duplicateCount++;
+        continue;
+      }
+
+      existing.hasConflictingDuplicates = true;
+      const copy = existing.conflictingCopies.find(
+        (candidate) => candidate.contentHash === alert.contentHash,
+      );
+      if (copy) {
+        copy.provenance.push(...provenance);
+      } else {
+        existing.conflictingCopies.push({
+          contentHash: alert.contentHash,
+          originalXml: alert.originalXml,
+          provenance,
+        });
+      }
     }
 
-    return true;
+    const uniqueAlerts = [...messages.values()];
+
+    if (report) {
+      for (const alert of uniqueAlerts) {
+        if (!alert.hasConflictingDuplicates) continue;
+
+        report.conflictingDuplicates.push({
+          identifier: alert.identifier,
+          sender: alert.sender,
+          sent: alert.sent.toISOString(),
+          rows: alert.provenance.map((entry) => entry.row),
+          datasets: alert.datasets,
+          contentHashes: [
+            ...new Set(alert.provenance.map((entry) => entry.contentHash)),
+          ],
+        });
+      }
+    }
+
+    // Keep ids unique for groupAlerts and URL lookups
+    const idCounts = new Map();
+    for (const alert of uniqueAlerts) {
+      const count = (idCounts.get(alert.id) || 0) + 1;
+      idCounts.set(alert.id, count);
+      if (count > 1) {
+        alert.id = `${alert.id}~${count}`;
+      }
+    }
+
+    return uniqueAlerts;
   }
 
   /**
@@ -573,9 +1872,23 @@ Parse CAP XML using DOMParser
   static groupAlerts(alerts) {
     if (!alerts || alerts.length === 0) return [];
 
-    const alertMap = new Map(alerts.map((a) => [a.id, a]));
     const parentMap = new Map(); // For Union-Find: child -> parent
 
+    // References name a message by sender, identifier and sent. Fall back
+    // to the identifier alone when the exact message isn't in the data.
+    const messageIds = new Map();
+    const identifierIds = new Map();
+    for (const alert of alerts) {
+      messageIds.set(
+        this.getMessageKey(alert.sender, alert.identifier, alert.sent),
+        alert.id,
+      );
+      if (!identifierIds.has(alert.identifier)) {
+        identifierIds.set(alert.identifier, []);
+      }
+      identifierIds.get(alert.identifier).push(alert.id);
+    }
+
     // Initialize Union-Find
     for (const alert of alerts) {
       parentMap.set(alert.id, alert.id);
@@ -596,14 +1909,28 @@ Parse CAP XML using DOMParser
       }
     }
 
-    // Process references
+    // Process references. Those that match nothing were never captured,
+    // so the group's history has a gap where they belong.
     for (const alert of alerts) {
-      if (alert.references) {
-        const refs = this.parseReferences(alert.references);
-        for (const ref of refs) {
-          if (alertMap.has(ref.identifier)) {
-            union(alert.id, ref.identifier);
-          }
+      const refs =
+        alert.parsedReferences || this.parseReferences(alert.references);
+      alert.missingReferences = [];
+
+      for (const ref of refs) {
+        if (!ref.identifier) continue;
+
+        const exactId = messageIds.get(
+          this.getMessageKey(ref.sender, ref.identifier, ref.sent),
+        );
+        const referencedIds = exactId
+          ? [exactId]
+          : identifierIds.get(ref.identifier) || [];
+
+        if (referencedIds.length === 0) {
+          alert.missingReferences.push(ref);
+        }
+        for (const referencedId of referencedIds) {
+          union(alert.id, referencedId);
         }
       }
     }
@@ -624,46 +1951,86 @@ Parse CAP XML using DOMParser
       // Sort by date (sent)
       groupAlerts.sort((a, b) => a.sent.getTime() - b.sent.getTime());
 
-      // The main alert is the latest one
-      const latestAlert = groupAlerts[groupAlerts.length - 1];
+      result.push(this.createGroup(groupAlerts));
+    }
 
-      // Inherit geometry from previous alerts if missing (e.g., for cancellations)
-      let polygon = latestAlert.polygon;
-      let hasGeometry = latestAlert.hasGeometry;
+    return result;
+  }
 
-      if (!hasGeometry) {
-        // Look back in history for geometry
-        for (let i = groupAlerts.length - 2; i >= 0; i--) {
-          if (groupAlerts[i].hasGeometry) {
-            polygon = groupAlerts[i].polygon;
-            hasGeometry = true;
-            break;
-          }
+  /**
+   * Build the displayable group header for a timeline
+   * @param {Array} groupAlerts - Alerts in the group, sorted by sent date
+   * @returns {Object} Latest alert combined with timeline info
+   */
+  static createGroup(groupAlerts) {
+    // The main alert is the latest one
+    const latestAlert = groupAlerts[groupAlerts.length - 1];
+
+    // Inherit geometry from previous alerts if missing (e.g., for cancellations)
+    let geometrySource = latestAlert;
+
+    if (!geometrySource.hasGeometry) {
+      // Look back in history for geometry
+      for (let i = groupAlerts.length - 2; i >= 0; i--) {
+        if (groupAlerts[i].hasGeometry) {
+          geometrySource = groupAlerts[i];
+          break;
         }
       }
-
-      // Add timeline info
-      const combinedAlert = {
-        ...latestAlert,
-        polygon,
-        hasGeometry,
-        timeline: groupAlerts,
-        isGroupHeader: true,
-        groupSize: groupAlerts.length,
-      };
-
-      result.push(combinedAlert);
     }
 
-    return result;
+    // When the alert was actually in force, across every message
+    const lifecycle = computeLifecycle(groupAlerts);
+
+    // Earlier messages the thread refers to but the archive doesn't have,
+    // once each even if several messages refer to the same one
+    const missingReferences = [
+      ...new Map(
+        groupAlerts
+          .flatMap((alert) => alert.missingReferences || [])
+          .map((ref) => [
+            this.getMessageKey(ref.sender, ref.identifier, ref.sent),
+            ref,
+          ]),
+      ).values(),
+    ];
+
+    // Add timeline info
+    const combinedAlert = {
+      ...latestAlert,
+      areas: geometrySource.areas,
+      affectedRegions: geometrySource.affectedRegions,
+      geometry: geometrySource.geometry,
+      geometryLevels: geometrySource.geometryLevels,
+      hasGeometry: geometrySource.hasGeometry,
+      // A timeline can span datasets, e.g. an alert in one archive and its
+      // cancellation in another
+      datasets: [
+        ...new Set(groupAlerts.flatMap((alert) => alert.datasets || [])),
+      ],
+      timeline: groupAlerts,
+      isGroupHeader: true,
+      groupSize: groupAlerts.length,
+      lifecycle,
+      missingReferences,
+      hasHistoryGaps: missingReferences.length > 0,
+      // A cancellation anywhere in the thread ends it, not just the latest
+      // message; expiry is relative to when the data is viewed
+      isCancelled: lifecycle.endReason === LifecycleState.CANCELLED,
+      isExpired:
+        lifecycle.endReason === LifecycleState.EXPIRED &&
+        lifecycle.activeWindow.end < new Date(),
+    };
+
+    return combinedAlert;
   }
 
   /**
- * Create a basic alert from CSV metadata when XML content is not available
- * @param {Object} row - CSV row object
- * @param {number} index - Row index for ID generation
- * @returns {Object|null} Normalized alert object or null if invalid
- */
+   * Create a basic alert from CSV metadata when XML content is not available
+   * @param {Object} row - CSV row object
+   * @param {number} index - Row index for ID generation
+   * @returns {Object|null} Normalized alert object or null if invalid
+   */
   static createAlertFromMetadata(row, index) {
     try {
       // Generate unique ID
@@ -672,6 +2039,9 @@ Parse CAP XML using DOMParser
       // Parse date
       const sent = this.parseDate(row.pubDate) || new Date();
 
+      // The feed's author is all there is to identify the sender
+      const organisation = resolveSender(row.author, row.author);
+
       // Create basic alert object
       const alert = {
         id: id,
@@ -690,7 +2060,8 @@ Parse CAP XML using DOMParser
 
         // Sender information
         sender: row.author || "Unknown Sender",
-        senderName: row.author || "Unknown",
+        senderId: organisation?.id || row.author || "unknown",
+        senderName: organisation?.name || row.author || "Unknown",
         source: "",
 
         // Temporal information
@@ -700,12 +2071,37 @@ Parse CAP XML using DOMParser
 
         // Geographic information - no area data available
         areaDesc: "Unknown Area",
-        polygon: null,
+        areas: [],
+        affectedRegions: [],
+        geometry: null,
+        geometryLevels: [],
+
+        // Source rows and datasets this message was read from
+        contentHash: this.hashContent(`${row.title}\n${row.summary}`),
+        provenance: [this.createProvenance(row, index)],
+        datasets: [],
 
         // Additional metadata
         originalXml: "",
-        language: "en-US",
+        language: DEFAULT_LANGUAGE,
         references: "",
+        parsedReferences: [],
+        missingReferences: [],
+        restriction: "",
+        addresses: "",
+        codes: [],
+        note: "",
+        incidents: "",
+        instruction: "",
+        web: "",
+        contact: "",
+        audience: "",
+        responseTypes: [],
+        eventCodes: [],
+        parameters: [],
+        resources: [],
+        infos: {},
+        diagnostics: [],
 
         // Computed fields
         hasGeometry: false,
@@ -721,5 +2117,119 @@ Parse CAP XML using DOMParser
   }
 }
 
+/**
+ * Source adapters, keyed by the `type` of a data source config.
+ * Each adapter's load(source, context) reads the source through
+ * context.fetchText and resolves to normalized alerts. Records are mapped to
+ * the Google Sheet's field names (see DEFAULT_RECORD_FIELDS) and go through
+ * the same processRow pipeline whatever the format.
+ */
+export const SourceAdapters = {
+  /**
+   * CSV export, e.g. the Google Sheet
+   * Config: {type: "csv", path, fields?}
+   */
+  csv: {
+    async load(source, { fetchText, onProgress, report }) {
+      const csvText = await DataProcessor.fetchRequiredText(
+        fetchText,
+        source.path,
+      );
+      console.log("CSV loaded, size:", csvText.length, "characters");
+
+      return DataProcessor.processCSVText(csvText, {
+        onProgress,
+        report,
+        fields: source.fields,
+      });
+    },
+  },
+
+  /**
+   * Directory of raw CAP .xml files listed in a manifest.json generated by
+   * scripts/build-xml-manifest.js
+   * Config: {type: "xml-directory", path}
+   */
+  "xml-directory": {
+    async load(source, { fetchText, onProgress, report }) {
+      const directory = source.path.replace(/\/*$/, "/");
+      const manifest = JSON.parse(
+        await DataProcessor.fetchRequiredText(
+          fetchText,
+          directory + XML_MANIFEST_FILENAME,
+        ),
+      );
+      const files = manifest.files || [];
+      const alerts = [];
+
+      for (const [index, file] of files.entries()) {
+        const content = await fetchText(
+          DataProcessor.resolvePath(directory, file),
+        );
+        const alert = DataProcessor.processRecord(
+          { content: content || "", guid: file },
+          index,
+          report,
+        );
+        if (alert) {
+          alerts.push(alert);
+        }
+
+        onProgress?.({
+          rowsProcessed: index + 1,
+          alertsProcessed: alerts.length,
+          parsedLength: index + 1,
+          totalLength: files.length,
+          newAlerts: alert ? [alert] : [],
+        });
+      }
+
+      return alerts;
+    },
+  },
+
+  /**
+   * Atom or RSS feed dump. Entries carrying an embedded CAP <alert> use it;
+   * with followLinks, entries that only link to their CAP message have it
+   * fetched. Anything else falls back to the entry's title and summary.
+   * Config: {type: "feed", path, followLinks?}
+   */
+  feed: {
+    async load(source, { fetchText, onProgress, report }) {
+      const feedText = await DataProcessor.fetchRequiredText(
+        fetchText,
+        source.path,
+      );
+      const records = await DataProcessor.parseFeedRecords(feedText, {
+        basePath: source.path,
+        fetchText: source.followLinks ? fetchText : null,
+      });
+
+      return DataProcessor.processRecords(records, { onProgress, report });
+    },
+  },
+
+  /**
+   * JSON export: an array of records, or an object with an `alerts` or
+   * `records` array
+   * Config: {type: "json", path, fields?}
+   */
+  json: {
+    async load(source, { fetchText, onProgress, report }) {
+      const data = JSON.parse(
+        await DataProcessor.fetchRequiredText(fetchText, source.path),
+      );
+      const items = Array.isArray(data)
+        ? data
+        : data.alerts || data.records || [];
+
+      return DataProcessor.processRecords(
+        items.map((item) => DataProcessor.mapRecord(item, source.fields)),
+        { onProgress, report },
+      );
+    },
+  },
+};
+
 // Export default instance for convenience
 export default DataProcessor;
@@ -0,0 +1,76 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { readFile } from "node:fs/promises";
+import { DOMParser } from "linkedom";
+import { DataProcessor } from "./data-processor.js";
+
+DataProcessor.DOMParserImpl = DOMParser;
+DataProcessor.setBoundaries(
+  JSON.parse(
+    await readFile(
+      new URL("../../public/data/boundaries.geojson", import.meta.url),
+      "utf8",
+    ),
+  ),
+);
+
+/**
+ * CAP message whose only area is a territorial authority geocode
+ * @param {string} code - Stats NZ territorial authority code
+ * @returns {string} CAP XML
+ */
+const territorialAuthorityAlert = (code) => `<?xml version="1.0"?>
+<alert xmlns="urn:oasis:names:tc:emergency:cap:1.2">
+  <identifier>ta-${code}</identifier>
+  <sender>nema@civildefence.govt.nz</sender>
+  <sent>2023-01-27T12:00:00+13:00</sent>
+  <status>Actual</status>
+  <msgType>Alert</msgType>
+  <scope>Public</scope>
+  <info>
+    <category>Met</category>
+    <event>Flooding</event>
+    <urgency>Immediate</urgency>
+    <severity>Severe</severity>
+    <certainty>Observed</certainty>
+    <headline>Flooding</headline>
+    <area>
+      <areaDesc></areaDesc>
+      <geocode>
+        <valueName>TA</valueName>
+        <value>${code}</value>
+      </geocode>
+    </area>
+  </info>
+</alert>`;
+
+test("a territorial authority geocode resolves to a named shape", () => {
+  const alert = DataProcessor.processCapRow(
+    { content: territorialAuthorityAlert("060") },
+    0,
+  );
+  const [area] = alert.infos["en-US"][0].areas;
+
+  assert.equal(alert.hasGeometry, true);
+  assert.equal(alert.areaDesc, "Christchurch City");
+  assert.deepEqual(area.regions, ["Christchurch City"]);
+  assert.equal(area.geometry.type, "MultiPolygon");
+  // Drawn as the Canterbury region until real shapes are bundled
+  assert.equal(area.isApproximate, true);
+});
+
+test("a unitary authority geocode takes its region's exact shape", () => {
+  const alert = DataProcessor.processCapRow(
+    { content: territorialAuthorityAlert("076") },
+    0,
+  );
+  const [area] = alert.infos["en-US"][0].areas;
+
+  assert.deepEqual(area.regions, ["Auckland"]);
+  assert.equal(area.isApproximate, false);
+  assert.deepEqual(
+    area.geometry,
+    DataProcessor.boundaries.get(DataProcessor.getGeocodeKey("REGC", "02"))
+      .geometry,
+  );
+});
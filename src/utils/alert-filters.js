@@ -3,22 +3,91 @@
  * Provides functions for filtering alert data based on various criteria
  */
 
+import { getDatasetLabel } from "../config/data-sources.js";
+import { getSenderLabel } from "../config/senders.js";
+import {
+  getReplayVersionAt,
+  getVersionAt,
+  wasInForceDuring,
+} from "./alert-lifecycle.js";
+import { geometriesIntersect } from "./geometry.js";
+import {
+  matchesSearchQuery,
+  parseSearchQuery,
+  scoreSearchQuery,
+} from "./search-query.js";
+import { createSpatialIndex, queryPoint } from "./spatial-index.js";
+
+// How the date range filter matches alerts
+export const DateRangeMode = {
+  // The alert's latest message was sent within the range
+  SENT: "sent",
+  // The alert was in force at some point during the range
+  IN_FORCE: "inForce",
+};
+
+// Shapes the area filter can limit alerts to
+export const AreaFilterType = {
+  // {type, bbox: [west, south, east, north]}
+  BBOX: "bbox",
+  // {type, coordinates: [[lng, lat], ...]}, an open ring drawn on the map
+  POLYGON: "polygon",
+  // {type, bbox}, kept in step with the map as it moves
+  VIEWPORT: "viewport",
+  // {type, name, geometry}, a gazetteer region's boundary; geometry is null
+  // until the gazetteer has loaded
+  REGION: "region",
+};
+
+// Order of the filtered alerts
+export const SortOrder = {
+  NEWEST: "newest",
+  // Best search matches first; newest first while not searching
+  RELEVANCE: "relevance",
+};
+
 /**
  * Apply all filters to an array of alerts
  * @param {Array} alerts - Array of alert objects
  * @param {Object} filters - Filter criteria object
+ * @param {Object} [options] - Options object
+ * @param {Object} [options.spatialIndex] - Index over the alerts from
+ *   createSpatialIndex, reused for location lookups
+ * @param {Object} [options.searchIndex] - Index over the alerts from
+ *   createSearchIndex, for ranked and typo-tolerant search
  * @returns {Array} Filtered array of alerts
  */
-export function applyFilters(alerts, filters) {
+export function applyFilters(
+  alerts,
+  filters,
+  { spatialIndex = null, searchIndex = null } = {},
+) {
   if (!alerts || alerts.length === 0) {
     return [];
   }
 
-  let filtered = [...alerts];
+  // Swap each alert for the version in force at the "as of" instant first,
+  // so the other filters see what was current then
+  let filtered = filters.asOf
+    ? filterByAsOf(alerts, filters.asOf)
+    : [...alerts];
 
   // Apply date range filter
   if (filters.dateRange?.start || filters.dateRange?.end) {
-    filtered = filterByDateRange(filtered, filters.dateRange);
+    filtered =
+      filters.dateRangeMode === DateRangeMode.IN_FORCE
+        ? filterByInForceRange(filtered, filters.dateRange)
+        : filterByDateRange(filtered, filters.dateRange);
+  }
+
+  // Apply area filter
+  if (filters.area) {
+    filtered = filterByArea(filtered, filters.area);
+  }
+
+  // Apply location filter
+  if (filters.point) {
+    filtered = filterByPoint(filtered, filters.point, spatialIndex);
   }
 
   // Apply category filter
@@ -46,14 +115,33 @@ export function applyFilters(alerts, filters) {
     filtered = filterByMessageTypes(filtered, filters.messageTypes);
   }
 
+  // Apply sender filter
+  if (filters.senders?.length > 0) {
+    filtered = filterBySenders(filtered, filters.senders);
+  }
+
+  // Apply dataset filter
+  if (filters.datasets?.length > 0) {
+    filtered = filterByDatasets(filtered, filters.datasets);
+  }
+
+  // Apply missing history filter
+  if (filters.historyGaps) {
+    filtered = filterByHistoryGaps(filtered);
+  }
+
   // Apply search text filter
   if (filters.searchText?.trim()) {
-    filtered = filterBySearchText(filtered, filters.searchText);
+    filtered = filterBySearchText(filtered, filters.searchText, searchIndex);
   }
 
   // Sort by date descending (newest first)
   filtered.sort((a, b) => b.sent.getTime() - a.sent.getTime());
 
+  if (filters.sort === SortOrder.RELEVANCE && searchIndex) {
+    filtered = sortByRelevance(filtered, filters.searchText, searchIndex);
+  }
+
   return filtered;
 }
 
@@ -83,6 +171,171 @@ export function filterByDateRange(alerts, dateRange) {
   });
 }
 
+/**
+ * Filter alerts to those in force at some point during a date range, going
+ * by their lifecycle rather than when their latest message was sent
+ * @param {Array} alerts - Array of grouped alert objects
+ * @param {Object} dateRange - Date range object with start and end dates
+ * @returns {Array} Filtered alerts
+ */
+export function filterByInForceRange(alerts, dateRange) {
+  if (!dateRange.start && !dateRange.end) {
+    return alerts;
+  }
+
+  return alerts.filter(
+    (alert) =>
+      alert.lifecycle &&
+      wasInForceDuring(alert.lifecycle, dateRange.start, dateRange.end),
+  );
+}
+
+/**
+ * Replace each grouped alert with the message version that was current at
+ * an instant, dropping alerts that weren't in force then
+ * @param {Array} alerts - Array of grouped alert objects
+ * @param {Date} asOf - Instant to look at
+ * @returns {Array} Alerts as they stood at that instant
+ */
+export function filterByAsOf(alerts, asOf) {
+  if (!asOf) {
+    return alerts;
+  }
+
+  return alerts.map((alert) => getVersionAt(alert, asOf)).filter(Boolean);
+}
+
+/**
+ * Replace each grouped alert with the version to show at a replay moment:
+ * those in force, plus those that ended since the previous moment
+ * @param {Array} alerts - Array of grouped alert objects
+ * @param {Date} time - Replay moment
+ * @param {Date|null} previousTime - Previous replay moment, if any
+ * @returns {Array} Alerts with replayState set, see getReplayVersionAt
+ */
+export function filterByReplayTime(alerts, time, previousTime) {
+  return alerts
+    .map((alert) => getReplayVersionAt(alert, time, previousTime))
+    .filter(Boolean);
+}
+
+/**
+ * Turn an area filter into a GeoJSON Polygon
+ * @param {Object} area - Area filter, see AreaFilterType
+ * @returns {Object|null} GeoJSON Polygon (a MultiPolygon for a region), or
+ *   null if the area has no shape
+ */
+export function getAreaGeometry(area) {
+  if (!area) return null;
+
+  if (area.type === AreaFilterType.REGION) {
+    return area.geometry || null;
+  }
+
+  if (area.type === AreaFilterType.POLYGON) {
+    if (!area.coordinates || area.coordinates.length < 3) return null;
+    return {
+      type: "Polygon",
+      coordinates: [[...area.coordinates, area.coordinates[0]]],
+    };
+  }
+
+  if (!area.bbox) return null;
+  const [west, south, east, north] = area.bbox;
+  return {
+    type: "Polygon",
+    coordinates: [
+      [
+        [west, south],
+        [east, south],
+        [east, north],
+        [west, north],
+        [west, south],
+      ],
+    ],
+  };
+}
+
+/**
+ * Filter alerts to those whose geometry touched an area at any point in
+ * their history, as filterByPoint does. Alerts without geometry can't be
+ * placed, so they are left out.
+ * @param {Array} alerts - Array of grouped alert objects
+ * @param {Object} area - Area filter, see AreaFilterType
+ * @returns {Array} Filtered alerts
+ */
+export function filterByArea(alerts, area) {
+  const areaGeometry = getAreaGeometry(area);
+  if (!areaGeometry) {
+    return alerts;
+  }
+
+  return alerts.filter((alert) =>
+    (alert.timeline || [alert]).some(
+      (message) =>
+        message.hasGeometry &&
+        message.geometry &&
+        geometriesIntersect(message.geometry, areaGeometry),
+    ),
+  );
+}
+
+/**
+ * Filter alerts to those that covered a location at any point in their
+ * history
+ * @param {Array} alerts - Array of grouped alert objects
+ * @param {Array} point - [lng, lat]
+ * @param {Object} [spatialIndex] - Prebuilt index; one is built over the
+ *   alerts if not given
+ * @returns {Array} Filtered alerts
+ */
+export function filterByPoint(alerts, point, spatialIndex = null) {
+  const index = spatialIndex || createSpatialIndex(alerts);
+  const ids = new Set(queryPoint(index, point).map((alert) => alert.id));
+
+  return alerts.filter((alert) => ids.has(alert.id));
+}
+
+/**
+ * Format a location for display as "lat, lng"
+ * @param {Array} point - [lng, lat]
+ * @returns {string} Coordinates to 4 decimal places
+ */
+export function formatPoint([lng, lat]) {
+  return `${lat.toFixed(4)}, ${lng.toFixed(4)}`;
+}
+
+/**
+ * Describe the location filter for display, by place name when it was
+ * chosen from the gazetteer
+ * @param {Object} filters - Filter state object with a point
+ * @returns {string} e.g. "Gisborne (-38.6623, 178.0176)" or "-38.6623, 178.0176"
+ */
+export function describeLocation(filters) {
+  const coordinates = formatPoint(filters.point);
+  return filters.place ? `${filters.place} (${coordinates})` : coordinates;
+}
+
+/**
+ * Describe an area filter for display
+ * @param {Object} area - Area filter, see AreaFilterType
+ * @returns {string} Short description
+ */
+export function describeAreaFilter(area) {
+  if (area.type === AreaFilterType.VIEWPORT) {
+    return "Current map view";
+  }
+  if (area.type === AreaFilterType.POLYGON) {
+    return `Drawn shape (${area.coordinates.length} points)`;
+  }
+  if (area.type === AreaFilterType.REGION) {
+    return `${area.name} region`;
+  }
+
+  const [west, south, east, north] = area.bbox.map((value) => value.toFixed(2));
+  return `Box ${west}, ${south} to ${east}, ${north}`;
+}
+
 /**
  * Filter alerts by categories
  * @param {Array} alerts - Array of alert objects
@@ -154,32 +407,86 @@ export function filterByMessageTypes(alerts, messageTypes) {
 }
 
 /**
- * Filter alerts by search text
+ * Filter alerts by sending organisation
  * @param {Array} alerts - Array of alert objects
- * @param {string} searchText - Search text string
+ * @param {Array} senders - Array of sender ids (see config/senders.js)
  * @returns {Array} Filtered alerts
  */
-export function filterBySearchText(alerts, searchText) {
-  if (!searchText || !searchText.trim()) {
+export function filterBySenders(alerts, senders) {
+  if (!senders || senders.length === 0) {
     return alerts;
   }
 
-  const searchTerm = searchText.toLowerCase().trim();
+  return alerts.filter((alert) => senders.includes(alert.senderId));
+}
 
-  return alerts.filter((alert) => {
-    // Search in multiple fields
-    const searchableFields = [
-      alert.title,
-      alert.description,
-      alert.event,
-      alert.areaDesc,
-      alert.senderName,
-    ];
-
-    return searchableFields.some(
-      (field) => field && field.toLowerCase().includes(searchTerm),
-    );
-  });
+/**
+ * Filter alerts by the datasets they were loaded from. An alert found in
+ * several datasets matches if any of them is selected.
+ * @param {Array} alerts - Array of alert objects
+ * @param {Array} datasets - Array of dataset ids
+ * @returns {Array} Filtered alerts
+ */
+export function filterByDatasets(alerts, datasets) {
+  if (!datasets || datasets.length === 0) {
+    return alerts;
+  }
+
+  return alerts.filter((alert) =>
+    (alert.datasets || []).some((dataset) => datasets.includes(dataset)),
+  );
+}
+
+/**
+ * Keep only alerts whose history refers to messages missing from the archive
+ * @param {Array} alerts - Array of grouped alert objects
+ * @returns {Array} Filtered alerts
+ */
+export function filterByHistoryGaps(alerts) {
+  return alerts.filter((alert) => alert.hasHistoryGaps);
+}
+
+/**
+ * Filter alerts by a search query, see search-query.js for the syntax
+ * @param {Array} alerts - Array of alert objects
+ * @param {string} searchText - Search query
+ * @param {Object} [searchIndex] - Index from createSearchIndex; without
+ *   one, words are matched as text
+ * @returns {Array} Filtered alerts; all of them while the query has a
+ *   syntax error, which the search box reports
+ */
+export function filterBySearchText(alerts, searchText, searchIndex = null) {
+  const { query } = parseSearchQuery(searchText);
+  if (!query) {
+    return alerts;
+  }
+
+  return alerts.filter((alert) =>
+    matchesSearchQuery(query, alert, searchIndex),
+  );
+}
+
+/**
+ * Sort alerts by how well they match a search query
+ * @param {Array} alerts - Array of alert objects
+ * @param {string} searchText - Search query
+ * @param {Object} searchIndex - Index from createSearchIndex
+ * @returns {Array} Sorted copy of the alerts, best match first; alerts
+ *   that score the same keep their order
+ */
+export function sortByRelevance(alerts, searchText, searchIndex) {
+  const { query } = parseSearchQuery(searchText);
+  if (!query) {
+    return alerts;
+  }
+
+  const scores = new Map(
+    alerts.map((alert) => [
+      alert.id,
+      scoreSearchQuery(query, alert, searchIndex),
+    ]),
+  );
+  return [...alerts].sort((a, b) => scores.get(b.id) - scores.get(a.id));
 }
 
 /**
@@ -195,6 +502,9 @@ export function getFilterOptions(alerts) {
       urgencies: [],
       statuses: [],
       messageTypes: [],
+      senders: [],
+      datasets: [],
+      historyGapCount: 0,
       dateRange: null,
     };
   }
@@ -205,6 +515,13 @@ export function getFilterOptions(alerts) {
     urgencies: [...new Set(alerts.map((alert) => alert.urgency))].sort(),
     statuses: [...new Set(alerts.map((alert) => alert.status))].sort(),
     messageTypes: [...new Set(alerts.map((alert) => alert.msgType))].sort(),
+    senders: [...new Set(alerts.map((alert) => alert.senderId))].sort((a, b) =>
+      getSenderLabel(a).localeCompare(getSenderLabel(b)),
+    ),
+    datasets: [
+      ...new Set(alerts.flatMap((alert) => alert.datasets || [])),
+    ].sort(),
+    historyGapCount: alerts.filter((alert) => alert.hasHistoryGaps).length,
     dateRange:
       alerts.length > 0
         ? {
@@ -226,12 +543,22 @@ export function getFilterOptions(alerts) {
 export function createEmptyFilters() {
   return {
     dateRange: { start: null, end: null },
+    dateRangeMode: DateRangeMode.SENT,
+    asOf: null,
+    area: null,
+    point: null,
+    // Gazetteer name of the point, if it was found by place search
+    place: null,
     categories: [],
     severities: [],
     urgencies: [],
     statuses: [],
     messageTypes: [],
+    senders: [],
+    datasets: [],
+    historyGaps: false,
     searchText: "",
+    sort: SortOrder.NEWEST,
   };
 }
 
@@ -246,11 +573,17 @@ export function hasActiveFilters(filters) {
   return (
     filters.dateRange?.start ||
     filters.dateRange?.end ||
+    filters.asOf ||
+    filters.area ||
+    filters.point ||
     filters.categories?.length > 0 ||
     filters.severities?.length > 0 ||
     filters.urgencies?.length > 0 ||
     filters.statuses?.length > 0 ||
     filters.messageTypes?.length > 0 ||
+    filters.senders?.length > 0 ||
+    filters.datasets?.length > 0 ||
+    filters.historyGaps ||
     filters.searchText?.trim().length > 0
   );
 }
@@ -264,7 +597,10 @@ export function getActiveFilterSummary(filters) {
   const summary = [];
 
   if (filters.dateRange?.start || filters.dateRange?.end) {
-    let dateDesc = "Date: ";
+    let dateDesc =
+      filters.dateRangeMode === DateRangeMode.IN_FORCE
+        ? "In force: "
+        : "Date: ";
     if (filters.dateRange.start && filters.dateRange.end) {
       dateDesc += `${filters.dateRange.start.toLocaleDateString()} - ${filters.dateRange.end.toLocaleDateString()}`;
     } else if (filters.dateRange.start) {
@@ -275,6 +611,18 @@ export function getActiveFilterSummary(filters) {
     summary.push(dateDesc);
   }
 
+  if (filters.asOf) {
+    summary.push(`As of: ${filters.asOf.toLocaleString()}`);
+  }
+
+  if (filters.area) {
+    summary.push(`Area: ${describeAreaFilter(filters.area)}`);
+  }
+
+  if (filters.point) {
+    summary.push(`Location: ${describeLocation(filters)}`);
+  }
+
   if (filters.categories?.length > 0) {
     summary.push(`Categories: ${filters.categories.join(", ")}`);
   }
@@ -295,6 +643,20 @@ export function getActiveFilterSummary(filters) {
     summary.push(`Message Types: ${filters.messageTypes.join(", ")}`);
   }
 
+  if (filters.senders?.length > 0) {
+    summary.push(`Senders: ${filters.senders.map(getSenderLabel).join(", ")}`);
+  }
+
+  if (filters.datasets?.length > 0) {
+    summary.push(
+      `Datasets: ${filters.datasets.map(getDatasetLabel).join(", ")}`,
+    );
+  }
+
+  if (filters.historyGaps) {
+    summary.push("Missing history");
+  }
+
   if (filters.searchText?.trim()) {
     summary.push(`Search: "${filters.searchText.trim()}"`);
   }
@@ -303,14 +665,30 @@ export function getActiveFilterSummary(filters) {
 }
 
 export default {
+  DateRangeMode,
+  AreaFilterType,
+  SortOrder,
   applyFilters,
   filterByDateRange,
+  filterByInForceRange,
+  filterByAsOf,
+  filterByReplayTime,
+  getAreaGeometry,
+  filterByArea,
+  describeAreaFilter,
+  filterByPoint,
+  formatPoint,
+  describeLocation,
   filterByCategories,
   filterBySeverities,
   filterByUrgencies,
   filterByStatuses,
   filterByMessageTypes,
+  filterBySenders,
+  filterByDatasets,
+  filterByHistoryGaps,
   filterBySearchText,
+  sortByRelevance,
   getFilterOptions,
   createEmptyFilters,
   hasActiveFilters,
@@ -0,0 +1,294 @@
+/**
+ * Alert Lifecycle Utilities
+ * Reconstructs when a grouped alert was actually in force from the messages
+ * in its timeline: issued, updated, then cancelled or expired
+ */
+
+import { DataProcessor, MessageType } from "../services/data-processor.js";
+
+export const LifecycleState = {
+  ISSUED: "issued",
+  UPDATED: "updated",
+  CANCELLED: "cancelled",
+  EXPIRED: "expired",
+};
+
+// States in which the alert was in force
+const IN_FORCE_STATES = [LifecycleState.ISSUED, LifecycleState.UPDATED];
+
+/**
+ * Reconstruct the lifecycle of a grouped alert
+ * @param {Array} timeline - Alerts in the group, sorted by sent date
+ * @returns {Object} Lifecycle with:
+ *   intervals - [{state, start, end, alertId}] in order; end is null for the
+ *     last one. Each message is in force from its sent time (the first from
+ *     its effective time) until the next message or its expiry.
+ *   activeWindow - {start, end}: from the first message taking effect until
+ *     the alert was cancelled or expired; end is null if neither happened
+ *   endReason - LifecycleState.CANCELLED or EXPIRED, or null if open-ended
+ *   duration - Length of the active window in milliseconds, or null
+ *   updateCount - Number of Update messages
+ */
+export function computeLifecycle(timeline) {
+  // Ack and Error messages don't change whether an alert is in force.
+  // Built per call: data-processor imports this module, so MessageType
+  // isn't initialized yet when it loads.
+  const lifecycleTypes = [
+    MessageType.ALERT,
+    MessageType.UPDATE,
+    MessageType.CANCEL,
+  ];
+  const messages = timeline.filter((alert) =>
+    lifecycleTypes.includes(alert.msgType),
+  );
+  const intervals = [];
+  let updateCount = 0;
+
+  messages.forEach((message, index) => {
+    const next = messages[index + 1];
+    const end = next ? next.sent : null;
+
+    if (message.msgType === MessageType.CANCEL) {
+      intervals.push({
+        state: LifecycleState.CANCELLED,
+        start: message.sent,
+        end,
+        alertId: message.id,
+      });
+      return;
+    }
+
+    let state = LifecycleState.ISSUED;
+    if (message.msgType === MessageType.UPDATE) {
+      state = LifecycleState.UPDATED;
+      updateCount++;
+    }
+
+    // The first message may only take effect after it was sent
+    const start =
+      index === 0 && message.effective > message.sent
+        ? message.effective
+        : message.sent;
+    const expires = message.expires;
+
+    // Expired before anything replaced it
+    if (expires && (!end || expires < end)) {
+      if (expires > start) {
+        intervals.push({ state, start, end: expires, alertId: message.id });
+      }
+      intervals.push({
+        state: LifecycleState.EXPIRED,
+        start: expires > start ? expires : start,
+        end,
+        alertId: message.id,
+      });
+      return;
+    }
+
+    intervals.push({ state, start, end, alertId: message.id });
+  });
+
+  const first = intervals[0];
+  const last = intervals[intervals.length - 1];
+  const endReason =
+    last && !IN_FORCE_STATES.includes(last.state) ? last.state : null;
+
+  const activeWindow = {
+    start: first ? first.start : timeline[0]?.sent || null,
+    end: endReason ? last.start : null,
+  };
+
+  return {
+    intervals,
+    activeWindow,
+    endReason,
+    duration:
+      activeWindow.start && activeWindow.end
+        ? activeWindow.end.getTime() - activeWindow.start.getTime()
+        : null,
+    updateCount,
+  };
+}
+
+/**
+ * Find the lifecycle interval covering a moment
+ * @param {Object} lifecycle - Lifecycle from computeLifecycle
+ * @param {Date} date - Moment to look up
+ * @returns {Object|null} Interval, or null before the alert took effect
+ */
+export function getIntervalAt(lifecycle, date) {
+  return (
+    lifecycle.intervals.find(
+      (interval) =>
+        interval.start <= date && (!interval.end || date < interval.end),
+    ) || null
+  );
+}
+
+/**
+ * Check whether an alert was in force at a moment
+ * @param {Object} lifecycle - Lifecycle from computeLifecycle
+ * @param {Date} date - Moment to check
+ * @returns {boolean} True if the alert was issued or updated and not yet
+ *   cancelled or expired
+ */
+export function isInForceAt(lifecycle, date) {
+  const interval = getIntervalAt(lifecycle, date);
+  return interval ? IN_FORCE_STATES.includes(interval.state) : false;
+}
+
+/**
+ * Check whether an alert was in force at any point in a date range
+ * @param {Object} lifecycle - Lifecycle from computeLifecycle
+ * @param {Date|null} start - Range start, or null for no lower limit
+ * @param {Date|null} end - Range end, or null for no upper limit
+ * @returns {boolean} True if any in-force interval overlaps the range
+ */
+export function wasInForceDuring(lifecycle, start, end) {
+  return lifecycle.intervals.some(
+    (interval) =>
+      IN_FORCE_STATES.includes(interval.state) &&
+      (!end || interval.start <= end) &&
+      (!start || !interval.end || interval.end > start),
+  );
+}
+
+/**
+ * Get the message version of a grouped alert that was current at a moment,
+ * as a group header in its own right
+ * @param {Object} group - Grouped alert from DataProcessor.groupAlerts
+ * @param {Date} date - Moment to look at
+ * @returns {Object|null} Group header built from the messages up to and
+ *   including the one in force, or null if nothing was in force then
+ *   (not yet issued, expired or cancelled)
+ */
+export function getVersionAt(group, date) {
+  if (!group.lifecycle) return null;
+
+  const interval = getIntervalAt(group.lifecycle, date);
+  if (!interval || !IN_FORCE_STATES.includes(interval.state)) return null;
+
+  const index = group.timeline.findIndex(
+    (alert) => alert.id === interval.alertId,
+  );
+
+  // createGroup picks up geometry from earlier versions as usual, but the
+  // group keeps its own id so selections and links survive leaving "as of"
+  return {
+    ...DataProcessor.createGroup(group.timeline.slice(0, index + 1)),
+    id: group.id,
+    timeline: group.timeline,
+    groupSize: group.groupSize,
+    datasets: group.datasets,
+    lifecycle: group.lifecycle,
+    missingReferences: group.missingReferences,
+    hasHistoryGaps: group.hasHistoryGaps,
+    versionId: interval.alertId,
+    isCancelled: false,
+    isExpired: false,
+  };
+}
+
+/**
+ * Get the version of a grouped alert to show at a replay moment, labelled
+ * with its lifecycle state then. An alert that was cancelled or expired
+ * since the previous replay moment is kept for that step, as its last
+ * version, so it can be seen to end.
+ * @param {Object} group - Grouped alert from DataProcessor.groupAlerts
+ * @param {Date} date - Replay moment
+ * @param {Date|null} previousDate - Previous replay moment, or null at the
+ *   start of a replay
+ * @returns {Object|null} Group header as from getVersionAt with replayState
+ *   set to a LifecycleState, or null if there is nothing to show
+ */
+export function getReplayVersionAt(group, date, previousDate) {
+  if (!group.lifecycle) return null;
+
+  const interval = getIntervalAt(group.lifecycle, date);
+  if (!interval) return null;
+
+  if (IN_FORCE_STATES.includes(interval.state)) {
+    return { ...getVersionAt(group, date), replayState: interval.state };
+  }
+
+  // Ended before the previous step, or the replay moved backwards
+  const endedSince =
+    previousDate && previousDate < interval.start && interval.start <= date;
+  if (!endedSince) return null;
+
+  const lastVersion = getVersionAt(
+    group,
+    new Date(interval.start.getTime() - 1),
+  );
+  if (!lastVersion) return null;
+
+  return {
+    ...lastVersion,
+    replayState: interval.state,
+    isCancelled: interval.state === LifecycleState.CANCELLED,
+    isExpired: interval.state === LifecycleState.EXPIRED,
+  };
+}
+
+/**
+ * Find the span of time covered by a set of grouped alerts, from the first
+ * taking effect to the last one ending (or its last message, if open-ended)
+ * @param {Array} alerts - Grouped alerts with lifecycles
+ * @returns {Object|null} {start, end} Dates, or null if there are no alerts
+ */
+export function getLifecycleRange(alerts) {
+  let start = Infinity;
+  let end = -Infinity;
+
+  for (const alert of alerts) {
+    if (!alert.lifecycle?.activeWindow.start) continue;
+
+    const lastSent = alert.timeline[alert.timeline.length - 1].sent;
+    const alertEnd = alert.lifecycle.activeWindow.end || lastSent;
+
+    start = Math.min(start, alert.lifecycle.activeWindow.start.getTime());
+    end = Math.max(end, alertEnd.getTime(), lastSent.getTime());
+  }
+
+  return start === Infinity
+    ? null
+    : { start: new Date(start), end: new Date(end) };
+}
+
+/**
+ * Format a duration for display, e.g. "2 d 3 h" or "45 min"
+ * @param {number|null} milliseconds - Duration from computeLifecycle
+ * @returns {string} Readable duration, or "Open-ended" if there is none
+ */
+export function formatDuration(milliseconds) {
+  if (milliseconds === null || milliseconds === undefined) {
+    return "Open-ended";
+  }
+
+  const minutes = Math.round(milliseconds / 60000);
+  const days = Math.floor(minutes / 1440);
+  const hours = Math.floor((minutes % 1440) / 60);
+  const remainingMinutes = minutes % 60;
+
+  if (days > 0) {
+    return hours > 0 ? `${days} d ${hours} h` : `${days} d`;
+  }
+  if (hours > 0) {
+    return remainingMinutes > 0
+      ? `${hours} h ${remainingMinutes} min`
+      : `${hours} h`;
+  }
+  return `${remainingMinutes} min`;
+}
+
+export default {
+  LifecycleState,
+  computeLifecycle,
+  getIntervalAt,
+  isInForceAt,
+  wasInForceDuring,
+  getVersionAt,
+  getReplayVersionAt,
+  getLifecycleRange,
+  formatDuration,
+};
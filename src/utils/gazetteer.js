@@ -0,0 +1,178 @@
+/**
+ * Gazetteer Utilities
+ * Offline place-name search against the bundled list of New Zealand places
+ * in public/data/gazetteer.json, so a place can be found by any of its
+ * names (e.g. "Gisborne" or "Tūranganui-a-Kiwa") without a geocoding
+ * service. Regions with a `boundary` take their shape from the geocode
+ * boundaries in public/data/boundaries.geojson.
+ */
+
+import { DEFAULT_BOUNDARIES_PATH } from "../services/data-processor.js";
+import { normalizeGeometry } from "./geometry.js";
+
+// Bundled gazetteer, relative to the site root
+export const DEFAULT_GAZETTEER_PATH = "data/gazetteer.json";
+
+// Order places of equal match quality are listed in
+const PLACE_TYPE_ORDER = ["city", "town", "island", "region"];
+
+/**
+ * Reduce a place name to the form names are compared in: lowercase, without
+ * macrons or other diacritics, apostrophes or punctuation
+ * @param {string} name - Place name as written
+ * @returns {string} Normalized name
+ */
+export function normalizePlaceName(name) {
+  return (name || "")
+    .normalize("NFD")
+    .replace(/\p{M}/gu, "")
+    .toLowerCase()
+    .replace(/['’]/g, "")
+    .replace(/[^a-z0-9]+/g, " ")
+    .trim();
+}
+
+/**
+ * Check and prepare gazetteer JSON for searching
+ * @param {Object} data - Parsed gazetteer.json
+ * @param {Object|null} [boundaries] - Boundary GeoJSON FeatureCollection, as
+ *   in boundaries.geojson, for places with a boundary
+ * @returns {Array} Places {name, altNames, type, lat, lng, searchNames,
+ *   geometry}; geometry is a MultiPolygon for places with a boundary found
+ *   in the boundaries, otherwise null. Entries without a name or valid
+ *   coordinates are dropped.
+ */
+export function parseGazetteer(data, boundaries = null) {
+  const boundaryGeometries = new Map(
+    (boundaries?.features || []).map((feature) => [
+      `${feature.properties?.valueName}:${feature.properties?.value}`,
+      feature.geometry,
+    ]),
+  );
+
+  return (data?.places || [])
+    .filter(
+      (place) =>
+        place.name &&
+        Number.isFinite(place.lat) &&
+        Number.isFinite(place.lng) &&
+        Math.abs(place.lat) <= 90,
+    )
+    .map((place) => ({
+      ...place,
+      altNames: place.altNames || [],
+      searchNames: [place.name, ...(place.altNames || [])].map(
+        normalizePlaceName,
+      ),
+      geometry: place.boundary
+        ? normalizeGeometry(
+            boundaryGeometries.get(
+              `${place.boundary.valueName}:${place.boundary.value}`,
+            ),
+          )
+        : null,
+    }));
+}
+
+/**
+ * Fetch and parse the gazetteer. Without the boundaries, regions are still
+ * found but only as a point.
+ * @param {string} [path] - Path to gazetteer.json
+ * @param {string} [boundariesPath] - Path to the boundary GeoJSON
+ * @returns {Promise<Array>} Places from parseGazetteer
+ */
+export async function loadGazetteer(
+  path = DEFAULT_GAZETTEER_PATH,
+  boundariesPath = DEFAULT_BOUNDARIES_PATH,
+) {
+  const [response, boundaries] = await Promise.all([
+    fetch(path),
+    fetch(boundariesPath)
+      .then((boundariesResponse) =>
+        boundariesResponse.ok ? boundariesResponse.json() : null,
+      )
+      .catch(() => null),
+  ]);
+  if (!response.ok) {
+    throw new Error(`Failed to load gazetteer: ${response.status}`);
+  }
+  return parseGazetteer(await response.json(), boundaries);
+}
+
+/**
+ * How well a place matches a query
+ * @param {Object} place - Place from parseGazetteer
+ * @param {string} query - Normalized query
+ * @returns {number|null} 0 for an exact name, 1 for a name starting with
+ *   the query, 2 for a word in a name starting with it; null for no match
+ */
+function getPlaceMatchRank(place, query) {
+  let rank = null;
+
+  for (const name of place.searchNames) {
+    if (name === query) return 0;
+
+    if (name.startsWith(query)) {
+      rank = 1;
+    } else if (rank === null && name.includes(` ${query}`)) {
+      rank = 2;
+    }
+  }
+
+  return rank;
+}
+
+/**
+ * Find places matching what has been typed so far
+ * @param {Array} places - Places from parseGazetteer
+ * @param {string} query - Search text
+ * @param {number} [limit] - Maximum number of places to return
+ * @returns {Array} Matching places, best first
+ */
+export function findPlaces(places, query, limit = 5) {
+  const normalizedQuery = normalizePlaceName(query);
+  if (normalizedQuery.length < 2) return [];
+
+  return places
+    .map((place) => ({
+      place,
+      rank: getPlaceMatchRank(place, normalizedQuery),
+    }))
+    .filter((match) => match.rank !== null)
+    .sort(
+      (a, b) =>
+        a.rank - b.rank ||
+        PLACE_TYPE_ORDER.indexOf(a.place.type) -
+          PLACE_TYPE_ORDER.indexOf(b.place.type) ||
+        a.place.name.localeCompare(b.place.name),
+    )
+    .slice(0, limit)
+    .map((match) => match.place);
+}
+
+/**
+ * The name a place was found by, if not its main name, for showing
+ * alongside it (e.g. "Gisborne" found by "Tūranganui")
+ * @param {Object} place - Place from parseGazetteer
+ * @param {string} query - Search text
+ * @returns {string|null} Matching alternative name, or null
+ */
+export function getMatchedAltName(place, query) {
+  const normalizedQuery = normalizePlaceName(query);
+  if (normalizePlaceName(place.name).startsWith(normalizedQuery)) return null;
+
+  return (
+    place.altNames.find((name) =>
+      normalizePlaceName(name).includes(normalizedQuery),
+    ) || null
+  );
+}
+
+export default {
+  DEFAULT_GAZETTEER_PATH,
+  normalizePlaceName,
+  parseGazetteer,
+  loadGazetteer,
+  findPlaces,
+  getMatchedAltName,
+};
@@ -0,0 +1,748 @@
+/**
+ * Geometry Utilities
+ * Helpers for working with alert geometry stored as GeoJSON ([lng, lat] order)
+ */
+
+/**
+ * Convert a CAP ring of [lat, lng] pairs into a GeoJSON ring of [lng, lat]
+ * @param {Array} ring - Array of [lat, lng] coordinate pairs
+ * @returns {Array} Array of [lng, lat] positions
+ */
+export function capRingToGeoJSON(ring) {
+  return ring.map(([lat, lng]) => [lng, lat]);
+}
+
+// Mean Earth radius used for circle approximation
+const EARTH_RADIUS_KM = 6371.0088;
+
+/**
+ * Approximate a circle as a GeoJSON Polygon
+ * @param {Array} center - Circle centre as [lat, lng] (CAP order)
+ * @param {number} radiusKm - Circle radius in kilometres
+ * @param {number} steps - Number of vertices used for the ring
+ * @returns {Object} GeoJSON Polygon, wound and unwrapped like any other
+ *   normalized polygon
+ */
+export function circleToPolygon(center, radiusKm, steps = 64) {
+  const [lat, lng] = center;
+  const latRad = (lat * Math.PI) / 180;
+  const lngRad = (lng * Math.PI) / 180;
+  const angularDistance = radiusKm / EARTH_RADIUS_KM;
+  const ring = [];
+
+  for (let i = 0; i < steps; i++) {
+    const bearing = (2 * Math.PI * i) / steps;
+
+    // Destination point given distance and bearing from the centre
+    const pointLat = Math.asin(
+      Math.sin(latRad) * Math.cos(angularDistance) +
+        Math.cos(latRad) * Math.sin(angularDistance) * Math.cos(bearing),
+    );
+    const pointLng =
+      lngRad +
+      Math.atan2(
+        Math.sin(bearing) * Math.sin(angularDistance) * Math.cos(latRad),
+        Math.cos(angularDistance) - Math.sin(latRad) * Math.sin(pointLat),
+      );
+
+    ring.push([(pointLng * 180) / Math.PI, (pointLat * 180) / Math.PI]);
+  }
+
+  // Bearings run clockwise, so the ring needs rewinding; normalizing also
+  // keeps a circle near 180° continuous
+  return { type: "Polygon", coordinates: normalizePolygon([ring]) };
+}
+
+/**
+ * Wrap a longitude into the range [-180, 180)
+ * @param {number} lng - Longitude in degrees
+ * @returns {number} Equivalent longitude in [-180, 180)
+ */
+export function normalizeLongitude(lng) {
+  return ((((lng + 180) % 360) + 360) % 360) - 180;
+}
+
+/**
+ * Check whether two positions are the same point
+ * @param {Array} a - [lng, lat] position
+ * @param {Array} b - [lng, lat] position
+ * @returns {boolean} True if both coordinates match
+ */
+function isSamePosition(a, b) {
+  return a[0] === b[0] && a[1] === b[1];
+}
+
+/**
+ * Remove repeated vertices and zero-width spikes (A, B, A) from a ring
+ * @param {Array} ring - Array of [lng, lat] positions, closed or open
+ * @returns {Array} Open ring (first position not repeated at the end)
+ */
+export function removeDegeneratePositions(ring) {
+  const positions = [];
+
+  for (const position of ring) {
+    const previous = positions[positions.length - 1];
+    if (previous && isSamePosition(previous, position)) continue;
+
+    // Going straight back to the vertex before last encloses nothing
+    const beforePrevious = positions[positions.length - 2];
+    if (beforePrevious && isSamePosition(beforePrevious, position)) {
+      positions.pop();
+      continue;
+    }
+
+    positions.push(position);
+  }
+
+  // Apply the same rules where the ring wraps around
+  let changed = true;
+  while (changed && positions.length > 2) {
+    changed = false;
+    const last = positions.length - 1;
+
+    if (isSamePosition(positions[0], positions[last])) {
+      positions.pop();
+      changed = true;
+    } else if (isSamePosition(positions[last - 1], positions[0])) {
+      positions.pop();
+      changed = true;
+    } else if (isSamePosition(positions[last], positions[1])) {
+      positions.shift();
+      changed = true;
+    }
+  }
+
+  return positions;
+}
+
+/**
+ * Shift longitudes so no edge of the ring spans more than 180°. A ring that
+ * crosses the antimeridian (e.g. around the Chatham Islands) then continues
+ * past ±180 instead of wrapping around the world, which is how MapLibre
+ * expects it.
+ * @param {Array} ring - Array of [lng, lat] positions
+ * @returns {Array} Ring with continuous longitudes, starting in [-180, 180)
+ */
+export function unwrapRing(ring) {
+  if (ring.length === 0) return [];
+
+  const unwrapped = [[normalizeLongitude(ring[0][0]), ring[0][1]]];
+
+  for (let i = 1; i < ring.length; i++) {
+    const previousLng = unwrapped[i - 1][0];
+    const [lng, lat] = ring[i];
+    const shift = Math.round((previousLng - lng) / 360) * 360;
+    unwrapped.push([lng + shift, lat]);
+  }
+
+  return unwrapped;
+}
+
+/**
+ * Signed planar area of a ring, in square degrees
+ * @param {Array} ring - Array of [lng, lat] positions with continuous longitudes
+ * @returns {number} Positive for counterclockwise rings, negative for clockwise
+ */
+export function getRingArea(ring) {
+  let area = 0;
+
+  for (let i = 0; i < ring.length; i++) {
+    const [x1, y1] = ring[i];
+    const [x2, y2] = ring[(i + 1) % ring.length];
+    area += x1 * y2 - x2 * y1;
+  }
+
+  return area / 2;
+}
+
+/**
+ * Orientation of the turn a -> b -> c
+ * @param {Array} a - [lng, lat] position
+ * @param {Array} b - [lng, lat] position
+ * @param {Array} c - [lng, lat] position
+ * @returns {number} 1 for counterclockwise, -1 for clockwise, 0 if collinear
+ */
+function getOrientation(a, b, c) {
+  const cross = (b[0] - a[0]) * (c[1] - a[1]) - (b[1] - a[1]) * (c[0] - a[0]);
+  return Math.sign(cross);
+}
+
+/**
+ * Check whether c lies within the bounding box of segment a-b
+ * @param {Array} a - Segment start
+ * @param {Array} b - Segment end
+ * @param {Array} c - Position to test
+ * @returns {boolean} True if c is inside the box
+ */
+function isWithinSegmentBox(a, b, c) {
+  return (
+    Math.min(a[0], b[0]) <= c[0] &&
+    c[0] <= Math.max(a[0], b[0]) &&
+    Math.min(a[1], b[1]) <= c[1] &&
+    c[1] <= Math.max(a[1], b[1])
+  );
+}
+
+/**
+ * Check whether segments p1-p2 and q1-q2 touch or cross
+ * @param {Array} p1 - First segment start
+ * @param {Array} p2 - First segment end
+ * @param {Array} q1 - Second segment start
+ * @param {Array} q2 - Second segment end
+ * @returns {boolean} True if the segments share any point
+ */
+function segmentsIntersect(p1, p2, q1, q2) {
+  const o1 = getOrientation(p1, p2, q1);
+  const o2 = getOrientation(p1, p2, q2);
+  const o3 = getOrientation(q1, q2, p1);
+  const o4 = getOrientation(q1, q2, p2);
+
+  if (o1 !== o2 && o3 !== o4) return true;
+
+  // Collinear cases: an endpoint lies on the other segment
+  return (
+    (o1 === 0 && isWithinSegmentBox(p1, p2, q1)) ||
+    (o2 === 0 && isWithinSegmentBox(p1, p2, q2)) ||
+    (o3 === 0 && isWithinSegmentBox(q1, q2, p1)) ||
+    (o4 === 0 && isWithinSegmentBox(q1, q2, p2))
+  );
+}
+
+/**
+ * Check whether any two non-adjacent edges of a ring touch or cross
+ * @param {Array} ring - Open ring of [lng, lat] positions with continuous
+ *   longitudes and no repeated vertices
+ * @returns {boolean} True if the ring is self-intersecting
+ */
+export function isRingSelfIntersecting(ring) {
+  const count = ring.length;
+  if (count < 4) return false;
+
+  for (let i = 0; i < count; i++) {
+    const a1 = ring[i];
+    const a2 = ring[(i + 1) % count];
+
+    // Edges i and i+1 share a vertex, as do the last and first edges
+    for (let j = i + 2; j < count; j++) {
+      if (i === 0 && j === count - 1) continue;
+
+      if (segmentsIntersect(a1, a2, ring[j], ring[(j + 1) % count])) {
+        return true;
+      }
+    }
+  }
+
+  return false;
+}
+
+/**
+ * Clean up a polygon ring: drop repeated vertices and spikes, keep it
+ * continuous across the antimeridian and wind it the way GeoJSON expects
+ * (RFC 7946: exterior rings counterclockwise, holes clockwise)
+ * @param {Array} ring - Array of [lng, lat] positions, closed or open
+ * @param {boolean} [isHole] - Whether the ring is a hole in a polygon
+ * @returns {Array|null} Closed ring, or null if it encloses no area
+ */
+export function normalizeRing(ring, isHole = false) {
+  const positions = unwrapRing(removeDegeneratePositions(ring));
+
+  // With every vertex on one line the ring is only an outline
+  const [first, second] = positions;
+  const isCollinear = positions.every(
+    (position) => getOrientation(first, second, position) === 0,
+  );
+  if (positions.length < 3 || isCollinear) return null;
+
+  // A figure-eight can balance out to zero area; it has no winding to fix
+  const area = getRingArea(positions);
+  const isCounterclockwise = area > 0;
+  if (area !== 0 && isCounterclockwise === isHole) {
+    positions.reverse();
+  }
+
+  positions.push([...positions[0]]);
+  return positions;
+}
+
+/**
+ * Normalize every ring of a GeoJSON Polygon's coordinates
+ * @param {Array} coordinates - Polygon coordinates: exterior ring, then holes
+ * @returns {Array|null} Normalized coordinates, or null if the exterior ring
+ *   encloses no area. Holes that enclose no area are dropped.
+ */
+export function normalizePolygon(coordinates) {
+  const [exterior, ...holes] = coordinates;
+  const normalizedExterior = exterior ? normalizeRing(exterior) : null;
+  if (!normalizedExterior) return null;
+
+  return [
+    normalizedExterior,
+    ...holes.map((hole) => normalizeRing(hole, true)).filter(Boolean),
+  ];
+}
+
+// Simplified copies of the geometry drawn when zoomed out, coarsest first.
+// Tolerances are in degrees (0.01° is roughly 1 km); each level is used
+// below its maxZoom, and the original geometry beyond the last one.
+export const GEOMETRY_LEVELS = [
+  { maxZoom: 6, tolerance: 0.01 },
+  { maxZoom: 9, tolerance: 0.001 },
+];
+
+/**
+ * Squared distance from a point to a line segment
+ * @param {Array} point - [lng, lat] position
+ * @param {Array} start - Segment start
+ * @param {Array} end - Segment end
+ * @returns {number} Squared distance in square degrees
+ */
+function getSquareSegmentDistance(point, start, end) {
+  let [x, y] = start;
+  let dx = end[0] - x;
+  let dy = end[1] - y;
+
+  if (dx !== 0 || dy !== 0) {
+    const t = ((point[0] - x) * dx + (point[1] - y) * dy) / (dx * dx + dy * dy);
+    if (t > 1) {
+      [x, y] = end;
+    } else if (t > 0) {
+      x += dx * t;
+      y += dy * t;
+    }
+  }
+
+  dx = point[0] - x;
+  dy = point[1] - y;
+  return dx * dx + dy * dy;
+}
+
+/**
+ * Simplify a closed ring with the Douglas-Peucker algorithm
+ * @param {Array} ring - Closed ring of [lng, lat] positions
+ * @param {number} tolerance - Largest distance, in degrees, a removed vertex
+ *   may be from the simplified outline
+ * @returns {Array} Simplified closed ring, or the original if simplifying
+ *   would leave fewer than four positions
+ */
+export function simplifyRing(ring, tolerance) {
+  if (ring.length <= 4) return ring;
+
+  const last = ring.length - 1;
+  const squareTolerance = tolerance * tolerance;
+  const keep = new Uint8Array(ring.length);
+  keep[0] = 1;
+  keep[last] = 1;
+
+  // Iterative rather than recursive so long coastlines can't overflow the stack
+  const stack = [[0, last]];
+  while (stack.length > 0) {
+    const [start, end] = stack.pop();
+    let maxDistance = 0;
+    let farthest = -1;
+
+    for (let i = start + 1; i < end; i++) {
+      const distance = getSquareSegmentDistance(
+        ring[i],
+        ring[start],
+        ring[end],
+      );
+      if (distance > maxDistance) {
+        maxDistance = distance;
+        farthest = i;
+      }
+    }
+
+    if (maxDistance > squareTolerance) {
+      keep[farthest] = 1;
+      stack.push([start, farthest], [farthest, end]);
+    }
+  }
+
+  const simplified = ring.filter((position, index) => keep[index]);
+  return simplified.length >= 4 ? simplified : ring;
+}
+
+// Simplified polygons by tolerance, so boundary shapes shared by many
+// alerts are only simplified once
+const simplifiedPolygonCache = new WeakMap();
+
+/**
+ * Simplify every ring of a polygon, reusing earlier results
+ * @param {Array} polygon - Polygon coordinates: exterior ring, then holes
+ * @param {number} tolerance - Simplification tolerance in degrees
+ * @returns {Array} Simplified polygon coordinates
+ */
+function simplifyPolygon(polygon, tolerance) {
+  let byTolerance = simplifiedPolygonCache.get(polygon);
+  if (!byTolerance) {
+    byTolerance = new Map();
+    simplifiedPolygonCache.set(polygon, byTolerance);
+  }
+
+  if (!byTolerance.has(tolerance)) {
+    byTolerance.set(
+      tolerance,
+      polygon.map((ring) => simplifyRing(ring, tolerance)),
+    );
+  }
+
+  return byTolerance.get(tolerance);
+}
+
+/**
+ * Simplify a Polygon or MultiPolygon
+ * @param {Object} geometry - GeoJSON geometry
+ * @param {number} tolerance - Simplification tolerance in degrees
+ * @returns {Object|null} Simplified geometry of the same type
+ */
+export function simplifyGeometry(geometry, tolerance) {
+  if (!geometry) return null;
+
+  if (geometry.type === "Polygon") {
+    return {
+      type: "Polygon",
+      coordinates: simplifyPolygon(geometry.coordinates, tolerance),
+    };
+  }
+
+  return {
+    type: geometry.type,
+    coordinates: geometry.coordinates.map((polygon) =>
+      simplifyPolygon(polygon, tolerance),
+    ),
+  };
+}
+
+/**
+ * Count the positions in a Polygon or MultiPolygon
+ * @param {Object} geometry - GeoJSON geometry
+ * @returns {number} Number of positions across every ring
+ */
+export function countPositions(geometry) {
+  let count = 0;
+  forEachPosition(geometry, () => count++);
+  return count;
+}
+
+/**
+ * Build the simplified copies of a geometry listed in GEOMETRY_LEVELS
+ * @param {Object|null} geometry - Original GeoJSON geometry
+ * @returns {Array} One geometry per level, or null where simplifying removed
+ *   nothing and the next finer level (or the original) should be used
+ */
+export function buildGeometryLevels(geometry) {
+  if (!geometry) return [];
+
+  const originalCount = countPositions(geometry);
+
+  return GEOMETRY_LEVELS.map(({ tolerance }) => {
+    const simplified = simplifyGeometry(geometry, tolerance);
+    return countPositions(simplified) < originalCount ? simplified : null;
+  });
+}
+
+/**
+ * Find the geometry level to draw at a zoom level
+ * @param {number} zoom - Map zoom level
+ * @returns {number} Index into GEOMETRY_LEVELS, or -1 for the original geometry
+ */
+export function getGeometryLevelIndex(zoom) {
+  return GEOMETRY_LEVELS.findIndex((level) => zoom < level.maxZoom);
+}
+
+/**
+ * Pick an alert's geometry for a level, falling back to finer levels and
+ * then the original when a level wasn't needed
+ * @param {Object} alert - Alert with geometry and geometryLevels
+ * @param {number} levelIndex - Index from getGeometryLevelIndex
+ * @returns {Object|null} GeoJSON geometry to draw
+ */
+export function getGeometryForLevel(alert, levelIndex) {
+  if (levelIndex >= 0) {
+    for (let i = levelIndex; i < GEOMETRY_LEVELS.length; i++) {
+      const geometry = alert.geometryLevels?.[i];
+      if (geometry) return geometry;
+    }
+  }
+
+  return alert.geometry;
+}
+
+/**
+ * Normalize every polygon of a Polygon or MultiPolygon, e.g. boundary
+ * shapes read from a file
+ * @param {Object|null} geometry - GeoJSON geometry
+ * @returns {Object|null} MultiPolygon of the polygons that enclose any
+ *   area, or null if none do
+ */
+export function normalizeGeometry(geometry) {
+  if (!geometry) return null;
+
+  const polygons =
+    geometry.type === "Polygon"
+      ? [geometry.coordinates]
+      : geometry.type === "MultiPolygon"
+        ? geometry.coordinates
+        : [];
+  const coordinates = polygons.map(normalizePolygon).filter(Boolean);
+
+  return coordinates.length > 0 ? { type: "MultiPolygon", coordinates } : null;
+}
+
+/**
+ * Combine Polygon and MultiPolygon geometries into a single MultiPolygon
+ * @param {Array} geometries - Array of GeoJSON geometries (nulls are ignored)
+ * @returns {Object|null} GeoJSON MultiPolygon or null if there is nothing to combine
+ */
+export function combineGeometries(geometries) {
+  const coordinates = [];
+
+  for (const geometry of geometries) {
+    if (!geometry) continue;
+
+    if (geometry.type === "Polygon") {
+      coordinates.push(geometry.coordinates);
+    } else if (geometry.type === "MultiPolygon") {
+      coordinates.push(...geometry.coordinates);
+    }
+  }
+
+  return coordinates.length > 0 ? { type: "MultiPolygon", coordinates } : null;
+}
+
+/**
+ * Call a function for every position in a Polygon or MultiPolygon
+ * @param {Object} geometry - GeoJSON geometry
+ * @param {Function} callback - Called with each [lng, lat] position
+ */
+export function forEachPosition(geometry, callback) {
+  if (!geometry) return;
+
+  const polygons =
+    geometry.type === "Polygon" ? [geometry.coordinates] : geometry.coordinates;
+
+  for (const polygon of polygons) {
+    for (const ring of polygon) {
+      for (const position of ring) {
+        callback(position);
+      }
+    }
+  }
+}
+
+// Width of the longitude buckets used to find the gap in getGeometryBounds
+const BOUNDS_BUCKET_DEGREES = 1;
+const BOUNDS_BUCKET_COUNT = 360 / BOUNDS_BUCKET_DEGREES;
+
+/**
+ * Calculate the bounding box covering a set of geometries. Longitudes wrap,
+ * so the box is the narrowest one around the globe: areas either side of the
+ * antimeridian (e.g. mainland New Zealand and the Chatham Islands) give a box
+ * whose east edge is past 180° rather than one spanning the whole world.
+ * @param {Array} geometries - Array of GeoJSON geometries (nulls are ignored)
+ * @returns {Array|null} [[west, south], [east, north]] with west in
+ *   [-180, 180) and east >= west, possibly beyond 180; null if empty
+ */
+export function getGeometryBounds(geometries) {
+  let minLat = Infinity;
+  let maxLat = -Infinity;
+
+  // Smallest and largest longitude seen in each bucket
+  const bucketMin = new Array(BOUNDS_BUCKET_COUNT).fill(Infinity);
+  const bucketMax = new Array(BOUNDS_BUCKET_COUNT).fill(-Infinity);
+
+  for (const geometry of geometries) {
+    forEachPosition(geometry, ([rawLng, lat]) => {
+      const lng = normalizeLongitude(rawLng);
+      const bucket = Math.min(
+        Math.floor((lng + 180) / BOUNDS_BUCKET_DEGREES),
+        BOUNDS_BUCKET_COUNT - 1,
+      );
+
+      if (lng < bucketMin[bucket]) bucketMin[bucket] = lng;
+      if (lng > bucketMax[bucket]) bucketMax[bucket] = lng;
+      if (lat < minLat) minLat = lat;
+      if (lat > maxLat) maxLat = lat;
+    });
+  }
+
+  if (minLat === Infinity) return null;
+
+  // The box leaves out the widest run of empty buckets, wrapping around
+  const occupied = [];
+  for (let bucket = 0; bucket < BOUNDS_BUCKET_COUNT; bucket++) {
+    if (bucketMin[bucket] !== Infinity) occupied.push(bucket);
+  }
+
+  let west = bucketMin[occupied[0]];
+  let east = bucketMax[occupied[occupied.length - 1]];
+  let widestGap = bucketMin[occupied[0]] + 360 - east;
+
+  for (let i = 1; i < occupied.length; i++) {
+    const gap = bucketMin[occupied[i]] - bucketMax[occupied[i - 1]];
+    if (gap > widestGap) {
+      widestGap = gap;
+      west = bucketMin[occupied[i]];
+      east = bucketMax[occupied[i - 1]] + 360;
+    }
+  }
+
+  return [
+    [west, minLat],
+    [east, maxLat],
+  ];
+}
+
+/**
+ * Check whether a position lies inside a ring (even-odd rule)
+ * @param {Array} position - [lng, lat] position
+ * @param {Array} ring - Closed ring of [lng, lat] positions
+ * @returns {boolean} True if the position is inside
+ */
+function isPositionInRing([x, y], ring) {
+  let inside = false;
+
+  for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+    const [xi, yi] = ring[i];
+    const [xj, yj] = ring[j];
+
+    if (yi > y !== yj > y && x < ((xj - xi) * (y - yi)) / (yj - yi) + xi) {
+      inside = !inside;
+    }
+  }
+
+  return inside;
+}
+
+/**
+ * Check whether a position lies inside a GeoJSON Polygon's coordinates:
+ * within the exterior ring and outside every hole
+ * @param {Array} position - [lng, lat] position, in the polygon's longitude
+ *   range
+ * @param {Array} polygon - Polygon coordinates: exterior ring, then holes
+ * @returns {boolean} True if the position is inside
+ */
+export function isPositionInPolygon(position, polygon) {
+  const [exterior, ...holes] = polygon;
+  return (
+    isPositionInRing(position, exterior) &&
+    !holes.some((hole) => isPositionInRing(position, hole))
+  );
+}
+
+/**
+ * Bounding box of a ring
+ * @param {Array} ring - Ring of [lng, lat] positions
+ * @returns {Array} [west, south, east, north]
+ */
+export function getRingBox(ring) {
+  let west = Infinity;
+  let south = Infinity;
+  let east = -Infinity;
+  let north = -Infinity;
+
+  for (const [lng, lat] of ring) {
+    if (lng < west) west = lng;
+    if (lng > east) east = lng;
+    if (lat < south) south = lat;
+    if (lat > north) north = lat;
+  }
+
+  return [west, south, east, north];
+}
+
+/**
+ * Check whether two rings overlap: an edge of one crosses the other, or one
+ * lies inside the other
+ * @param {Array} a - Closed ring of [lng, lat] positions
+ * @param {Array} b - Closed ring, in the same longitude range as a
+ * @returns {boolean} True if the rings share any point
+ */
+function ringsIntersect(a, b) {
+  for (let i = 0; i < a.length - 1; i++) {
+    for (let j = 0; j < b.length - 1; j++) {
+      if (segmentsIntersect(a[i], a[i + 1], b[j], b[j + 1])) return true;
+    }
+  }
+
+  return isPositionInRing(a[0], b) || isPositionInRing(b[0], a);
+}
+
+/**
+ * Check whether two Polygon or MultiPolygon geometries overlap. Only
+ * exterior rings are compared, so an area inside another's hole still
+ * counts. Longitudes are compared modulo 360, so rings written either side
+ * of the antimeridian still meet.
+ * @param {Object|null} a - GeoJSON geometry
+ * @param {Object|null} b - GeoJSON geometry
+ * @returns {boolean} True if any polygon of a touches any polygon of b
+ */
+export function geometriesIntersect(a, b) {
+  if (!a || !b) return false;
+
+  const getExteriors = (geometry) =>
+    (geometry.type === "Polygon"
+      ? [geometry.coordinates]
+      : geometry.coordinates
+    ).map(([exterior]) => ({ ring: exterior, box: getRingBox(exterior) }));
+
+  const exteriorsA = getExteriors(a);
+  const exteriorsB = getExteriors(b);
+
+  for (const first of exteriorsA) {
+    for (const second of exteriorsB) {
+      // Bring the second ring round to the same side of the globe
+      const shift =
+        360 *
+        Math.round(
+          (first.box[0] + first.box[2] - second.box[0] - second.box[2]) / 720,
+        );
+      const box = [
+        second.box[0] + shift,
+        second.box[1],
+        second.box[2] + shift,
+        second.box[3],
+      ];
+
+      if (
+        box[0] > first.box[2] ||
+        box[2] < first.box[0] ||
+        box[1] > first.box[3] ||
+        box[3] < first.box[1]
+      ) {
+        continue;
+      }
+
+      const ring = shift
+        ? second.ring.map(([lng, lat]) => [lng + shift, lat])
+        : second.ring;
+      if (ringsIntersect(first.ring, ring)) return true;
+    }
+  }
+
+  return false;
+}
+
+export default {
+  capRingToGeoJSON,
+  circleToPolygon,
+  normalizeLongitude,
+  removeDegeneratePositions,
+  unwrapRing,
+  getRingArea,
+  isRingSelfIntersecting,
+  normalizeRing,
+  normalizePolygon,
+  simplifyRing,
+  simplifyGeometry,
+  countPositions,
+  buildGeometryLevels,
+  getGeometryLevelIndex,
+  getGeometryForLevel,
+  combineGeometries,
+  forEachPosition,
+  getGeometryBounds,
+  isPositionInPolygon,
+  getRingBox,
+  geometriesIntersect,
+};
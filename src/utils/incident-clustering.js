@@ -0,0 +1,301 @@
+/**
+ * Incident Clustering Utilities
+ * Groups alerts that describe the same incident but don't reference each
+ * other, e.g. a MetService warning, the NEMA alert and a regional CDEM
+ * update about the same storm
+ */
+
+import { geometriesIntersect, getGeometryForLevel } from "./geometry.js";
+
+// Alerts this far apart in time can still belong to one incident
+const TIME_SLACK_MS = 3 * 60 * 60 * 1000;
+
+// How long an alert with no expiry or cancellation is treated as current
+const OPEN_ENDED_WINDOW_MS = 24 * 60 * 60 * 1000;
+
+// Share of event terms two alerts need in common to be the same incident
+const MIN_EVENT_SIMILARITY = 0.5;
+
+// Words that say how an alert is issued rather than what it is about
+const EVENT_STOP_WORDS = new Set([
+  "a",
+  "advisory",
+  "alert",
+  "and",
+  "emergency",
+  "for",
+  "in",
+  "mobile",
+  "notice",
+  "of",
+  "the",
+  "to",
+  "unknown",
+  "update",
+  "warning",
+  "watch",
+]);
+
+// Terms that describe the same kind of hazard
+const HAZARD_FAMILIES = {
+  weather: [
+    "cyclone",
+    "flood",
+    "flooding",
+    "floods",
+    "gale",
+    "hail",
+    "rain",
+    "rainfall",
+    "snow",
+    "storm",
+    "swell",
+    "thunderstorm",
+    "thunderstorms",
+    "weather",
+    "wind",
+    "winds",
+  ],
+  seismic: ["aftershock", "earthquake", "quake", "tsunami"],
+  volcanic: ["ash", "eruption", "volcanic", "volcano"],
+  fire: ["fire", "fires", "smoke", "wildfire"],
+  water: ["boil", "water", "drinking"],
+};
+
+const HAZARD_FAMILY_BY_TERM = new Map(
+  Object.entries(HAZARD_FAMILIES).flatMap(([family, terms]) =>
+    terms.map((term) => [term, family]),
+  ),
+);
+
+/**
+ * Reduce an alert's event to the terms compared between alerts, with
+ * related hazards (rain, flooding, wind...) folded into one family
+ * @param {Object} alert - Grouped alert
+ * @returns {Set<string>} Event terms; falls back to the title when the
+ *   event is unknown
+ */
+export function getEventTerms(alert) {
+  const describe = (text) =>
+    new Set(
+      (text || "")
+        .toLowerCase()
+        .split(/[^a-z0-9]+/)
+        .filter((word) => word.length > 1 && !EVENT_STOP_WORDS.has(word))
+        .map((word) => HAZARD_FAMILY_BY_TERM.get(word) || word),
+    );
+
+  const terms = describe(alert.event);
+  return terms.size > 0 ? terms : describe(alert.title);
+}
+
+/**
+ * Similarity of two sets of event terms
+ * @param {Set<string>} a - Event terms
+ * @param {Set<string>} b - Event terms
+ * @returns {number} Shared terms over the smaller set, 0 to 1
+ */
+function getEventSimilarity(a, b) {
+  if (a.size === 0 || b.size === 0) return 0;
+
+  let shared = 0;
+  for (const term of a) {
+    if (b.has(term)) shared++;
+  }
+  return shared / Math.min(a.size, b.size);
+}
+
+/**
+ * Time an alert was current, for matching against others
+ * @param {Object} alert - Grouped alert with a lifecycle
+ * @returns {Object} {start, end} in milliseconds
+ */
+function getIncidentWindow(alert) {
+  const lastSent = alert.timeline
+    ? alert.timeline[alert.timeline.length - 1].sent
+    : alert.sent;
+  const start = (alert.lifecycle?.activeWindow.start || alert.sent).getTime();
+  const end = alert.lifecycle?.activeWindow.end
+    ? alert.lifecycle.activeWindow.end.getTime()
+    : lastSent.getTime() + OPEN_ENDED_WINDOW_MS;
+
+  return { start, end: Math.max(end, lastSent.getTime()) };
+}
+
+/**
+ * Check whether two alerts cover the same place: their areas overlap, or
+ * failing geometry on either side, they name a region in common
+ * @param {Object} a - Grouped alert
+ * @param {Object} b - Grouped alert
+ * @returns {boolean} True if the alerts share any area
+ */
+function coverSameArea(a, b) {
+  if (a.hasGeometry && b.hasGeometry) {
+    // The coarsest drawing level is plenty to tell whether areas meet
+    return geometriesIntersect(
+      getGeometryForLevel(a, 0),
+      getGeometryForLevel(b, 0),
+    );
+  }
+
+  const regions = new Set(a.affectedRegions || []);
+  return (b.affectedRegions || []).some((region) => regions.has(region));
+}
+
+/**
+ * Cluster grouped alerts into incidents. Two alerts from different senders
+ * are linked when they were current at overlapping times, cover overlapping
+ * areas and describe a similar event; an incident is every alert reachable
+ * through such links. A sender's own follow-ups are already one thread
+ * through their references, so its alerts are never linked to each other.
+ * Clustering compares every pair of overlapping alerts, so it runs in the
+ * data worker and at preprocess time rather than on the main thread.
+ * @param {Array} alerts - Grouped alerts from DataProcessor.groupAlerts
+ * @returns {Array} Incidents {id, alertIds, start, end, events, senders},
+ *   newest first. Alert ids are in sent order; an alert linked to nothing
+ *   is an incident of its own. Incidents hold ids rather than alerts so
+ *   they can be posted and stored alongside the alerts; see indexIncidents.
+ */
+export function clusterIncidents(alerts) {
+  if (!alerts || alerts.length === 0) return [];
+
+  const entries = alerts
+    .map((alert) => ({
+      alert,
+      window: getIncidentWindow(alert),
+      terms: getEventTerms(alert),
+    }))
+    .sort((a, b) => a.window.start - b.window.start);
+
+  // Union-Find over entry indexes, as in DataProcessor.groupAlerts
+  const parents = entries.map((_, index) => index);
+  const find = (index) => {
+    while (parents[index] !== index) {
+      parents[index] = parents[parents[index]];
+      index = parents[index];
+    }
+    return index;
+  };
+
+  // Sweep by start time, comparing each alert with those still current
+  let active = [];
+  entries.forEach((entry, index) => {
+    active = active.filter(
+      (other) =>
+        entries[other].window.end + TIME_SLACK_MS >= entry.window.start,
+    );
+
+    for (const other of active) {
+      const root = find(index);
+      const otherRoot = find(other);
+      if (root === otherRoot) continue;
+
+      const candidate = entries[other];
+      if (entry.alert.senderId === candidate.alert.senderId) continue;
+
+      if (
+        getEventSimilarity(entry.terms, candidate.terms) >=
+          MIN_EVENT_SIMILARITY &&
+        coverSameArea(entry.alert, candidate.alert)
+      ) {
+        parents[root] = otherRoot;
+      }
+    }
+
+    active.push(index);
+  });
+
+  const clusters = new Map();
+  entries.forEach((entry, index) => {
+    const root = find(index);
+    if (!clusters.has(root)) clusters.set(root, []);
+    clusters.get(root).push(entry);
+  });
+
+  return [...clusters.values()]
+    .map((members) => {
+      const incidentAlerts = members
+        .map((member) => member.alert)
+        .sort((a, b) => a.sent.getTime() - b.sent.getTime());
+
+      return {
+        id: `incident-${incidentAlerts[0].id}`,
+        alertIds: incidentAlerts.map((alert) => alert.id),
+        start: new Date(
+          Math.min(...members.map((member) => member.window.start)),
+        ),
+        end: new Date(
+          Math.max(
+            ...incidentAlerts.map((alert) =>
+              (alert.lifecycle?.activeWindow.end || alert.sent).getTime(),
+            ),
+          ),
+        ),
+        events: [...new Set(incidentAlerts.map((alert) => alert.event))],
+        senders: [...new Set(incidentAlerts.map((alert) => alert.senderName))],
+      };
+    })
+    .sort((a, b) => b.start.getTime() - a.start.getTime());
+}
+
+/**
+ * Index incidents by the ids of their alerts, resolving each incident's
+ * alert ids to the loaded alerts
+ * @param {Array} incidents - Incidents from clusterIncidents
+ * @param {Array} alerts - Grouped alerts the incidents were clustered from
+ * @returns {Map} Alert id -> incident with its alerts, oldest first
+ */
+export function indexIncidents(incidents, alerts) {
+  const alertsById = new Map(alerts.map((alert) => [alert.id, alert]));
+
+  const index = new Map();
+  for (const { alertIds, ...incident } of incidents) {
+    const resolved = {
+      ...incident,
+      alerts: alertIds.map((id) => alertsById.get(id)).filter(Boolean),
+    };
+    for (const alert of resolved.alerts) {
+      index.set(alert.id, resolved);
+    }
+  }
+  return index;
+}
+
+/**
+ * Other alerts in the same incident as an alert
+ * @param {Map} incidentIndex - Index from indexIncidents
+ * @param {Object|null} alert - Grouped alert
+ * @returns {Array} Related alerts, oldest first; empty if there are none
+ */
+export function getRelatedAlerts(incidentIndex, alert) {
+  const incident = alert ? incidentIndex.get(alert.id) : null;
+  return incident
+    ? incident.alerts.filter((related) => related.id !== alert.id)
+    : [];
+}
+
+/**
+ * Collapse a list of alerts to one per incident, keeping the first alert of
+ * each incident in the list's order
+ * @param {Array} alerts - Grouped alerts, e.g. filtered and sorted
+ * @param {Map} incidentIndex - Index from indexIncidents
+ * @returns {Array} Alerts standing in for their incidents
+ */
+export function collapseToIncidents(alerts, incidentIndex) {
+  const seen = new Set();
+
+  return alerts.filter((alert) => {
+    const incidentId = incidentIndex.get(alert.id)?.id || alert.id;
+    if (seen.has(incidentId)) return false;
+    seen.add(incidentId);
+    return true;
+  });
+}
+
+export default {
+  getEventTerms,
+  clusterIncidents,
+  indexIncidents,
+  getRelatedAlerts,
+  collapseToIncidents,
+};
@@ -0,0 +1,40 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { clusterIncidents, indexIncidents } from "./incident-clustering.js";
+
+/**
+ * Minimal grouped alert about flooding in Canterbury
+ * @param {string} id - Alert id
+ * @param {string} senderId - Canonical sender id
+ * @returns {Object} Grouped alert
+ */
+const floodAlert = (id, senderId) => ({
+  id,
+  senderId,
+  senderName: senderId,
+  event: "Flooding",
+  sent: new Date("2023-01-27T12:00:00+13:00"),
+  hasGeometry: false,
+  affectedRegions: ["Canterbury"],
+});
+
+test("alerts from one sender are not linked to each other", () => {
+  const incidents = clusterIncidents([
+    floodAlert("a", "metservice"),
+    floodAlert("b", "metservice"),
+  ]);
+
+  assert.equal(incidents.length, 2);
+});
+
+test("alerts from different senders about one incident are linked", () => {
+  const alerts = [floodAlert("a", "metservice"), floodAlert("b", "nema")];
+  const [incident, ...others] = clusterIncidents(alerts);
+
+  assert.equal(others.length, 0);
+  assert.deepEqual(incident.alertIds, ["a", "b"]);
+  assert.equal(
+    indexIncidents([incident], alerts).get("b").alerts[0],
+    alerts[0],
+  );
+});
@@ -0,0 +1,333 @@
+/**
+ * Search Index Utilities
+ * Inverted index over alert text for ranked, typo-tolerant search. Built
+ * once after alerts are grouped; free-text search terms are looked up here
+ * and scored with BM25, so a search reads a few postings lists rather than
+ * every alert.
+ *
+ * Text is folded before indexing and lookup, so "Ōtaki" matches "Otaki"
+ * and "Whanganui" matches "Wanganui". Every info block of every message is
+ * indexed, so an alert is found by its text in any language.
+ */
+
+// Fields indexed, and how much a match in each counts
+const FIELD_WEIGHTS = {
+  title: 3,
+  event: 2,
+  areaDesc: 2,
+  senderName: 1,
+  senderId: 1,
+  description: 1,
+};
+
+// BM25 term frequency saturation and length normalisation
+const BM25_K1 = 1.2;
+const BM25_B = 0.75;
+
+// How much a term found by prefix or by a typo counts against an exact one
+const PREFIX_FACTOR = 0.6;
+const FUZZY_FACTOR = 0.4;
+
+// Shortest word matched by one or two typos
+const MIN_FUZZY_LENGTH = 5;
+const MIN_TWO_TYPO_LENGTH = 8;
+
+// Term expansions kept between searches
+const MAX_CACHED_EXPANSIONS = 500;
+
+const WORD_PATTERN = /[\p{L}\p{N}]+/gu;
+
+// Older spellings of te reo Māori place names that drop the "h" of "wh",
+// folded to the current spelling so either finds both. Only whole words in
+// this list are respelled; folding every "wh" would also turn English words
+// such as "where" into "were".
+const PLACE_NAME_SPELLINGS = new Map([
+  ["tairawiti", "tairawhiti"],
+  ["wakaari", "whakaari"],
+  ["wakatane", "whakatane"],
+  ["wanganui", "whanganui"],
+  ["wangaehu", "whangaehu"],
+  ["wangamata", "whangamata"],
+  ["wangaparaoa", "whangaparaoa"],
+  ["wangarei", "whangarei"],
+  ["wangaroa", "whangaroa"],
+  ["wataroa", "whataroa"],
+]);
+
+/**
+ * Fold text for comparison: lowercase, without macrons or other
+ * diacritics, and with older spellings of place names such as "Wanganui"
+ * given their current spelling
+ * @param {string} text - Text as written
+ * @returns {string} Folded text
+ */
+export function foldText(text) {
+  return (text || "")
+    .normalize("NFD")
+    .replace(/\p{M}/gu, "")
+    .toLowerCase()
+    .replace(WORD_PATTERN, (word) => PLACE_NAME_SPELLINGS.get(word) || word);
+}
+
+/**
+ * Find the words in a piece of text
+ * @param {string} text - Text as written
+ * @returns {Array} Words {term, start, end}: the folded word and its
+ *   offsets in the original text
+ */
+export function findWords(text) {
+  return [...(text || "").matchAll(WORD_PATTERN)].map((match) => ({
+    term: foldText(match[0]),
+    start: match.index,
+    end: match.index + match[0].length,
+  }));
+}
+
+/**
+ * Split text into folded terms
+ * @param {string} text - Text as written
+ * @returns {Array<string>} Terms
+ */
+export function tokenizeText(text) {
+  return findWords(text).map((word) => word.term);
+}
+
+/**
+ * The distinct texts of a grouped alert for a field: its own, and those of
+ * every info block of every message in its timeline, in any language
+ * @param {Object} alert - Grouped alert
+ * @param {string} field - Alert and info block field, e.g. "title"
+ * @returns {Array<string>} Non-empty texts, each once
+ */
+export function getAlertTexts(alert, field) {
+  const texts = new Set([alert[field]]);
+
+  for (const message of alert.timeline || []) {
+    for (const blocks of Object.values(message.infos || {})) {
+      for (const info of blocks) texts.add(info[field]);
+    }
+  }
+
+  return [...texts].filter(Boolean);
+}
+
+/**
+ * Build a search index over grouped alerts
+ * @param {Array} alerts - Grouped alerts from DataProcessor.groupAlerts
+ * @returns {Object} Index for getTermMatches and scoreTerm: postings by
+ *   term, sorted vocabulary, weighted document lengths and statistics
+ */
+export function createSearchIndex(alerts) {
+  const postings = new Map();
+  const lengths = new Map();
+
+  for (const alert of alerts || []) {
+    const frequencies = new Map();
+    let length = 0;
+
+    // Texts repeated across messages and blocks count once
+    for (const [field, weight] of Object.entries(FIELD_WEIGHTS)) {
+      for (const term of getAlertTexts(alert, field).flatMap(tokenizeText)) {
+        frequencies.set(term, (frequencies.get(term) || 0) + weight);
+        length += weight;
+      }
+    }
+
+    for (const [term, frequency] of frequencies) {
+      if (!postings.has(term)) postings.set(term, new Map());
+      postings.get(term).set(alert.id, frequency);
+    }
+    lengths.set(alert.id, length);
+  }
+
+  const totalLength = [...lengths.values()].reduce((sum, n) => sum + n, 0);
+
+  return {
+    postings,
+    terms: [...postings.keys()].sort(),
+    lengths,
+    documentCount: lengths.size,
+    averageLength: lengths.size > 0 ? totalLength / lengths.size : 0,
+    expansions: new Map(),
+    scores: new WeakMap(),
+  };
+}
+
+/**
+ * Edit distance between two terms, counting a swap of neighbouring
+ * letters as one edit, or stopping early once it passes a limit
+ * @param {string} a - Term
+ * @param {string} b - Term
+ * @param {number} limit - Largest distance of interest
+ * @returns {number} Distance, or limit + 1 if greater than limit
+ */
+function getEditDistance(a, b, limit) {
+  if (Math.abs(a.length - b.length) > limit) return limit + 1;
+
+  let previousRow = null;
+  let row = Array.from({ length: b.length + 1 }, (_, index) => index);
+
+  for (let i = 1; i <= a.length; i++) {
+    const nextRow = [i];
+    let rowMinimum = i;
+
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      let distance = Math.min(
+        row[j] + 1,
+        nextRow[j - 1] + 1,
+        row[j - 1] + cost,
+      );
+      if (
+        previousRow &&
+        i > 1 &&
+        j > 1 &&
+        a[i - 1] === b[j - 2] &&
+        a[i - 2] === b[j - 1]
+      ) {
+        distance = Math.min(distance, previousRow[j - 2] + 1);
+      }
+
+      nextRow.push(distance);
+      rowMinimum = Math.min(rowMinimum, distance);
+    }
+
+    if (rowMinimum > limit) return limit + 1;
+    previousRow = row;
+    row = nextRow;
+  }
+
+  return row[b.length];
+}
+
+/**
+ * Index terms a search term matches: itself, terms it is a prefix of and
+ * terms a typo or two away, each with how much a match counts. Even a
+ * letter or two matches by prefix, so results narrow as a word is typed.
+ * @param {Object} index - Index from createSearchIndex
+ * @param {string} term - Folded search term
+ * @param {Object} [options]
+ * @param {boolean} [options.exact] - Match the term only as written, as
+ *   for a word in a quoted phrase
+ * @returns {Map} Index term -> factor, 1 for the term itself
+ */
+export function getTermMatches(index, term, { exact = false } = {}) {
+  const cacheKey = `${exact ? "=" : "~"}${term}`;
+  if (index.expansions.has(cacheKey)) return index.expansions.get(cacheKey);
+
+  const matches = new Map();
+  if (index.postings.has(term)) matches.set(term, 1);
+
+  if (!exact && term.length > 0) {
+    // Terms are sorted, so those starting with the term are a run
+    let low = 0;
+    let high = index.terms.length;
+    while (low < high) {
+      const middle = (low + high) >> 1;
+      if (index.terms[middle] < term) low = middle + 1;
+      else high = middle;
+    }
+    for (
+      let position = low;
+      position < index.terms.length && index.terms[position].startsWith(term);
+      position++
+    ) {
+      if (!matches.has(index.terms[position])) {
+        matches.set(index.terms[position], PREFIX_FACTOR);
+      }
+    }
+  }
+
+  if (!exact && term.length >= MIN_FUZZY_LENGTH) {
+    const limit = term.length >= MIN_TWO_TYPO_LENGTH ? 2 : 1;
+    for (const candidate of index.terms) {
+      if (matches.has(candidate)) continue;
+
+      const distance = getEditDistance(term, candidate, limit);
+      if (distance <= limit) {
+        matches.set(candidate, FUZZY_FACTOR / distance);
+      }
+    }
+  }
+
+  if (index.expansions.size >= MAX_CACHED_EXPANSIONS) {
+    index.expansions.clear();
+  }
+  index.expansions.set(cacheKey, matches);
+  return matches;
+}
+
+/**
+ * BM25 scores of the alerts containing a search term's matches, taking the
+ * best of the index terms each alert contains. Worked out once per set of
+ * matches by walking their postings, so a short prefix matching many terms
+ * isn't rescored for every alert.
+ * @param {Object} index - Index from createSearchIndex
+ * @param {Map} matches - Matches from getTermMatches
+ * @returns {Map} Alert id -> score
+ */
+function getTermScores(index, matches) {
+  if (index.scores.has(matches)) return index.scores.get(matches);
+
+  const scores = new Map();
+  for (const [term, factor] of matches) {
+    const postings = index.postings.get(term);
+    if (!postings) continue;
+
+    const idf = Math.log(
+      1 + (index.documentCount - postings.size + 0.5) / (postings.size + 0.5),
+    );
+
+    for (const [alertId, frequency] of postings) {
+      const length = index.lengths.get(alertId) || 0;
+      const saturation =
+        (frequency * (BM25_K1 + 1)) /
+        (frequency +
+          BM25_K1 *
+            (1 - BM25_B + (BM25_B * length) / (index.averageLength || 1)));
+      const score = factor * idf * saturation;
+
+      if (score > (scores.get(alertId) || 0)) scores.set(alertId, score);
+    }
+  }
+
+  index.scores.set(matches, scores);
+  return scores;
+}
+
+/**
+ * BM25 score of an alert for a search term, taking the best of the index
+ * terms it matches
+ * @param {Object} index - Index from createSearchIndex
+ * @param {Map} matches - Matches from getTermMatches
+ * @param {string} alertId - Alert id
+ * @returns {number} Score; 0 if the alert contains none of the matches
+ */
+export function scoreTerm(index, matches, alertId) {
+  return getTermScores(index, matches).get(alertId) || 0;
+}
+
+/**
+ * Parts of a piece of text to highlight
+ * @param {string} text - Text as written
+ * @param {Set<string>} terms - Folded terms to highlight
+ * @returns {Array} Ranges {start, end} in the original text, in order
+ */
+export function getHighlightRanges(text, terms) {
+  if (!text || !terms || terms.size === 0) return [];
+
+  return findWords(text)
+    .filter((word) => terms.has(word.term))
+    .map(({ start, end }) => ({ start, end }));
+}
+
+export default {
+  foldText,
+  findWords,
+  tokenizeText,
+  getAlertTexts,
+  createSearchIndex,
+  getTermMatches,
+  scoreTerm,
+  getHighlightRanges,
+};
@@ -0,0 +1,554 @@
+/**
+ * Search Query Utilities
+ * Parses the search box's query language and matches alerts against it.
+ *
+ *   heavy rain                 both words, anywhere in the alert's text;
+ *                              with a search index, also by prefix or with
+ *                              a typo
+ *   "heavy rain"               the exact phrase
+ *   event:"heavy rain"         a phrase in one field
+ *   sender:metservice          field qualifiers, see SEARCH_FIELDS
+ *   severity:severe            enum fields match whole values
+ *   sent:2023-01..2023-02      dates and ranges; either end may be left open
+ *   rain OR snow               AND is implied between terms; NOT or a
+ *   NOT test, -test            leading "-" negates; parentheses group
+ *
+ * Anything else is searched for as text: a prefix that isn't a field (a URL,
+ * "note: flooding") is part of the word, a lone "-" is ignored and an
+ * unclosed quote runs to the end of the query.
+ */
+
+import {
+  AlertCategory,
+  AlertCertainty,
+  AlertSeverity,
+  AlertStatus,
+  AlertUrgency,
+  MessageType,
+} from "../services/data-processor.js";
+import { getDatasetLabel } from "../config/data-sources.js";
+import {
+  foldText,
+  getAlertTexts,
+  getTermMatches,
+  scoreTerm,
+  tokenizeText,
+} from "./search-index.js";
+
+// Fields a term without a qualifier is looked for in
+const DEFAULT_TEXT_FIELDS = [
+  "title",
+  "description",
+  "event",
+  "areaDesc",
+  "senderName",
+  "senderId",
+];
+
+// Field qualifiers. kind "text" matches part of any of the values, "enum"
+// a whole value from `values`, and "date" a date or date range. Text from
+// info blocks is taken from every message and language.
+export const SEARCH_FIELDS = {
+  title: {
+    kind: "text",
+    description: "Alert title",
+    getValues: (alert) => getAlertTexts(alert, "title"),
+  },
+  description: {
+    kind: "text",
+    description: "Description and instructions",
+    getValues: (alert) => [
+      ...getAlertTexts(alert, "description"),
+      ...getAlertTexts(alert, "instruction"),
+    ],
+  },
+  event: {
+    kind: "text",
+    description: "Event, e.g. Heavy Rain",
+    getValues: (alert) => getAlertTexts(alert, "event"),
+  },
+  area: {
+    kind: "text",
+    description: "Area description",
+    getValues: (alert) => getAlertTexts(alert, "areaDesc"),
+  },
+  sender: {
+    kind: "text",
+    description: "Sender id or name",
+    getValues: (alert) => [alert.senderId, alert.senderName, alert.sender],
+  },
+  id: {
+    kind: "text",
+    description: "CAP identifier",
+    getValues: (alert) => [alert.identifier, alert.id],
+  },
+  dataset: {
+    kind: "text",
+    description: "Dataset id or name",
+    getValues: (alert) =>
+      (alert.datasets || []).flatMap((dataset) => [
+        dataset,
+        getDatasetLabel(dataset),
+      ]),
+  },
+  category: {
+    kind: "enum",
+    description: "CAP category",
+    values: Object.values(AlertCategory),
+    getValues: (alert) => [alert.category],
+  },
+  severity: {
+    kind: "enum",
+    description: "CAP severity",
+    values: Object.values(AlertSeverity),
+    getValues: (alert) => [alert.severity],
+  },
+  urgency: {
+    kind: "enum",
+    description: "CAP urgency",
+    values: Object.values(AlertUrgency),
+    getValues: (alert) => [alert.urgency],
+  },
+  certainty: {
+    kind: "enum",
+    description: "CAP certainty",
+    values: Object.values(AlertCertainty),
+    getValues: (alert) => [alert.certainty],
+  },
+  status: {
+    kind: "enum",
+    description: "CAP status",
+    values: Object.values(AlertStatus),
+    getValues: (alert) => [alert.status],
+  },
+  type: {
+    kind: "enum",
+    description: "Message type",
+    values: Object.values(MessageType),
+    getValues: (alert) => [alert.msgType],
+  },
+  sent: {
+    kind: "date",
+    description: "Date sent",
+    getValues: (alert) => [alert.sent],
+  },
+  effective: {
+    kind: "date",
+    description: "Date effective",
+    getValues: (alert) => [alert.effective],
+  },
+  expires: {
+    kind: "date",
+    description: "Date it expires",
+    getValues: (alert) => [alert.expires],
+  },
+};
+
+// Operators, written in capitals so the words can still be searched for
+const OPERATORS = new Set(["AND", "OR", "NOT"]);
+
+const DATE_PATTERN = /^(\d{4})(?:-(\d{1,2})(?:-(\d{1,2}))?)?$/;
+
+/**
+ * Stop parsing with an error pointing at part of the query
+ * @param {string} message - What is wrong, for showing to the user
+ * @param {number} position - Character offset in the query
+ */
+function fail(message, position) {
+  throw Object.assign(new Error(message), { position });
+}
+
+/**
+ * Split a query into tokens
+ * @param {string} text - Query text
+ * @returns {Array} Tokens {type, position, ...}: "(" and ")", "operator"
+ *   with a value, and "term" with field, value and phrase
+ */
+function tokenize(text) {
+  const tokens = [];
+  let index = 0;
+
+  // Read a quoted phrase starting at index, up to the end of the text if
+  // the quote is never closed
+  const readPhrase = () => {
+    const closingQuote = text.indexOf('"', index + 1);
+    const end = closingQuote === -1 ? text.length : closingQuote;
+
+    const phrase = text.slice(index + 1, end);
+    index = end + 1;
+    return phrase;
+  };
+
+  while (index < text.length) {
+    const char = text[index];
+    const position = index;
+
+    if (/\s/.test(char)) {
+      index++;
+    } else if (char === "(" || char === ")") {
+      tokens.push({ type: char, position });
+      index++;
+    } else if (char === "-") {
+      // Only a "-" directly in front of a term negates it
+      if (/[^\s)]/.test(text[index + 1] || " ")) {
+        tokens.push({ type: "operator", value: "NOT", position });
+      }
+      index++;
+    } else if (char === '"') {
+      tokens.push({
+        type: "term",
+        field: null,
+        value: readPhrase(),
+        phrase: true,
+        position,
+      });
+    } else {
+      const word = text.slice(index).match(/^[^\s()"]+/)[0];
+      index += word.length;
+
+      const qualified = word.match(/^([a-z]+):(.*)$/i);
+      const field = qualified?.[1].toLowerCase();
+      if (OPERATORS.has(word)) {
+        tokens.push({ type: "operator", value: word, position });
+      } else if (
+        Object.hasOwn(SEARCH_FIELDS, field || "") &&
+        (qualified[2] || text[index] === '"')
+      ) {
+        const phrase = !qualified[2];
+        const value = phrase ? readPhrase() : qualified[2];
+
+        tokens.push({ type: "term", field, value, phrase, position });
+      } else {
+        // Not a field with a value, e.g. "http://..." or "note:", so the
+        // whole word is searched for
+        tokens.push({
+          type: "term",
+          field: null,
+          value: word,
+          phrase: false,
+          position,
+        });
+      }
+    }
+  }
+
+  return tokens;
+}
+
+/**
+ * Read a date written as YYYY, YYYY-MM or YYYY-MM-DD as the span of time
+ * it names, in local time
+ * @param {string} value - Date text
+ * @param {number} position - Offset of the term, for errors
+ * @returns {Object} {start, end}, end exclusive
+ */
+function parseDatePeriod(value, position) {
+  const match = value.match(DATE_PATTERN);
+  const [year, month, day] = match
+    ? match.slice(1).map((part) => (part ? Number(part) : null))
+    : [];
+
+  const start = match ? new Date(year, (month || 1) - 1, day || 1) : null;
+  const isValid =
+    start &&
+    (!month || start.getMonth() === month - 1) &&
+    (!day || start.getDate() === day);
+  if (!isValid) {
+    fail(`Invalid date "${value}". Use YYYY, YYYY-MM or YYYY-MM-DD`, position);
+  }
+
+  const end = day
+    ? new Date(year, month - 1, day + 1)
+    : month
+      ? new Date(year, month, 1)
+      : new Date(year + 1, 0, 1);
+  return { start, end };
+}
+
+/**
+ * Turn a term token into a query node, checking its value suits the field
+ * @param {Object} token - Term token from tokenize
+ * @returns {Object} Term node {type: "term", field, value, phrase, ...};
+ *   enum terms carry the canonical value and date terms a {start, end}
+ *   range, either end of which may be null
+ */
+function createTermNode(token) {
+  const { field, value, phrase, position } = token;
+  const node = { type: "term", field, value, phrase };
+  const definition = field ? SEARCH_FIELDS[field] : null;
+
+  if (definition?.kind === "enum") {
+    const canonical = definition.values.find(
+      (candidate) => candidate.toLowerCase() === value.toLowerCase(),
+    );
+    if (!canonical) {
+      fail(
+        `Unknown ${field} "${value}". Try ${definition.values.join(", ")}`,
+        position,
+      );
+    }
+    node.value = canonical;
+  } else if (definition?.kind === "date") {
+    const [from, to, ...rest] = value.split("..");
+    if (rest.length > 0 || (to !== undefined && !from && !to)) {
+      fail(`Invalid date range "${value}"`, position);
+    }
+
+    node.range = {
+      start: from ? parseDatePeriod(from, position).start : null,
+      end:
+        to === undefined
+          ? parseDatePeriod(from, position).end
+          : to
+            ? parseDatePeriod(to, position).end
+            : null,
+    };
+  }
+
+  return node;
+}
+
+/**
+ * Parse a search query
+ * @param {string} text - Query typed into the search box
+ * @returns {Object} {query, error}: query is a tree of "and"/"or" nodes
+ *   with children, "not" nodes with a child and term nodes, or null for an
+ *   empty query; error is {message, position} if the query can't be parsed
+ */
+export function parseSearchQuery(text) {
+  let tokens;
+  let index = 0;
+
+  const peek = () => tokens[index];
+  const isOperator = (token, value) =>
+    token?.type === "operator" && token.value === value;
+
+  // Recursive descent: OR binds loosest, then AND (explicit or implied),
+  // then NOT
+  const parseOr = () => {
+    const children = [parseAnd()];
+    while (isOperator(peek(), "OR")) {
+      index++;
+      children.push(parseAnd());
+    }
+    return children.length === 1 ? children[0] : { type: "or", children };
+  };
+
+  const parseAnd = () => {
+    const children = [parseNot()];
+    while (peek() && peek().type !== ")" && !isOperator(peek(), "OR")) {
+      if (isOperator(peek(), "AND")) index++;
+      children.push(parseNot());
+    }
+    return children.length === 1 ? children[0] : { type: "and", children };
+  };
+
+  const parseNot = () => {
+    if (isOperator(peek(), "NOT")) {
+      index++;
+      return { type: "not", child: parseNot() };
+    }
+    return parseTerm();
+  };
+
+  const parseTerm = () => {
+    const token = peek();
+    const previous = tokens[index - 1];
+
+    if (!token) {
+      fail(
+        previous?.type === "operator"
+          ? `Expected a search term after ${previous.value}`
+          : "Expected a search term",
+        text.length,
+      );
+    }
+
+    index++;
+    if (token.type === "term") return createTermNode(token);
+
+    if (token.type === "(") {
+      if (peek()?.type === ")") fail("Empty parentheses", token.position);
+
+      const expression = parseOr();
+      if (peek()?.type !== ")") {
+        fail("Missing closing parenthesis", token.position);
+      }
+      index++;
+      return expression;
+    }
+
+    if (token.type === ")") fail('Unexpected ")"', token.position);
+    return fail(`Expected a search term before ${token.value}`, token.position);
+  };
+
+  try {
+    tokens = tokenize(text || "");
+    if (tokens.length === 0) return { query: null, error: null };
+
+    const query = parseOr();
+    if (peek()) fail('Unexpected ")"', peek().position);
+
+    return { query, error: null };
+  } catch (error) {
+    if (error.position === undefined) throw error;
+    return {
+      query: null,
+      error: { message: error.message, position: error.position },
+    };
+  }
+}
+
+/**
+ * Whether a term is looked up in the search index rather than matched as
+ * text: a free-text word, not a phrase or a qualified field
+ * @param {Object} node - Term node
+ * @returns {boolean} True for index terms
+ */
+function isIndexTerm(node) {
+  return !node.field && !node.phrase;
+}
+
+/**
+ * Check whether an alert matches a term
+ * @param {Object} node - Term node
+ * @param {Object} alert - Grouped alert
+ * @param {Object|null} searchIndex - Index from createSearchIndex
+ * @returns {boolean} True if the alert matches
+ */
+function matchesTerm(node, alert, searchIndex) {
+  const definition = node.field ? SEARCH_FIELDS[node.field] : null;
+
+  if (definition?.kind === "enum") {
+    return definition.getValues(alert).includes(node.value);
+  }
+
+  if (definition?.kind === "date") {
+    const { start, end } = node.range;
+    return definition
+      .getValues(alert)
+      .some(
+        (date) =>
+          date instanceof Date &&
+          (!start || date >= start) &&
+          (!end || date < end),
+      );
+  }
+
+  // Words are looked up with prefix and typo matching; every word of a
+  // term like "state-highway" has to match
+  const terms = tokenizeText(node.value);
+  if (searchIndex && isIndexTerm(node) && terms.length > 0) {
+    return terms.every(
+      (term) =>
+        scoreTerm(searchIndex, getTermMatches(searchIndex, term), alert.id) > 0,
+    );
+  }
+
+  const values = definition
+    ? definition.getValues(alert)
+    : DEFAULT_TEXT_FIELDS.flatMap((field) => getAlertTexts(alert, field));
+  const text = foldText(node.value);
+
+  return values.some((value) => value && foldText(value).includes(text));
+}
+
+/**
+ * Check whether an alert matches a parsed query
+ * @param {Object|null} query - Query from parseSearchQuery
+ * @param {Object} alert - Grouped alert
+ * @param {Object} [searchIndex] - Index from createSearchIndex; without
+ *   one, words are matched as text
+ * @returns {boolean} True if the alert matches; every alert matches an
+ *   empty query
+ */
+export function matchesSearchQuery(query, alert, searchIndex = null) {
+  if (!query) return true;
+
+  switch (query.type) {
+    case "and":
+      return query.children.every((child) =>
+        matchesSearchQuery(child, alert, searchIndex),
+      );
+    case "or":
+      return query.children.some((child) =>
+        matchesSearchQuery(child, alert, searchIndex),
+      );
+    case "not":
+      return !matchesSearchQuery(query.child, alert, searchIndex);
+    default:
+      return matchesTerm(query, alert, searchIndex);
+  }
+}
+
+/**
+ * Score how relevant an alert is to a query, from the BM25 scores of the
+ * words and phrases it matches. Negated terms and field qualifiers only
+ * narrow the results, so they add nothing.
+ * @param {Object|null} query - Query from parseSearchQuery
+ * @param {Object} alert - Grouped alert
+ * @param {Object} searchIndex - Index from createSearchIndex
+ * @returns {number} Score, higher is more relevant
+ */
+export function scoreSearchQuery(query, alert, searchIndex) {
+  if (!query || query.type === "not") return 0;
+
+  if (query.type === "and" || query.type === "or") {
+    return query.children.reduce(
+      (total, child) => total + scoreSearchQuery(child, alert, searchIndex),
+      0,
+    );
+  }
+
+  if (query.field) return 0;
+
+  return tokenizeText(query.value).reduce(
+    (total, term) =>
+      total +
+      scoreTerm(
+        searchIndex,
+        getTermMatches(searchIndex, term, { exact: query.phrase }),
+        alert.id,
+      ),
+    0,
+  );
+}
+
+/**
+ * Folded words to highlight in results for a query: the index terms its
+ * words matched, and the words of its phrases and text fields
+ * @param {Object|null} query - Query from parseSearchQuery
+ * @param {Object} [searchIndex] - Index from createSearchIndex
+ * @returns {Set<string>} Terms for getHighlightRanges
+ */
+export function getHighlightTerms(query, searchIndex = null) {
+  const terms = new Set();
+
+  const collect = (node) => {
+    if (!node || node.type === "not") return;
+
+    if (node.type === "and" || node.type === "or") {
+      node.children.forEach(collect);
+    } else if (SEARCH_FIELDS[node.field]?.kind !== "enum" && !node.range) {
+      for (const term of tokenizeText(node.value)) {
+        terms.add(term);
+        if (searchIndex && isIndexTerm(node)) {
+          for (const match of getTermMatches(searchIndex, term).keys()) {
+            terms.add(match);
+          }
+        }
+      }
+    }
+  };
+
+  collect(query);
+  return terms;
+}
+
+export default {
+  SEARCH_FIELDS,
+  parseSearchQuery,
+  matchesSearchQuery,
+  scoreSearchQuery,
+  getHighlightTerms,
+};
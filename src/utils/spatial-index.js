@@ -0,0 +1,111 @@
+/**
+ * Spatial Index Utilities
+ * Answers "which alerts covered this point?" without testing every polygon
+ * in the archive. Polygons are bucketed into a grid by bounding box once,
+ * after alerts are grouped; a lookup only tests the polygons in one cell.
+ */
+
+import {
+  getRingBox,
+  isPositionInPolygon,
+  normalizeLongitude,
+} from "./geometry.js";
+
+// Grid cell size in degrees
+const CELL_DEGREES = 0.5;
+const CELL_COUNT = 360 / CELL_DEGREES;
+
+/**
+ * Grid key for a cell. Columns wrap around the globe, so a polygon stored
+ * with longitudes past 180 shares cells with points given as -180 to 180.
+ * @param {number} column - Column index, floor(lng / CELL_DEGREES)
+ * @param {number} row - Row index, floor(lat / CELL_DEGREES)
+ * @returns {string} Cell key
+ */
+function getCellKey(column, row) {
+  return `${((column % CELL_COUNT) + CELL_COUNT) % CELL_COUNT}:${row}`;
+}
+
+/**
+ * Build a spatial index over grouped alerts. Every message in a group's
+ * timeline is indexed, so an area an update later dropped still counts.
+ * @param {Array} alerts - Grouped alerts from DataProcessor.groupAlerts
+ * @returns {Object} Index for queryPoint: {cells, alertCount}
+ */
+export function createSpatialIndex(alerts) {
+  const cells = new Map();
+
+  for (const alert of alerts || []) {
+    const polygons = (alert.timeline || [alert])
+      .filter((message) => message.hasGeometry && message.geometry)
+      .flatMap((message) =>
+        message.geometry.type === "Polygon"
+          ? [message.geometry.coordinates]
+          : message.geometry.coordinates,
+      );
+
+    for (const polygon of polygons) {
+      const box = getRingBox(polygon[0]);
+      const entry = { alert, polygon, box };
+
+      const [west, south, east, north] = box;
+      for (
+        let column = Math.floor(west / CELL_DEGREES);
+        column <= Math.floor(east / CELL_DEGREES);
+        column++
+      ) {
+        for (
+          let row = Math.floor(south / CELL_DEGREES);
+          row <= Math.floor(north / CELL_DEGREES);
+          row++
+        ) {
+          const key = getCellKey(column, row);
+          if (!cells.has(key)) cells.set(key, []);
+          cells.get(key).push(entry);
+        }
+      }
+    }
+  }
+
+  return { cells, alertCount: alerts?.length || 0 };
+}
+
+/**
+ * Find every grouped alert whose geometry contained a point at any stage
+ * @param {Object} index - Index from createSpatialIndex
+ * @param {Array} point - [lng, lat]; any longitude, e.g. -176.5 or 183.5
+ *   for the Chatham Islands
+ * @returns {Array} Alerts containing the point, oldest first
+ */
+export function queryPoint(index, [lng, lat]) {
+  const normalizedLng = normalizeLongitude(lng);
+  const candidates =
+    index.cells.get(
+      getCellKey(
+        Math.floor(normalizedLng / CELL_DEGREES),
+        Math.floor(lat / CELL_DEGREES),
+      ),
+    ) || [];
+
+  const matches = new Set();
+  for (const { alert, polygon, box } of candidates) {
+    if (matches.has(alert)) continue;
+
+    // Express the point in the polygon's own longitude range
+    const [west, south, east, north] = box;
+    const shiftedLng =
+      normalizedLng + 360 * Math.ceil((west - normalizedLng) / 360);
+    if (shiftedLng > east || lat < south || lat > north) continue;
+
+    if (isPositionInPolygon([shiftedLng, lat], polygon)) {
+      matches.add(alert);
+    }
+  }
+
+  return [...matches].sort((a, b) => a.sent.getTime() - b.sent.getTime());
+}
+
+export default {
+  createSpatialIndex,
+  queryPoint,
+};
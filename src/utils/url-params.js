@@ -3,7 +3,124 @@
  * Handles serialization and deserialization of filters and alert state to/from URL query parameters
  */
 
-import { createEmptyFilters } from "./alert-filters.js";
+import {
+  AreaFilterType,
+  createEmptyFilters,
+  DateRangeMode,
+  SortOrder,
+} from "./alert-filters.js";
+
+// Decimal places kept for area coordinates, about 10 m
+const AREA_PRECISION = 4;
+
+/**
+ * Write an area filter as "type:..." for the URL, e.g.
+ * "bbox:174.5,-37.2,176,-36.5", "polygon:174.5 -37.2,175 -36.9,..." or
+ * "region:Canterbury". A region is written by name; its shape comes from
+ * the gazetteer.
+ * @param {Object} area - Area filter, see AreaFilterType
+ * @returns {string} Encoded area
+ */
+function serializeArea(area) {
+  const round = (value) => Number(value.toFixed(AREA_PRECISION));
+
+  if (area.type === AreaFilterType.REGION) {
+    return `${area.type}:${area.name}`;
+  }
+
+  if (area.type === AreaFilterType.POLYGON) {
+    return `${area.type}:${area.coordinates
+      .map(([lng, lat]) => `${round(lng)} ${round(lat)}`)
+      .join(",")}`;
+  }
+  return `${area.type}:${area.bbox.map(round).join(",")}`;
+}
+
+/**
+ * Read an area filter written by serializeArea
+ * @param {string} value - Encoded area
+ * @returns {Object|null} Area filter, or null if the value is malformed. A
+ *   region has no geometry until it is looked up in the gazetteer.
+ */
+function deserializeArea(value) {
+  const separator = value.indexOf(":");
+  const type = value.slice(0, separator);
+  const body = value.slice(separator + 1);
+
+  if (type === AreaFilterType.POLYGON) {
+    const coordinates = body
+      .split(",")
+      .map((position) => position.trim().split(/\s+/).map(Number));
+    const isValid = coordinates.every(
+      (position) => position.length === 2 && position.every(Number.isFinite),
+    );
+    return isValid && coordinates.length >= 3 ? { type, coordinates } : null;
+  }
+
+  if (type === AreaFilterType.REGION) {
+    return body ? { type, name: body, geometry: null } : null;
+  }
+
+  if (type === AreaFilterType.BBOX || type === AreaFilterType.VIEWPORT) {
+    const bbox = body.split(",").map(Number);
+    return bbox.length === 4 && bbox.every(Number.isFinite)
+      ? { type, bbox }
+      : null;
+  }
+
+  return null;
+}
+
+/**
+ * Join list filter values with commas for the URL, escaping any commas (and
+ * percent signs) in the values themselves, such as an unregistered sender
+ * named "Acme, Ltd"
+ * @param {Array<string>} values - Filter values
+ * @returns {string} Encoded list
+ */
+function serializeList(values) {
+  return values
+    .map((value) => value.replace(/%/g, "%25").replace(/,/g, "%2C"))
+    .join(",");
+}
+
+/**
+ * Read a list written by serializeList
+ * @param {string} value - Encoded list
+ * @returns {Array<string>} Filter values
+ */
+function deserializeList(value) {
+  return value
+    .split(",")
+    .filter(Boolean)
+    .map((item) => {
+      try {
+        return decodeURIComponent(item);
+      } catch {
+        // A stray "%" in a hand-edited URL
+        return item;
+      }
+    });
+}
+
+/**
+ * Read a location written as "lat,lng" (or "lat lng"), as in the URL or
+ * typed into the filter panel
+ * @param {string} value - Coordinates
+ * @returns {Array|null} [lng, lat], or null if the value isn't a valid
+ *   location
+ */
+export function parsePoint(value) {
+  const parts = (value || "")
+    .trim()
+    .split(/[\s,]+/)
+    .map(Number);
+  if (parts.length !== 2 || !parts.every(Number.isFinite)) return null;
+
+  const [lat, lng] = parts;
+  if (Math.abs(lat) > 90) return null;
+  return [lng, lat];
+}
 
 /**
  * Serialize filters object to URL query parameters
@@ -23,27 +140,63 @@ export function serializeFiltersToURL(filters) {
   if (filters.dateRange?.end) {
     params.set("dateEnd", filters.dateRange.end.toISOString().split("T")[0]);
   }
+  if (filters.dateRangeMode === DateRangeMode.IN_FORCE) {
+    params.set("dateMode", DateRangeMode.IN_FORCE);
+  }
+
+  // "As of" instant, in UTC so shared links mean the same moment everywhere
+  if (filters.asOf) {
+    params.set("asOf", filters.asOf.toISOString());
+  }
+
+  if (filters.area) {
+    params.set("area", serializeArea(filters.area));
+  }
+
+  // Location as "lat,lng", the order people usually write coordinates in
+  if (filters.point) {
+    const [lng, lat] = filters.point;
+    params.set(
+      "point",
+      `${Number(lat.toFixed(AREA_PRECISION))},${Number(lng.toFixed(AREA_PRECISION))}`,
+    );
+
+    if (filters.place) {
+      params.set("place", filters.place);
+    }
+  }
 
-  // Array filters (categories, severities, urgencies, statuses, messageTypes)
+  // Array filters (categories, severities, urgencies, statuses, messageTypes,
+  // senders, datasets)
   const arrayFilters = [
     "categories",
     "severities",
     "urgencies",
     "statuses",
     "messageTypes",
+    "senders",
+    "datasets",
   ];
 
   arrayFilters.forEach((filterKey) => {
     if (filters[filterKey]?.length > 0) {
-      params.set(filterKey, filters[filterKey].join(","));
+      params.set(filterKey, serializeList(filters[filterKey]));
     }
   });
 
+  if (filters.historyGaps) {
+    params.set("gaps", "1");
+  }
+
   // Search text
   if (filters.searchText?.trim()) {
     params.set("search", filters.searchText.trim());
   }
 
+  if (filters.sort === SortOrder.RELEVANCE) {
+    params.set("sort", SortOrder.RELEVANCE);
+  }
+
   return params;
 }
 
@@ -66,6 +219,28 @@ export function deserializeFiltersFromURL(params) {
   if (dateEnd) {
     filters.dateRange.end = new Date(dateEnd + "T12:00:00");
   }
+  if (params.get("dateMode") === DateRangeMode.IN_FORCE) {
+    filters.dateRangeMode = DateRangeMode.IN_FORCE;
+  }
+
+  const asOf = params.get("asOf");
+  if (asOf && !isNaN(new Date(asOf).getTime())) {
+    filters.asOf = new Date(asOf);
+  }
+
+  const area = params.get("area");
+  if (area) {
+    filters.area = deserializeArea(area);
+  }
+
+  const point = params.get("point");
+  if (point) {
+    filters.point = parsePoint(point);
+    // A place name only labels a point; on its own it means nothing
+    if (filters.point) {
+      filters.place = params.get("place") || null;
+    }
+  }
 
   // Array filters
   const arrayFilters = [
@@ -74,21 +249,29 @@ export function deserializeFiltersFromURL(params) {
     "urgencies",
     "statuses",
     "messageTypes",
+    "senders",
+    "datasets",
   ];
 
   arrayFilters.forEach((filterKey) => {
     const value = params.get(filterKey);
     if (value) {
-      filters[filterKey] = value.split(",").filter(Boolean);
+      filters[filterKey] = deserializeList(value);
     }
   });
 
+  filters.historyGaps = params.get("gaps") === "1";
+
   // Search text
   const search = params.get("search");
   if (search) {
     filters.searchText = search;
   }
 
+  if (params.get("sort") === SortOrder.RELEVANCE) {
+    filters.sort = SortOrder.RELEVANCE;
+  }
+
   return filters;
 }
 
@@ -149,6 +332,7 @@ export function readURLParams() {
 }
 
 export default {
+  parsePoint,
   serializeFiltersToURL,
   deserializeFiltersFromURL,
   getAlertIdFromURL,
@@ -0,0 +1,218 @@
+/**
+ * Alert Data Worker
+ * Fetches, parses, validates and groups alert data and clusters it into
+ * incidents off the main thread, posting real progress as it goes.
+ *
+ * Messages in:
+ *   { type: "load", sources, normalizedPath, boundariesPath }
+ * Messages out:
+ *   { type: "progress", stage: "download", bytesLoaded, bytesTotal, sourceIndex, sourceCount, datasetLabel }
+ *   { type: "progress", stage: "parse", rowsProcessed, alertsProcessed, parsedFraction, sourceIndex, sourceCount, datasetLabel }
+ *   { type: "progress", stage: "group", alertsProcessed }
+ *   { type: "partial", alerts }
+ *   { type: "complete", alerts, report, incidents }
+ *   { type: "error", message }
+ *
+ * sourceIndex and sourceCount place a stage within the list of sources;
+ * parsedFraction is the share of the current source parsed.
+ *
+ * partial carries the groups parsed since the previous partial, so the map
+ * can fill in while the sources load. Threads that span batches stay split
+ * until complete, whose alerts replace everything sent before.
+ */
+
+import { DOMParser } from "linkedom";
+import { DataProcessor } from "../services/data-processor.js";
+import { clusterIncidents } from "../utils/incident-clustering.js";
+
+// Workers have no native DOMParser
+DataProcessor.DOMParserImpl = DOMParser;
+
+// Minimum time between partial results, so the main thread isn't
+// re-indexing the growing alert list after every parsed chunk
+const PARTIAL_INTERVAL_MS = 1000;
+
+/**
+ * Post a progress update to the main thread
+ * @param {Object} progress - Progress fields for the current stage
+ */
+function postProgress(progress) {
+  self.postMessage({ type: "progress", ...progress });
+}
+
+/**
+ * Fetch a file as text, reporting bytes read as they arrive
+ * @param {string} url - Absolute URL to fetch
+ * @param {string|null} stage - Stage name reported with progress, or null
+ *   to fetch without reporting
+ * @param {Object} [details] - Extra fields posted with each progress update
+ * @returns {Promise<string|null>} File contents, or null if not found
+ */
+async function fetchWithProgress(url, stage, details = {}) {
+  const response = await fetch(url);
+  if (response.status === 404) {
+    return null;
+  }
+  if (!response.ok) {
+    throw new Error(
+      `Failed to fetch ${url}: ${response.status} ${response.statusText}`,
+    );
+  }
+
+  // Content-Length is the compressed size when the server gzips, so only
+  // trust it as a total when the response isn't encoded
+  const bytesTotal = response.headers.get("Content-Encoding")
+    ? null
+    : Number(response.headers.get("Content-Length")) || null;
+
+  const reader = response.body.getReader();
+  const decoder = new TextDecoder();
+  const chunks = [];
+  let bytesLoaded = 0;
+
+  while (true) {
+    const { done, value } = await reader.read();
+    if (done) break;
+
+    chunks.push(decoder.decode(value, { stream: true }));
+    bytesLoaded += value.byteLength;
+    if (stage) {
+      postProgress({ stage, bytesLoaded, bytesTotal, ...details });
+    }
+  }
+  chunks.push(decoder.decode());
+
+  return chunks.join("");
+}
+
+/**
+ * Label a source in progress updates, when there is more than one to tell
+ * apart
+ * @param {Object} source - Source config
+ * @param {number} sourceCount - Number of sources being loaded
+ * @returns {string|null} Source label, or null for a single source
+ */
+function getDatasetLabel(source, sourceCount) {
+  return sourceCount > 1 ? source.label || source.id : null;
+}
+
+/**
+ * Group a batch of newly parsed alerts for a partial result. Unlike
+ * prepareAlerts this leaves the report alone; complete fills it in.
+ * @param {Array} alerts - Normalized alerts parsed since the last partial
+ * @returns {Array} Grouped alert objects
+ */
+function groupPartialAlerts(alerts) {
+  const validAlerts = alerts.filter(
+    (alert) => !DataProcessor.getValidationError(alert),
+  );
+  return DataProcessor.groupAlerts(
+    DataProcessor.deduplicateAlerts(validAlerts),
+  );
+}
+
+/**
+ * Load grouped alerts, preferring the preprocessed bundle over the raw sources
+ * @param {Object} options - Source configs and paths from the load message
+ * @returns {Promise<Object>} Grouped alert objects, their ingestion report
+ *   and incidents
+ */
+async function loadAlerts({ sources, normalizedPath, boundariesPath }) {
+  if (normalizedPath) {
+    const bundle = await DataProcessor.loadNormalizedData(normalizedPath, {
+      fetchText: (url) => fetchWithProgress(url, "download"),
+    });
+
+    if (bundle) {
+      console.log(`Loaded ${bundle.alerts.length} preprocessed alert groups`);
+      return bundle;
+    }
+  }
+
+  // Boundaries must be ready before areas are normalized
+  await DataProcessor.loadBoundaries(boundariesPath);
+
+  // Sources that fetch a file per record (e.g. xml-directory) report parse
+  // progress once records start arriving; stop reporting that source's
+  // downloads then so the progress bar doesn't jump back. The next source's
+  // download is reported again.
+  let parsingSource = null;
+
+  // Earlier sources' rows are counted once the next source starts parsing
+  let rowsBeforeSource = 0;
+  let alertsBeforeSource = 0;
+  let currentProgress = null;
+
+  // Parsed alerts not yet posted as a partial result
+  let pendingAlerts = [];
+  let lastPartialTime = Date.now();
+
+  const postPartial = () => {
+    if (pendingAlerts.length > 0) {
+      self.postMessage({
+        type: "partial",
+        alerts: groupPartialAlerts(pendingAlerts),
+      });
+    }
+    pendingAlerts = [];
+    lastPartialTime = Date.now();
+  };
+
+  const report = DataProcessor.createIngestionReport();
+  const alerts = await DataProcessor.loadSources(sources, {
+    fetchText: (url, { source, sourceIndex, sourceCount }) =>
+      fetchWithProgress(url, source === parsingSource ? null : "download", {
+        sourceIndex,
+        sourceCount,
+        datasetLabel: getDatasetLabel(source, sourceCount),
+      }),
+    report,
+    onProgress: (progress) => {
+      if (currentProgress && currentProgress.source !== progress.source) {
+        rowsBeforeSource += currentProgress.rowsProcessed;
+        alertsBeforeSource += currentProgress.alertsProcessed;
+      }
+      currentProgress = progress;
+      parsingSource = progress.source;
+
+      postProgress({
+        stage: "parse",
+        rowsProcessed: rowsBeforeSource + progress.rowsProcessed,
+        alertsProcessed: alertsBeforeSource + progress.alertsProcessed,
+        parsedFraction: progress.parsedLength / progress.totalLength,
+        sourceIndex: progress.sourceIndex,
+        sourceCount: progress.sourceCount,
+        datasetLabel: getDatasetLabel(progress.source, progress.sourceCount),
+      });
+
+      pendingAlerts = pendingAlerts.concat(progress.newAlerts || []);
+      if (Date.now() - lastPartialTime >= PARTIAL_INTERVAL_MS) {
+        postPartial();
+      }
+    },
+  });
+  postPartial();
+
+  postProgress({ stage: "group", alertsProcessed: alerts.length });
+  const groupedAlerts = DataProcessor.prepareAlerts(alerts, report);
+  return {
+    alerts: groupedAlerts,
+    report,
+    incidents: clusterIncidents(groupedAlerts),
+  };
+}
+
+self.onmessage = async (event) => {
+  if (event.data?.type !== "load") return;
+
+  try {
+    const { alerts, report, incidents } = await loadAlerts(event.data);
+    self.postMessage({ type: "complete", alerts, report, incidents });
+  } catch (error) {
+    console.error("Error loading alert data in worker:", error);
+    self.postMessage({
+      type: "error",
+      message: error.message || "Failed to load alert data",
+    });
+  }
+};